@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+var replay = require('../lib/replay');
+
+var USAGE = [
+	'Usage: cwlogs-replay [options] FILE...',
+	'',
+	'Send log events saved as NDJSON files (such as from the deadLetter or spoolDir',
+	'options) to AWS CloudWatch Logs, keeping their original timestamps.',
+	'Run again with the same files to continue after an interruption.',
+	'',
+	'Options:',
+	'  --log-group-name NAME    Log group to send to (required)',
+	'  --log-stream-name NAME   Log stream to send to (required)',
+	'  --region REGION          AWS region, if not set by the environment',
+	'  --checkpoint-file PATH   File used to save the position (default: FILE.checkpoint)',
+	'  --chunk-size COUNT       Lines to send between checkpoints (default: 10000)',
+	'  --max-event-age MS       Drop log events older than this (default: 14 days)',
+	'  --help                   Show this help'
+].join('\n');
+
+// Maps flags to replay options, and whether the value is a number.
+var FLAGS = {
+	'--log-group-name': { option: 'logGroupName', number: false },
+	'--log-stream-name': { option: 'logStreamName', number: false },
+	'--region': { option: 'region', number: false },
+	'--checkpoint-file': { option: 'checkpointFile', number: false },
+	'--chunk-size': { option: 'chunkSize', number: true },
+	'--max-event-age': { option: 'maxEventAge', number: true }
+};
+
+main(process.argv.slice(2));
+
+function main(args) {
+	var parsed;
+
+	try {
+		parsed = parseArgs(args);
+	}
+	catch (err) {
+		exit(err.message + '\n\n' + USAGE, 2);
+		return;
+	}
+
+	if (parsed.help) {
+		exit(USAGE, 0);
+		return;
+	}
+
+	var options = parsed.options;
+
+	if (parsed.files.length) {
+		options.files = parsed.files;
+	}
+
+	if (options.region) {
+		options.cloudWatchLogsOptions = { region: options.region };
+		delete options.region;
+	}
+
+	options.onProgress = function(progress) {
+		process.stderr.write(formatProgress(progress) + '\n');
+	};
+
+	replay(options, function(err, progress) {
+		if (err) {
+			exit('cwlogs-replay: ' + err.message + (progress ? '\n' + formatProgress(progress) : ''), 1);
+		}
+		else {
+			exit('Done. ' + formatProgress(progress), 0);
+		}
+	});
+}
+
+function parseArgs(args) {
+	var parsed = { options: {}, files: [], help: false };
+
+	for (var i = 0; i < args.length; i++) {
+		var arg = args[i];
+		var value = null;
+
+		if (arg === '--help' || arg === '-h') {
+			parsed.help = true;
+			continue;
+		}
+
+		if (arg.indexOf('--') !== 0) {
+			parsed.files.push(arg);
+			continue;
+		}
+
+		// Allow both "--flag value" and "--flag=value".
+		var eqIndex = arg.indexOf('=');
+
+		if (eqIndex !== -1) {
+			value = arg.substr(eqIndex + 1);
+			arg = arg.substr(0, eqIndex);
+		}
+
+		var flag = FLAGS[arg];
+
+		if (!flag) {
+			throw new Error('Unknown option: ' + arg);
+		}
+
+		if (value === null) {
+			if (i + 1 >= args.length) {
+				throw new Error('Missing value for ' + arg);
+			}
+
+			value = args[++i];
+		}
+
+		if (flag.number) {
+			value = Number(value);
+
+			if (!isFinite(value)) {
+				throw new Error(arg + ' must be a number');
+			}
+		}
+
+		parsed.options[flag.option] = value;
+	}
+
+	return parsed;
+}
+
+function formatProgress(progress) {
+	return progress.file + ':' + progress.line
+		+ ' sent=' + progress.eventsSent
+		+ ' dropped=' + progress.eventsDropped
+		+ ' skipped=' + progress.linesSkipped;
+}
+
+function exit(message, code) {
+	(code ? process.stderr : process.stdout).write(message + '\n');
+	process.exitCode = code;
+}
@@ -0,0 +1,134 @@
+exports.wrap = wrap;
+exports.isClient = isClient;
+exports.isV3Client = isV3Client;
+exports.normalizeError = normalizeError;
+exports.isTransientError = isTransientError;
+
+// Commands of @aws-sdk/client-cloudwatch-logs, keyed by the AWS SDK v2 method name.
+var V3_COMMANDS = {
+	createLogGroup: 'CreateLogGroupCommand',
+	createLogStream: 'CreateLogStreamCommand',
+	describeLogStreams: 'DescribeLogStreamsCommand',
+	putLogEvents: 'PutLogEventsCommand'
+};
+
+// Errors that AWS SDK v2 marks as retryable, which AWS SDK v3 may not.
+var RETRYABLE_ERROR_NAMES = [
+	'ThrottlingException',
+	'ServiceUnavailableException',
+	'RequestTimeout',
+	'RequestTimeoutException',
+	'TimeoutError'
+];
+
+var RETRYABLE_ERROR_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'EPIPE',
+	'ETIMEDOUT',
+	'EAI_AGAIN'
+];
+
+/**
+ * Wrap an AWS SDK v3 CloudWatchLogsClient so it has the same callback methods as an
+ * AWS SDK v2 AWS.CloudWatchLogs service. AWS SDK v2 services are returned as is.
+ *
+ * Errors from AWS SDK v3 are given the same `code` and `retryable` properties as AWS SDK v2 errors.
+ *
+ * @protected
+ * @param {object} client - AWS.CloudWatchLogs or CloudWatchLogsClient.
+ * @returns {object} An object with `createLogGroup`, `createLogStream`, `describeLogStreams`
+ * and `putLogEvents` methods that take params and a callback. For AWS SDK v3, the client is its `client` property.
+ */
+function wrap(client) {
+	if (!isV3Client(client)) {
+		return client;
+	}
+
+	// Only required if an AWS SDK v3 client is used, since aws-sdk v2 is the default.
+	// It is an optional peer dependency, so this is the app's own copy.
+	var commands = require('@aws-sdk/client-cloudwatch-logs');
+	var service = { client: client };
+
+	Object.keys(V3_COMMANDS).forEach(function(method) {
+		var Command = commands[V3_COMMANDS[method]];
+
+		service[method] = function(params, cb) {
+			// Continue outside of the Promise so errors thrown by the callback are not swallowed.
+			client.send(new Command(params)).then(function(data) {
+				process.nextTick(cb, null, data);
+			}, function(err) {
+				process.nextTick(cb, normalizeError(err));
+			});
+		};
+	});
+
+	return service;
+}
+
+/**
+ * Check if a value is an AWS SDK v2 AWS.CloudWatchLogs service or an AWS SDK v3 CloudWatchLogsClient.
+ *
+ * @protected
+ * @param {*} client
+ * @returns {boolean}
+ */
+function isClient(client) {
+	return isV3Client(client)
+		|| !!client && typeof client === 'object' && typeof client.putLogEvents === 'function';
+}
+
+/**
+ * Check if a value is an AWS SDK v3 client, which sends commands using `send()`.
+ *
+ * @protected
+ * @param {*} client
+ * @returns {boolean}
+ */
+function isV3Client(client) {
+	return !!client && typeof client === 'object' && typeof client.send === 'function';
+}
+
+/**
+ * Give an AWS SDK v3 error the `code` and `retryable` properties that AWS SDK v2 errors have.
+ *
+ * The error is retryable if AWS SDK v3 marked it as retryable or as a server fault,
+ * or if it is a throttling, timeout or network error.
+ *
+ * @protected
+ * @param {Error} err
+ * @returns {Error} The same error.
+ */
+function normalizeError(err) {
+	if (!err || typeof err !== 'object') {
+		return err;
+	}
+
+	if (err.code === void 0) {
+		err.code = err.name;
+	}
+
+	if (typeof err.retryable !== 'boolean') {
+		err.retryable = !!err.$retryable
+			|| err.$fault === 'server'
+			|| !!err.$metadata && err.$metadata.httpStatusCode >= 500
+			|| RETRYABLE_ERROR_NAMES.indexOf(err.name) !== -1
+			|| RETRYABLE_ERROR_CODES.indexOf(err.code) !== -1;
+	}
+
+	return err;
+}
+
+/**
+ * Check if an error is likely to go away by itself, such as a throttling, server or network error.
+ *
+ * @protected
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+	return !!err && typeof err === 'object' && (err.retryable === true
+		|| err.statusCode >= 500
+		|| RETRYABLE_ERROR_NAMES.indexOf(err.code) !== -1
+		|| RETRYABLE_ERROR_CODES.indexOf(err.code) !== -1);
+}
@@ -0,0 +1,176 @@
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+module.exports = CircuitBreaker;
+
+util.inherits(CircuitBreaker, EventEmitter);
+
+/**
+ * Circuit breaker used by {@link CWLogsWritable} to pause calls to AWS CloudWatch Logs during an outage.
+ *
+ * - **closed** — Calls are allowed. After `failureThreshold` failures in a row, the circuit opens.
+ * - **open** — Calls are not allowed until `resetTimeout` has passed, then the circuit is half-open.
+ * - **halfOpen** — A call is allowed to probe AWS. The circuit closes if it succeeds, or opens again if it fails.
+ *
+ * @protected
+ * @constructor
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold=5] - Number of failures in a row that opens the circuit.
+ * @param {number} [options.resetTimeout=30000] - Milliseconds to wait while open before allowing a probe.
+ * @param {number} [options.retryDelay=1000] - Milliseconds to wait before a failed call is made again while closed.
+ * @augments {EventEmitter}
+ * @fires CircuitBreaker#stateChange
+ */
+function CircuitBreaker(options) {
+	options = options || {};
+
+	this.validateOptions(options);
+
+	EventEmitter.call(this);
+
+	/**
+	 * Number of failures in a row that opens the circuit.
+	 *
+	 * @member {number} CircuitBreaker#failureThreshold
+	 * @default 5
+	 */
+	this.failureThreshold = typeof options.failureThreshold === 'number'
+		? options.failureThreshold
+		: 5;
+
+	/**
+	 * Milliseconds to wait while open before allowing a probe.
+	 *
+	 * @member {number} CircuitBreaker#resetTimeout
+	 * @default 30000
+	 */
+	this.resetTimeout = typeof options.resetTimeout === 'number'
+		? options.resetTimeout
+		: 30000;
+
+	/**
+	 * Milliseconds to wait before a failed call is made again while closed,
+	 * so a failing service is not called in a tight loop until the circuit opens.
+	 *
+	 * @member {number} CircuitBreaker#retryDelay
+	 * @default 1000
+	 */
+	this.retryDelay = typeof options.retryDelay === 'number'
+		? options.retryDelay
+		: 1000;
+
+	/**
+	 * Current state, either "closed", "open" or "halfOpen".
+	 *
+	 * @member {string} CircuitBreaker#state
+	 */
+	this.state = 'closed';
+
+	this._failures = 0;
+	this._openedAt = null;
+}
+
+/**
+ * Validate the options passed to {@link CircuitBreaker}.
+ *
+ * @protected
+ * @param {object} options
+ * @throws Error
+ */
+CircuitBreaker.prototype.validateOptions = function(options) {
+	if (hasOwnProperty.call(options, 'failureThreshold') && (!isFiniteNumber(options.failureThreshold) || options.failureThreshold < 1)) {
+		throw new Error('failureThreshold option must be a number that is 1 or more, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'resetTimeout') && (!isFiniteNumber(options.resetTimeout) || options.resetTimeout < 0)) {
+		throw new Error('resetTimeout option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'retryDelay') && (!isFiniteNumber(options.retryDelay) || options.retryDelay < 0)) {
+		throw new Error('retryDelay option must be a positive number, if specified');
+	}
+};
+
+/**
+ * Check if a call is allowed, moving from open to half-open once `resetTimeout` has passed.
+ *
+ * @returns {boolean}
+ */
+CircuitBreaker.prototype.allowRequest = function() {
+	if (this.state === 'open') {
+		if (this.getRemainingTimeout() > 0) {
+			return false;
+		}
+
+		this._setState('halfOpen');
+	}
+
+	return true;
+};
+
+/**
+ * Get the milliseconds left until an open circuit allows a probe.
+ *
+ * @returns {number} 0 if the circuit is not open.
+ */
+CircuitBreaker.prototype.getRemainingTimeout = function() {
+	return this.state === 'open'
+		? Math.max(0, this._openedAt + this.resetTimeout - Date.now())
+		: 0;
+};
+
+/**
+ * Record a successful call, which closes the circuit.
+ */
+CircuitBreaker.prototype.recordSuccess = function() {
+	this._failures = 0;
+
+	if (this.state !== 'closed') {
+		this._setState('closed');
+	}
+};
+
+/**
+ * Record a failed call, which opens the circuit if it was half-open
+ * or if `failureThreshold` failures have happened in a row.
+ */
+CircuitBreaker.prototype.recordFailure = function() {
+	this._failures++;
+
+	if (this.state === 'halfOpen' || this.state === 'closed' && this._failures >= this.failureThreshold) {
+		this._openedAt = Date.now();
+		this._setState('open');
+	}
+	else if (this.state === 'open') {
+		// A call that started before the circuit opened.
+		this._openedAt = Date.now();
+	}
+};
+
+/**
+ * Change the state and fire {@link CircuitBreaker#event:stateChange}.
+ *
+ * @param {string} state
+ * @private
+ */
+CircuitBreaker.prototype._setState = function(state) {
+	var previousState = this.state;
+	this.state = state;
+	this._emitStateChange(state, previousState);
+};
+
+/**
+ * Fired when the state changes.
+ *
+ * @event CircuitBreaker#stateChange
+ * @param {string} state - "closed", "open" or "halfOpen".
+ * @param {string} previousState
+ */
+CircuitBreaker.prototype._emitStateChange = function(state, previousState) {
+	this.emit('stateChange', state, previousState);
+};
+
+function isFiniteNumber(val) {
+	return typeof val === 'number' && isFinite(val);
+}
@@ -0,0 +1,74 @@
+var fs = require('fs');
+
+exports.create = create;
+exports.isTarget = isTarget;
+exports.formatLines = formatLines;
+
+/**
+ * Create a function that sends log events to a dead-letter target,
+ * which is the `deadLetter` option of {@link CWLogsWritable}.
+ *
+ * - **string** — Path of a file that NDJSON lines are appended to.
+ * - **Writable** — Stream that NDJSON lines are written to, one write per log event.
+ * - **function** — Used as is.
+ *
+ * @protected
+ * @param {string|Writable|function} target
+ * @returns {function} Called with the log events, the error (or null) and `{logGroupName, logStreamName, reason}`.
+ */
+function create(target) {
+	if (typeof target === 'function') {
+		return target;
+	}
+
+	if (typeof target === 'string') {
+		return function deadLetterFile(logEvents, err, info) {
+			fs.appendFileSync(target, formatLines(logEvents, err, info).join(''), 'utf8');
+		};
+	}
+
+	return function deadLetterWritable(logEvents, err, info) {
+		formatLines(logEvents, err, info).forEach(function(line) {
+			target.write(line);
+		});
+	};
+}
+
+/**
+ * Check if a value can be used as a dead-letter target.
+ *
+ * @protected
+ * @param {*} target
+ * @returns {boolean}
+ */
+function isTarget(target) {
+	return typeof target === 'function'
+		|| typeof target === 'string' && target.length > 0
+		|| !!target && typeof target === 'object' && typeof target.write === 'function';
+}
+
+/**
+ * Format log events as NDJSON lines, each with the error and destination.
+ *
+ * @protected
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {?Error} err
+ * @param {{logGroupName:string,logStreamName:string,reason:string}} info
+ * @returns {Array.<string>} Lines ending with "\n".
+ */
+function formatLines(logEvents, err, info) {
+	var error = err
+		? { name: err.name, code: err.code, message: err.message }
+		: null;
+
+	return logEvents.map(function(logEvent) {
+		return JSON.stringify({
+			logGroupName: info.logGroupName,
+			logStreamName: info.logStreamName,
+			reason: info.reason,
+			error: error,
+			timestamp: logEvent.timestamp,
+			message: logEvent.message
+		}) + '\n';
+	});
+}
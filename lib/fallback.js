@@ -0,0 +1,46 @@
+var fs = require('fs');
+
+exports.create = create;
+exports.isTarget = isTarget;
+
+/**
+ * Create a function that writes text to a fallback target,
+ * which is the `fallback` option of {@link CWLogsWritable}.
+ *
+ * - **"stderr"** — Written to `process.stderr`.
+ * - **string** — Path of a file that the text is appended to.
+ * - **Writable** — Stream that the text is written to.
+ *
+ * @protected
+ * @param {string|Writable} target
+ * @returns {function} Called with the text to write.
+ */
+function create(target) {
+	if (target === 'stderr') {
+		return function fallbackStderr(text) {
+			process.stderr.write(text);
+		};
+	}
+
+	if (typeof target === 'string') {
+		return function fallbackFile(text) {
+			fs.appendFileSync(target, text, 'utf8');
+		};
+	}
+
+	return function fallbackWritable(text) {
+		target.write(text);
+	};
+}
+
+/**
+ * Check if a value can be used as a fallback target.
+ *
+ * @protected
+ * @param {*} target
+ * @returns {boolean}
+ */
+function isTarget(target) {
+	return typeof target === 'string' && target.length > 0
+		|| !!target && typeof target === 'object' && typeof target.write === 'function';
+}
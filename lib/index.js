@@ -1,10 +1,62 @@
 var util = require('util');
+var crypto = require('crypto');
 var Writable = require('stream').Writable;
 var AWS = require('aws-sdk');
+var Spool = require('./spool');
+var awsClient = require('./aws-client');
+var Stats = require('./stats');
+var CircuitBreaker = require('./circuit-breaker');
+var deadLetter = require('./dead-letter');
+var fallback = require('./fallback');
+var template = require('./template');
 var hasOwnProperty = Object.prototype.hasOwnProperty;
 
 module.exports = CWLogsWritable;
 
+CWLogsWritable.retryStrategies = require('./retry');
+CWLogsWritable.RateLimiter = require('./rate-limiter');
+
+// Set after module.exports, since lib/router.js and lib/replay.js require this module.
+CWLogsWritable.Router = require('./router');
+CWLogsWritable.replay = require('./replay');
+
+// Number of bytes AWS adds to the size of each log event's message.
+var LOG_EVENT_OVERHEAD = 26;
+
+// The AWS limit for a log event is 256 KB, which includes the overhead.
+var MAX_MESSAGE_SIZE = 256 * 1024 - LOG_EVENT_OVERHEAD;
+
+// The maximum amount of time between the oldest and newest log event in a PutLogEvents batch.
+var MAX_BATCH_SPAN = 24 * 60 * 60 * 1000;
+
+// Log events older than 14 days (or the log group's retention period) are rejected.
+// The minimum is the shortest retention period a log group can have, which is 1 day.
+var MAX_EVENT_AGE = 14 * 24 * 60 * 60 * 1000;
+var MIN_EVENT_AGE = 24 * 60 * 60 * 1000;
+
+// Log events more than 2 hours in the future are rejected.
+var MAX_EVENT_FUTURE = 2 * 60 * 60 * 1000;
+
+// Keep a safe distance from the timestamp limits, since it may take time for the batch to reach AWS.
+var TIMESTAMP_MARGIN = 60 * 1000;
+
+// Longest delay setTimeout allows. Longer delays fire after 1 millisecond instead.
+var MAX_TIMEOUT_DELAY = 2147483647;
+
+// Property used to store the message size on queued log events.
+var SIZE_CACHE_PROP = '_cwlogsSize';
+
+// Property used to store when a log event was first queued.
+var QUEUED_TIME_PROP = '_cwlogsQueuedTime';
+
+// AWS CloudWatch Logs methods that can be limited by the rateLimiters option.
+var RATE_LIMITED_METHODS = ['putLogEvents', 'describeLogStreams', 'createLogGroup', 'createLogStream'];
+
+var OVERSIZED_EVENT_POLICIES = ['truncate', 'split', 'drop'];
+var TIMESTAMP_POLICIES = ['clamp', 'drop'];
+var QUEUE_OVERFLOW_POLICIES = ['dropOldest', 'dropNewest', 'backpressure'];
+var ROTATE_INTERVALS = ['daily', 'hourly'];
+
 util.inherits(CWLogsWritable, Writable);
 
 /**
@@ -12,21 +64,52 @@ util.inherits(CWLogsWritable, Writable);
  *
  * @constructor
  * @param {object} options
- * @param {string} options.logGroupName - AWS CloudWatch [LogGroup](http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchLogs.html#putLogEvents-property) name. It will be created if it doesn't exist.
- * @param {string} options.logStreamName - AWS CloudWatch [LogStream](http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchLogs.html#putLogEvents-property) name. It will be created if it doesn't exist.
+ * @param {string} options.logGroupName - AWS CloudWatch [LogGroup](http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchLogs.html#putLogEvents-property) name. It will be created if it doesn't exist. May include placeholders (see `resolvePlaceholder`).
+ * @param {string} options.logStreamName - AWS CloudWatch [LogStream](http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchLogs.html#putLogEvents-property) name. It will be created if it doesn't exist. May include placeholders (see `resolvePlaceholder`), and cannot contain ":" or "*".
+ * @param {function} [options.resolvePlaceholder] - Resolve placeholders in `logGroupName` and `logStreamName`, in addition to the built-in {hostname}, {pid}, {date}, {date:FORMAT}, {uuid} and {env:NAME}. Called with the placeholder name and the text after the ':' (if any), and returns a string or null to use the built-in placeholders.
  * @param {object} [options.cloudWatchLogsOptions={}] - Options passed to [AWS.CloudWatchLogs](http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchLogs.html#constructor-property) service.
+ * @param {object} [options.cloudWatchLogsClient] - An AWS SDK v2 AWS.CloudWatchLogs service or AWS SDK v3 CloudWatchLogsClient to use instead of creating one with `cloudWatchLogsOptions`. See {@link CWLogsWritable#cloudwatch}.
  * @param {string|number} [options.writeInterval=nextTick] - Amount of wait time after a Writable#_write call to allow batching of log events. Must be a positive number or "nextTick". If "nextTick", `process.nextTick` is used. If a number, `setTimeout` is used.
- * @param {string|number} [options.retryableDelay=150]
+ * @param {string|number|function} [options.retryableDelay=150] - Amount of wait time before an AWS error marked as "retryable" is retried. Must be a positive number, "nextTick" or a strategy function. See {@link CWLogsWritable#retryableDelay}.
  * @param {number} [options.retryableMax=100] - Maximum number of times a AWS error marked as "retryable" will be retried before the error is instead passed to {@link CWLogsWritable#onError}.
  * @param {number} [options.maxBatchCount=10000] - Maximum number of log events allowed in a single PutLogEvents API call.
  * @param {number} [options.maxBatchSize=1048576] - Maximum number of bytes allowed in a single PutLogEvents API call.
+ * @param {number} [options.maxMessageSize=262118] - Maximum size of a single log event's message, in bytes. Defaults to the AWS limit of 256 KB minus the 26 byte log event overhead.
+ * @param {string} [options.oversizedEventPolicy=truncate] - How to handle log events with messages larger than `maxMessageSize`. Must be "truncate", "split" or "drop". See {@link CWLogsWritable#oversizedEventPolicy}.
+ * @param {string|function} [options.timestampPolicy] - How to handle log events with timestamps that AWS would reject. Must be "clamp", "drop" or a function. See {@link CWLogsWritable#timestampPolicy}.
+ * @param {number} [options.maxEventAge=1209600000] - Maximum age of a log event's timestamp, in milliseconds, used by `timestampPolicy`. Defaults to the AWS limit of 14 days. Set this to the log group's retention period if it is shorter.
+ * @param {number} [options.maxQueueCount=Infinity] - Maximum number of log events allowed in the queue. See `queueOverflowPolicy`.
+ * @param {number} [options.maxQueueBytes=Infinity] - Maximum number of bytes allowed in the queue, measured the same as `maxBatchSize`. See `queueOverflowPolicy`.
+ * @param {string} [options.queueOverflowPolicy=dropOldest] - What to do when the queue is full. Must be "dropOldest", "dropNewest" or "backpressure". See {@link CWLogsWritable#queueOverflowPolicy}.
+ * @param {string} [options.rotateInterval] - Rotate the log stream "daily" or "hourly" (UTC). See {@link CWLogsWritable#rotateInterval}.
+ * @param {number} [options.rotateMaxEvents=Infinity] - Rotate the log stream after this many log events have been sent to it. See {@link CWLogsWritable#rotateInterval}.
+ * @param {number} [options.rotateMaxBytes=Infinity] - Rotate the log stream after this many bytes have been sent to it, measured the same as `maxBatchSize`. See {@link CWLogsWritable#rotateInterval}.
+ * @param {boolean} [options.useSequenceToken=true] - Set to false to send PutLogEvents without a sequence token, which skips DescribeLogStreams. See {@link CWLogsWritable#useSequenceToken}.
+ * @param {number} [options.maxConcurrentPuts=1] - Maximum number of PutLogEvents calls in progress at once. Can only be greater than 1 if `useSequenceToken` is false. See {@link CWLogsWritable#maxConcurrentPuts}.
+ * @param {object} [options.circuitBreaker] - Pause calls to AWS after failures in a row, with `failureThreshold`, `resetTimeout` and `retryDelay` options. See {@link CWLogsWritable#circuitBreaker}.
+ * @param {number} [options.recoveryDelay] - Re-enable the stream this many milliseconds after it is disabled by an error. See {@link CWLogsWritable#recoveryDelay}.
+ * @param {object} [options.rateLimiters] - {@link RateLimiter} instances to wait for before calling AWS CloudWatch Logs, keyed by method name. See {@link CWLogsWritable#rateLimiters}.
+ * @param {string} [options.spoolDir] - Directory used to spool log events to disk until they are sent. Log events left in the spool are sent by the next stream for the same log group and stream, after placeholders are expanded, so avoid placeholders such as {pid} and {uuid} that change after a restart.
+ * @param {string|Writable|function} [options.deadLetter] - File path, Writable or function that receives log events that are given up on. See {@link CWLogsWritable#deadLetter}.
+ * @param {string|Writable} [options.fallback] - "stderr", a file path or a Writable that log events are written to while AWS CloudWatch Logs calls are failing. See {@link CWLogsWritable#fallback}.
  * @param {function} [options.onError] - Called when an AWS error is encountered. Overwrites {@link CWLogsWritable#onError} method.
  * @param {function} [options.filterWrite] - Filter writes to CWLogsWritable. Overwrites {@link CWLogsWritable#filterWrite} method.
+ * @param {function} [options.beforePutLogEvents] - Called with each batch just before it is sent, and can change, remove, add or delay log events. See {@link CWLogsWritable#beforePutLogEvents}.
  * @param {boolean} [options.objectMode=true] - Passed to the Writable constructor. See https://nodejs.org/api/stream.html#stream_object_mode.
  * @augments {Writable}
  * @fires CWLogsWritable#putLogEvents
  * @fires CWLogsWritable#createLogGroup
  * @fires CWLogsWritable#createLogStream
+ * @fires CWLogsWritable#dropLogEvents
+ * @fires CWLogsWritable#rejectedLogEvents
+ * @fires CWLogsWritable#rotateLogStream
+ * @fires CWLogsWritable#invalidSequenceToken
+ * @fires CWLogsWritable#dataAlreadyAccepted
+ * @fires CWLogsWritable#retry
+ * @fires CWLogsWritable#reset
+ * @fires CWLogsWritable#circuitStateChange
+ * @fires CWLogsWritable#fallbackStart
+ * @fires CWLogsWritable#fallbackEnd
  * @example
  * ```javascript
  * var CWLogsWritable = require('cwlogs-writable');
@@ -46,11 +129,29 @@ function CWLogsWritable(options) {
 		return new CWLogsWritable(options);
 	}
 
+	// Created before validating options so placeholders expand to the same values.
+	this._templateContext = template.createContext();
+
 	this.validateOptions(options);
 
 	Writable.call(this, { objectMode: options.objectMode !== false });
 
 	this._onErrorNextCbId = 1;
+	this._flushCallbacks = [];
+	this._queuedBytes = 0;
+	this._pendingWriteCb = null;
+	this._failedLogEvents = null;
+	this._failedError = null;
+	this._inFlightPuts = 0;
+	this._putBatchId = 0;
+	this._putErrors = [];
+	this._stats = new Stats();
+	this._disabledError = null;
+	this._disabledFilterWrite = null;
+	this._disabledWrites = 0;
+	this._recoveryTimer = null;
+	this._circuitTimer = null;
+	this._fallbackActive = false;
 	this.sequenceToken = null;
 	this.writeQueued = false;
 
@@ -70,18 +171,33 @@ function CWLogsWritable(options) {
 	Object.defineProperty(this, 'logGroupName', {
 		enumerable: true,
 		writable: false,
-		value: options.logGroupName
+		value: template.expand(options.logGroupName, this._templateContext, options.resolvePlaceholder || null, 'logGroupName')
+	});
+
+	/**
+	 * The `logStreamName` option with placeholders expanded, without the suffix added by log stream rotation.
+	 *
+	 * @member {string} CWLogsWritable#baseLogStreamName
+	 */
+	Object.defineProperty(this, 'baseLogStreamName', {
+		enumerable: true,
+		writable: false,
+		value: template.expand(options.logStreamName, this._templateContext, options.resolvePlaceholder || null, 'logStreamName')
 	});
 
 	/**
 	 * AWS CloudWatch [LogStream](http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/CloudWatchLogs.html#putLogEvents-property) name. It will be created if it doesn't exist.
 	 *
+	 * Includes a suffix if log stream rotation is enabled, and changes when the log stream is rotated.
+	 * See {@link CWLogsWritable#rotateInterval}.
+	 *
 	 * @member {string} CWLogsWritable#logStreamName
 	 */
 	Object.defineProperty(this, 'logStreamName', {
 		enumerable: true,
-		writable: false,
-		value: options.logStreamName
+		get: function() {
+			return this._logStreamName;
+		}
 	});
 
 	/**
@@ -105,10 +221,22 @@ function CWLogsWritable(options) {
 		: 100;
 
 	/**
-	 * @member {string|number} CWLogsWritable#retryableDelay
+	 * Amount of wait time before an AWS error marked as "retryable" is retried, in milliseconds.
+	 * Applies to PutLogEvents, DescribeLogStreams, CreateLogGroup and CreateLogStream.
+	 * If "nextTick", `process.nextTick` is used.
+	 *
+	 * Can also be a strategy function, which is called with the attempt number (starting at 1),
+	 * the AWS error and the previous delay (0 for the first attempt). It returns the delay, "nextTick",
+	 * or false to stop retrying and pass the error on. See {@link CWLogsWritable.retryStrategies}
+	 * for built-in strategies, such as exponential backoff.
+	 *
+	 * Errors are not retried more than {@link CWLogsWritable#retryableMax} times, whatever the strategy returns.
+	 * Delays longer than `setTimeout` allows (2147483647 milliseconds, about 24.8 days) are shortened to that.
+	 *
+	 * @member {string|number|function} CWLogsWritable#retryableDelay
 	 * @default 150
 	 */
-	this.retryableDelay = options.retryableDelay === 'nextTick' || typeof options.retryableDelay === 'number'
+	this.retryableDelay = isInterval(options.retryableDelay) || typeof options.retryableDelay === 'function'
 		? options.retryableDelay
 		: 150;
 
@@ -132,6 +260,298 @@ function CWLogsWritable(options) {
 		? Math.min(1048576, Math.max(1024, options.maxBatchSize))
 		: 1048576;
 
+	/**
+	 * Maximum size of a single log event's message, in bytes.
+	 *
+	 * @member {number} CWLogsWritable#maxMessageSize
+	 * @default 262118
+	 */
+	this.maxMessageSize = typeof options.maxMessageSize === 'number'
+		? Math.min(MAX_MESSAGE_SIZE, Math.max(256, options.maxMessageSize))
+		: MAX_MESSAGE_SIZE;
+
+	/**
+	 * How to handle log events with messages larger than {@link CWLogsWritable#maxMessageSize}.
+	 *
+	 * - **truncate** — Cut the message down to fit and end it with "[TRUNCATED]".
+	 *   See {@link CWLogsWritable#truncateLogEvent}.
+	 * - **split** — Split the message into multiple numbered log events
+	 *   that share a correlation ID. See {@link CWLogsWritable#splitLogEvent}.
+	 * - **drop** — Discard the log event and emit a {@link CWLogsWritable#event:dropLogEvents} event.
+	 *
+	 * @member {string} CWLogsWritable#oversizedEventPolicy
+	 * @default truncate
+	 */
+	this.oversizedEventPolicy = typeof options.oversizedEventPolicy === 'string'
+		? options.oversizedEventPolicy
+		: 'truncate';
+
+	/**
+	 * How to handle log events with timestamps that AWS would reject, which is checked just before they are sent.
+	 *
+	 * Timestamps are rejected if they are older than {@link CWLogsWritable#maxEventAge}
+	 * or more than 2 hours in the future.
+	 *
+	 * - **null** — Do not check timestamps. AWS will reject the log events.
+	 * - **clamp** — Change the timestamp to the oldest or newest time allowed.
+	 * - **drop** — Discard the log events and emit a {@link CWLogsWritable#event:dropLogEvents} event.
+	 * - **function(logEvents, reason)** — Remove the log events from the batch and pass them to the function,
+	 *   where `reason` is either "tooOld" or "tooNew".
+	 *
+	 * @member {null|string|function} CWLogsWritable#timestampPolicy
+	 * @default null
+	 */
+	this.timestampPolicy = options.timestampPolicy || null;
+
+	/**
+	 * Called with each batch of log events and the PutLogEvents params just before the batch is sent,
+	 * after {@link CWLogsWritable#timestampPolicy} is applied. Unlike {@link CWLogsWritable#filterWrite},
+	 * it sees the whole batch, so it can be used for redaction, signing or size checks.
+	 *
+	 * It can change log events in place, or return a new array of log events to add or remove them.
+	 * Return an empty array to drop the whole batch. Removed log events are emitted in a
+	 * {@link CWLogsWritable#event:dropLogEvents} event with the reason "beforePutLogEvents".
+	 *
+	 * Log events in the returned array are matched to the batch by identity, so it must contain the
+	 * original log event objects, such as from `Array#filter`. A copy of a log event counts as the original
+	 * being removed and a new one being added, so the original is dropped and released from the
+	 * {@link CWLogsWritable#spool}. To redact log events, change their `message` in place instead.
+	 * Log events are sorted by timestamp afterwards, but the batch must stay within
+	 * {@link CWLogsWritable#maxBatchCount} and {@link CWLogsWritable#maxBatchSize}.
+	 *
+	 * Return a Promise to hold the batch until it resolves, with an array of log events or undefined.
+	 * If it throws or the Promise rejects, the error and batch are passed to {@link CWLogsWritable#onError}.
+	 * Log events returned to the queue by `onError` are passed to the hook again when they are next sent.
+	 *
+	 * @member {?function} CWLogsWritable#beforePutLogEvents
+	 * @default null
+	 */
+	this.beforePutLogEvents = options.beforePutLogEvents || null;
+
+	/**
+	 * Maximum age of a log event's timestamp, in milliseconds, used by {@link CWLogsWritable#timestampPolicy}.
+	 *
+	 * @member {number} CWLogsWritable#maxEventAge
+	 * @default 1209600000
+	 */
+	this.maxEventAge = typeof options.maxEventAge === 'number'
+		? Math.min(MAX_EVENT_AGE, Math.max(MIN_EVENT_AGE, options.maxEventAge))
+		: MAX_EVENT_AGE;
+
+	/**
+	 * Maximum number of log events allowed in the queue.
+	 *
+	 * @member {number} CWLogsWritable#maxQueueCount
+	 * @default Infinity
+	 */
+	this.maxQueueCount = typeof options.maxQueueCount === 'number'
+		? Math.max(1, options.maxQueueCount)
+		: Infinity;
+
+	/**
+	 * Maximum number of bytes allowed in the queue, measured the same as {@link CWLogsWritable#maxBatchSize}.
+	 *
+	 * @member {number} CWLogsWritable#maxQueueBytes
+	 * @default Infinity
+	 */
+	this.maxQueueBytes = typeof options.maxQueueBytes === 'number'
+		? Math.max(1, options.maxQueueBytes)
+		: Infinity;
+
+	/**
+	 * What to do when the queue reaches {@link CWLogsWritable#maxQueueCount} or {@link CWLogsWritable#maxQueueBytes}.
+	 *
+	 * - **dropOldest** — Discard log events from the head of the queue to make room.
+	 * - **dropNewest** — Discard log events that do not fit in the queue.
+	 * - **backpressure** — Hold the Writable#_write callback until the queue has room,
+	 *   so Writable#write returns false and writes are buffered by the stream.
+	 *   Only useful if the code writing to the stream waits for the 'drain' event.
+	 *
+	 * Discarded log events are emitted in a {@link CWLogsWritable#event:dropLogEvents} event.
+	 *
+	 * @member {string} CWLogsWritable#queueOverflowPolicy
+	 * @default dropOldest
+	 */
+	this.queueOverflowPolicy = typeof options.queueOverflowPolicy === 'string'
+		? options.queueOverflowPolicy
+		: 'dropOldest';
+
+	/**
+	 * Rotate the log stream "daily" or "hourly", or null to not rotate based on time.
+	 *
+	 * When rotating by time, {@link CWLogsWritable#logStreamName} is the `logStreamName` option plus the UTC date
+	 * (e.g. "api-2017-02-14") or the UTC date and hour (e.g. "api-2017-02-14-09").
+	 *
+	 * The log stream is also rotated once {@link CWLogsWritable#rotateMaxEvents} log events
+	 * or {@link CWLogsWritable#rotateMaxBytes} bytes have been sent to it, which adds a counter to the name
+	 * (e.g. "api-2017-02-14-1" or "api-1"). The counter restarts when the date or hour changes.
+	 *
+	 * Rotation happens between PutLogEvents batches. The new log stream is created if it doesn't exist,
+	 * and a {@link CWLogsWritable#event:rotateLogStream} event is fired.
+	 * The counts are not kept between streams, so a new stream starts with the first log stream for the period.
+	 *
+	 * @member {?string} CWLogsWritable#rotateInterval
+	 * @default null
+	 */
+	this.rotateInterval = typeof options.rotateInterval === 'string'
+		? options.rotateInterval
+		: null;
+
+	/**
+	 * Rotate the log stream after this many log events have been sent to it. See {@link CWLogsWritable#rotateInterval}.
+	 *
+	 * @member {number} CWLogsWritable#rotateMaxEvents
+	 * @default Infinity
+	 */
+	this.rotateMaxEvents = typeof options.rotateMaxEvents === 'number'
+		? options.rotateMaxEvents
+		: Infinity;
+
+	/**
+	 * Rotate the log stream after this many bytes have been sent to it, measured the same as {@link CWLogsWritable#maxBatchSize}.
+	 * See {@link CWLogsWritable#rotateInterval}.
+	 *
+	 * @member {number} CWLogsWritable#rotateMaxBytes
+	 * @default Infinity
+	 */
+	this.rotateMaxBytes = typeof options.rotateMaxBytes === 'number'
+		? options.rotateMaxBytes
+		: Infinity;
+
+	/**
+	 * Whether PutLogEvents is sent with a sequence token, which is fetched using DescribeLogStreams.
+	 *
+	 * AWS CloudWatch Logs no longer requires sequence tokens, so if this is false DescribeLogStreams is never called.
+	 * Instead, the log group and stream are only created once PutLogEvents fails with a ResourceNotFoundException.
+	 * This avoids DescribeLogStreams throttling when there are many streams, such as across a large fleet.
+	 *
+	 * @member {boolean} CWLogsWritable#useSequenceToken
+	 * @default true
+	 */
+	this.useSequenceToken = options.useSequenceToken !== false;
+
+	/**
+	 * Maximum number of PutLogEvents calls in progress at once.
+	 *
+	 * If greater than 1, batches are sent without waiting for earlier ones to finish,
+	 * which requires {@link CWLogsWritable#useSequenceToken} to be false.
+	 * If any batches fail, no more are sent until the others have finished.
+	 * Then {@link CWLogsWritable#onError} is called once with the first error and the log events
+	 * from all the failed batches, in the order they were queued.
+	 *
+	 * @member {number} CWLogsWritable#maxConcurrentPuts
+	 * @default 1
+	 */
+	this.maxConcurrentPuts = typeof options.maxConcurrentPuts === 'number'
+		? options.maxConcurrentPuts
+		: 1;
+
+	/**
+	 * {@link RateLimiter} instances that each AWS CloudWatch Logs call waits for, keyed by the method name:
+	 * "putLogEvents", "describeLogStreams", "createLogGroup" or "createLogStream". Retries also wait.
+	 *
+	 * Pass the same {@link RateLimiter} to many streams so they share a limit,
+	 * such as DescribeLogStreams which AWS limits per account.
+	 *
+	 * @member {object} CWLogsWritable#rateLimiters
+	 * @default {}
+	 */
+	this.rateLimiters = options.rateLimiters || {};
+
+	/**
+	 * Milliseconds to wait before re-enabling the stream after it is disabled by an error,
+	 * or null to leave it disabled until {@link CWLogsWritable#reset} is called.
+	 *
+	 * @member {?number} CWLogsWritable#recoveryDelay
+	 * @default null
+	 */
+	this.recoveryDelay = typeof options.recoveryDelay === 'number'
+		? options.recoveryDelay
+		: null;
+
+	/**
+	 * Circuit breaker that pauses calls to AWS CloudWatch Logs during an outage,
+	 * or null if the `circuitBreaker` option was not specified.
+	 *
+	 * Each PutLogEvents or DescribeLogStreams call that fails, after any retries, is counted.
+	 * Batches that fail with a transient error, such as a throttling, server or network error, are
+	 * returned to the queue and sent again after `retryDelay` milliseconds, instead of being passed to
+	 * {@link CWLogsWritable#onError}. Other errors are still passed to {@link CWLogsWritable#onError}.
+	 * Once `failureThreshold` calls fail in a row, the circuit opens: no calls are made
+	 * while log events keep being queued, up to {@link CWLogsWritable#maxQueueCount} and
+	 * {@link CWLogsWritable#maxQueueBytes}. After `resetTimeout` milliseconds, a single batch is
+	 * sent as a probe. The circuit closes and sending resumes if it succeeds, or opens again if it fails.
+	 * Only a successful PutLogEvents call closes the circuit or resets the count.
+	 *
+	 * Flushing and ending the stream wait while the circuit is open.
+	 *
+	 * @member {?CircuitBreaker} CWLogsWritable#circuitBreaker
+	 * @default null
+	 */
+	this.circuitBreaker = options.circuitBreaker
+		? new CircuitBreaker(options.circuitBreaker)
+		: null;
+
+	if (this.circuitBreaker) {
+		this.circuitBreaker.on('stateChange', this._emitCircuitStateChange.bind(this));
+	}
+
+	/**
+	 * Called with log events that are given up on, so they are not lost without a trace.
+	 * Created from the `deadLetter` option, or null if it was not specified.
+	 *
+	 * Called as `deadLetter(logEvents, err, info)`, where `err` is the error that caused them to be
+	 * given up on (or null), and `info` is `{logGroupName, logStreamName, reason}`. The reason is one of:
+	 *
+	 * - **onError** — PutLogEvents failed and {@link CWLogsWritable#onError} called `next()` or `next(err)`
+	 *   without returning the log events to the queue.
+	 * - **disabled** — The log events were queued when the stream was disabled by an error.
+	 * - **rejected** — AWS rejected the log events in a successful PutLogEvents call.
+	 * - Any reason of {@link CWLogsWritable#event:dropLogEvents}, except "beforePutLogEvents".
+	 *
+	 * Log events removed on purpose, by {@link CWLogsWritable#beforePutLogEvents} or
+	 * {@link CWLogsWritable#clearQueue}, are not sent to it. The hook may remove them because they
+	 * must not be stored anywhere, and `clearQueue()` returns them to the caller instead.
+	 *
+	 * If the option is a file path, a NDJSON line is appended to the file for each log event, with
+	 * `logGroupName`, `logStreamName`, `reason`, `error` (name, code and message), `timestamp` and `message`.
+	 * If the option is a Writable, the same lines are written to it. Errors thrown while sending to the
+	 * dead-letter target are emitted as 'error' events.
+	 *
+	 * @member {?function} CWLogsWritable#deadLetter
+	 * @default null
+	 */
+	this.deadLetter = options.deadLetter
+		? deadLetter.create(options.deadLetter)
+		: null;
+
+	/**
+	 * Writes text to the `fallback` option, or null if it was not specified.
+	 *
+	 * Once a PutLogEvents or DescribeLogStreams call fails (after any retries), or while the
+	 * {@link CWLogsWritable#circuitBreaker} is open, the failed batch and all queued log events are
+	 * formatted using {@link CWLogsWritable#formatFallbackLogEvent} and written to the fallback,
+	 * instead of being passed to {@link CWLogsWritable#onError}. Log events written after that are
+	 * sent to AWS CloudWatch Logs again, so normal delivery resumes once a PutLogEvents call succeeds.
+	 *
+	 * This is useful when credentials or the network may be missing, such as during local development.
+	 * Use it with the `circuitBreaker` option to avoid calling AWS for every batch during a long outage.
+	 *
+	 * @member {?function} CWLogsWritable#fallback
+	 * @default null
+	 */
+	this.fallback = options.fallback
+		? fallback.create(options.fallback)
+		: null;
+
+	this._rotatePeriod = this.rotateInterval
+		? formatRotatePeriod(Date.now(), this.rotateInterval)
+		: null;
+	this._rotateIndex = 0;
+	this._rotateEvents = 0;
+	this._rotateBytes = 0;
+	this._logStreamName = this._getRotatedLogStreamName();
+
 	if (options.onError) {
 		this.onError = options.onError;
 	}
@@ -143,13 +563,45 @@ function CWLogsWritable(options) {
 	/**
 	 * The AWS.CloudWatchLogs instance.
 	 *
+	 * This is the `cloudWatchLogsClient` option, if specified, or the result of {@link CWLogsWritable#createService}.
+	 * An AWS SDK v3 CloudWatchLogsClient is wrapped in an object with the same callback methods as AWS.CloudWatchLogs,
+	 * which has the client as its `client` property. Errors from AWS SDK v3 are given the same `code` and
+	 * `retryable` properties as AWS SDK v2 errors, so they are retried and handled the same way.
+	 *
 	 * @member {CloudWatchLogs} CWLogsWritable#cloudwatch
 	 */
 	Object.defineProperty(this, 'cloudwatch', {
 		enumerable: true,
 		writable: false,
-		value: this.createService(options.cloudWatchLogsOptions || {})
+		value: awsClient.wrap(options.cloudWatchLogsClient || this.createService(options.cloudWatchLogsOptions || {}))
 	});
+
+	/**
+	 * Disk spool that holds log events until PutLogEvents succeeds, or null if `spoolDir` was not specified.
+	 *
+	 * Log events are appended to segment files in a subdirectory of `spoolDir` for the log group and stream,
+	 * and are released once they are sent or discarded (see {@link CWLogsWritable#event:dropLogEvents}).
+	 * Log events that were not released, such as if the process exited before they were sent,
+	 * are queued again when a stream is created for the same log group, log stream and `spoolDir`.
+	 * The spool is found using the names after placeholders are expanded, so a name with a placeholder that
+	 * changes after a restart, such as {pid} or {uuid}, never finds the log events left in its spool.
+	 *
+	 * A log event may be sent twice if the process exits after PutLogEvents succeeds but before the log event
+	 * is released. Only one stream should use the same log group, log stream and `spoolDir` at a time.
+	 *
+	 * If the spool cannot be written, such as when the disk is full, the error is emitted as an 'error' event
+	 * and log events are still queued, but only in memory.
+	 *
+	 * @protected
+	 * @member {?Spool} CWLogsWritable#spool
+	 */
+	this.spool = options.spoolDir
+		? this.createSpool(options.spoolDir)
+		: null;
+
+	if (this.spool) {
+		this._replaySpool();
+	}
 }
 
 /**
@@ -172,6 +624,28 @@ CWLogsWritable.prototype.validateOptions = function(options) {
 		throw new Error('logStreamName option must be a string');
 	}
 
+	if (hasOwnProperty.call(options, 'resolvePlaceholder') && typeof options.resolvePlaceholder !== 'function') {
+		throw new Error('resolvePlaceholder option must be a function, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'cloudWatchLogsClient') && !awsClient.isClient(options.cloudWatchLogsClient)) {
+		throw new Error('cloudWatchLogsClient option must be an AWS.CloudWatchLogs or a CloudWatchLogsClient, if specified');
+	}
+
+	// Expand placeholders to check them and the resulting names.
+	var templateContext = this._templateContext || template.createContext();
+	var resolvePlaceholder = options.resolvePlaceholder || null;
+
+	template.expand(options.logGroupName, templateContext, resolvePlaceholder, 'logGroupName');
+
+	var logStreamName = template.expand(options.logStreamName, templateContext, resolvePlaceholder, 'logStreamName');
+
+	if (/[:*]/.test(logStreamName)) {
+		throw new Error('logStreamName option cannot contain ":" or "*"' + (logStreamName !== options.logStreamName
+			? ', but expanded to "' + logStreamName + '"'
+			: ''));
+	}
+
 	if (hasOwnProperty.call(options, 'objectMode') && typeof options.objectMode !== 'boolean') {
 		throw new Error('objectMode option must be a boolean, if specified');
 	}
@@ -184,8 +658,8 @@ CWLogsWritable.prototype.validateOptions = function(options) {
 		throw new Error('retryableMax option must be a non-zero positive number, if specified');
 	}
 
-	if (hasOwnProperty.call(options, 'retryableDelay') && !isInterval(options.retryableDelay)) {
-		throw new Error('retryableDelay option must be a positive number or "nextTick", if specified');
+	if (hasOwnProperty.call(options, 'retryableDelay') && !isInterval(options.retryableDelay) && typeof options.retryableDelay !== 'function') {
+		throw new Error('retryableDelay option must be a positive number, "nextTick" or a function, if specified');
 	}
 
 	if (hasOwnProperty.call(options, 'maxBatchCount') && (!isFiniteNumber(options.maxBatchCount) || options.maxBatchCount < 1 || options.maxBatchCount > 10000)) {
@@ -196,6 +670,86 @@ CWLogsWritable.prototype.validateOptions = function(options) {
 		throw new Error('maxBatchSize option must be a positive number from 256 to 1048576, if specified');
 	}
 
+	if (hasOwnProperty.call(options, 'maxMessageSize') && (!isFiniteNumber(options.maxMessageSize) || options.maxMessageSize < 256 || options.maxMessageSize > MAX_MESSAGE_SIZE)) {
+		throw new Error('maxMessageSize option must be a positive number from 256 to ' + MAX_MESSAGE_SIZE + ', if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'oversizedEventPolicy') && OVERSIZED_EVENT_POLICIES.indexOf(options.oversizedEventPolicy) === -1) {
+		throw new Error('oversizedEventPolicy option must be "truncate", "split" or "drop", if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'timestampPolicy') && TIMESTAMP_POLICIES.indexOf(options.timestampPolicy) === -1 && typeof options.timestampPolicy !== 'function') {
+		throw new Error('timestampPolicy option must be "clamp", "drop" or a function, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'maxEventAge') && (!isFiniteNumber(options.maxEventAge) || options.maxEventAge < MIN_EVENT_AGE || options.maxEventAge > MAX_EVENT_AGE)) {
+		throw new Error('maxEventAge option must be a positive number from ' + MIN_EVENT_AGE + ' to ' + MAX_EVENT_AGE + ', if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'maxQueueCount') && (typeof options.maxQueueCount !== 'number' || !(options.maxQueueCount >= 1))) {
+		throw new Error('maxQueueCount option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'maxQueueBytes') && (typeof options.maxQueueBytes !== 'number' || !(options.maxQueueBytes >= 1))) {
+		throw new Error('maxQueueBytes option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'queueOverflowPolicy') && QUEUE_OVERFLOW_POLICIES.indexOf(options.queueOverflowPolicy) === -1) {
+		throw new Error('queueOverflowPolicy option must be "dropOldest", "dropNewest" or "backpressure", if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'rotateInterval') && ROTATE_INTERVALS.indexOf(options.rotateInterval) === -1) {
+		throw new Error('rotateInterval option must be "daily" or "hourly", if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'rotateMaxEvents') && (typeof options.rotateMaxEvents !== 'number' || !(options.rotateMaxEvents >= 1))) {
+		throw new Error('rotateMaxEvents option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'rotateMaxBytes') && (typeof options.rotateMaxBytes !== 'number' || !(options.rotateMaxBytes >= 1))) {
+		throw new Error('rotateMaxBytes option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'useSequenceToken') && typeof options.useSequenceToken !== 'boolean') {
+		throw new Error('useSequenceToken option must be a boolean, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'maxConcurrentPuts') && (!isFiniteNumber(options.maxConcurrentPuts) || options.maxConcurrentPuts < 1)) {
+		throw new Error('maxConcurrentPuts option must be a positive number, if specified');
+	}
+
+	if (options.maxConcurrentPuts > 1 && options.useSequenceToken !== false) {
+		throw new Error('maxConcurrentPuts option can only be greater than 1 if useSequenceToken is false');
+	}
+
+	if (hasOwnProperty.call(options, 'circuitBreaker')) {
+		if (!options.circuitBreaker || typeof options.circuitBreaker !== 'object') {
+			throw new Error('circuitBreaker option must be an object, if specified');
+		}
+
+		CircuitBreaker.prototype.validateOptions(options.circuitBreaker);
+	}
+
+	if (hasOwnProperty.call(options, 'recoveryDelay') && (!isFiniteNumber(options.recoveryDelay) || options.recoveryDelay < 0)) {
+		throw new Error('recoveryDelay option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'rateLimiters') && !isRateLimiters(options.rateLimiters)) {
+		throw new Error('rateLimiters option must be an object of RateLimiter instances keyed by "' + RATE_LIMITED_METHODS.join('", "') + '", if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'spoolDir') && (typeof options.spoolDir !== 'string' || !options.spoolDir)) {
+		throw new Error('spoolDir option must be a non-empty string, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'deadLetter') && !deadLetter.isTarget(options.deadLetter)) {
+		throw new Error('deadLetter option must be a file path, a Writable or a function, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'fallback') && !fallback.isTarget(options.fallback)) {
+		throw new Error('fallback option must be "stderr", a file path or a Writable, if specified');
+	}
+
 	if (hasOwnProperty.call(options, 'onError') && typeof options.onError !== 'function') {
 		throw new Error('onError option must be a function, if specified');
 	}
@@ -203,6 +757,10 @@ CWLogsWritable.prototype.validateOptions = function(options) {
 	if (hasOwnProperty.call(options, 'filterWrite') && typeof options.filterWrite !== 'function') {
 		throw new Error('filterWrite option must be a function, if specified');
 	}
+
+	if (hasOwnProperty.call(options, 'beforePutLogEvents') && typeof options.beforePutLogEvents !== 'function') {
+		throw new Error('beforePutLogEvents option must be a function, if specified');
+	}
 };
 
 /**
@@ -216,17 +774,194 @@ CWLogsWritable.prototype.getQueueSize = function() {
 	return this.queuedLogs.length;
 };
 
+/**
+ * Get the number of bytes used by log events queued to be sent to AWS CloudWatch Logs,
+ * measured the same as {@link CWLogsWritable#maxBatchSize}.
+ *
+ * Does not include events that are actively being sent.
+ *
+ * @returns {number}
+ */
+CWLogsWritable.prototype.getQueueBytes = function() {
+	return this._queuedBytes;
+};
+
+/**
+ * Get delivery statistics, such as for metrics.
+ *
+ * Counters are totals since the stream was created. Bytes are measured the same as {@link CWLogsWritable#maxBatchSize}.
+ *
+ * @returns {CWLogsWritableStats}
+ */
+CWLogsWritable.prototype.getStats = function() {
+	var stats = this._stats.toJSON();
+	var oldestQueuedTime = Infinity;
+
+	// Log events returned to the queue keep the time they were first queued.
+	for (var i = 0; i < this.queuedLogs.length; i++) {
+		if (typeof this.queuedLogs[i][QUEUED_TIME_PROP] === 'number') {
+			oldestQueuedTime = Math.min(oldestQueuedTime, this.queuedLogs[i][QUEUED_TIME_PROP]);
+		}
+	}
+
+	stats.queueSize = this.queuedLogs.length;
+	stats.queueBytes = this._queuedBytes;
+	stats.inFlightPuts = this._inFlightPuts;
+	stats.disabled = this.isDisabled();
+	stats.circuitState = this.circuitBreaker ? this.circuitBreaker.state : null;
+	stats.oldestQueuedEventAge = oldestQueuedTime !== Infinity
+		? Math.max(0, Date.now() - oldestQueuedTime)
+		: null;
+
+	return stats;
+};
+
+/**
+ * Delivery statistics returned by {@link CWLogsWritable#getStats}.
+ *
+ * @typedef {object} CWLogsWritableStats
+ * @property {number} eventsWritten - Log events created from log records written to the stream, before `oversizedEventPolicy` is applied.
+ * @property {number} bytesWritten - Bytes of the log events in `eventsWritten`.
+ * @property {number} eventsFiltered - Log records that {@link CWLogsWritable#filterWrite} returned false for.
+ * @property {number} writesWhileDisabled - Log records discarded because the stream was disabled by an error. See {@link CWLogsWritable#reset}.
+ * @property {number} eventsSent - Log events sent by successful PutLogEvents calls, including ones AWS rejected (see {@link CWLogsWritable#event:rejectedLogEvents}).
+ * @property {number} bytesSent - Bytes of the log events in `eventsSent`.
+ * @property {number} eventsDropped - Log events dropped for any reason. See {@link CWLogsWritable#event:dropLogEvents}.
+ * @property {object} eventsDroppedByReason - Dropped log events keyed by the reason, such as "queueOverflow".
+ * @property {number} eventsRequeued - Log events returned to the queue by {@link CWLogsWritable#onError}.
+ * @property {number} eventsFallback - Log events written to the {@link CWLogsWritable#fallback}.
+ * @property {number} putLogEventsCalls - PutLogEvents calls made, including retries and failed calls.
+ * @property {number} retries - AWS calls that were retried. See {@link CWLogsWritable#event:retry}.
+ * @property {object} errorsByCode - Errors from AWS calls keyed by the error code, including errors that were retried.
+ * @property {?number} lastSuccessTime - Time of the last successful PutLogEvents call, in milliseconds since the epoch.
+ * @property {?Error} lastError - The last error from an AWS call.
+ * @property {?number} lastErrorTime - Time of `lastError`, in milliseconds since the epoch.
+ * @property {{count:number,p50:?number,p90:?number,p99:?number,max:?number}} putLatency - Percentiles of the last 1000 PutLogEvents calls, in milliseconds.
+ * @property {number} queueSize - See {@link CWLogsWritable#getQueueSize}.
+ * @property {number} queueBytes - See {@link CWLogsWritable#getQueueBytes}.
+ * @property {number} inFlightPuts - PutLogEvents calls in progress.
+ * @property {boolean} disabled - See {@link CWLogsWritable#isDisabled}.
+ * @property {?string} circuitState - State of the {@link CWLogsWritable#circuitBreaker}, or null if there is none.
+ * @property {?number} oldestQueuedEventAge - Milliseconds since the oldest queued log event was queued, or null if the queue is empty.
+ */
+
+/**
+ * Re-enable the stream after it was disabled by an error (see {@link CWLogsWritable#onError}),
+ * so log records written from now on are sent to AWS CloudWatch Logs again.
+ *
+ * {@link CWLogsWritable#filterWrite} is restored and the sequence token is cleared,
+ * so the next batch starts by calling DescribeLogStreams. Log records written while the stream
+ * was disabled are not recovered, but they are counted in {@link CWLogsWritable#event:reset}
+ * and `writesWhileDisabled` of {@link CWLogsWritable#getStats}.
+ *
+ * Can also be called when the stream is not disabled, which only clears the sequence token.
+ *
+ * @example
+ * ```javascript
+ * stream.on('error', function(err) {
+ *   console.error('CWLogsWritable error', err);
+ *
+ *   setTimeout(function() {
+ *     stream.reset();
+ *   }, 60000);
+ * });
+ * ```
+ */
+CWLogsWritable.prototype.reset = function() {
+	if (this._recoveryTimer) {
+		clearTimeout(this._recoveryTimer);
+		this._recoveryTimer = null;
+	}
+
+	this.sequenceToken = null;
+
+	if (!this._disabledError) {
+		return;
+	}
+
+	var err = this._disabledError;
+	var disabledWrites = this._disabledWrites;
+
+	this.filterWrite = this._disabledFilterWrite;
+	this._disabledError = null;
+	this._disabledFilterWrite = null;
+	this._disabledWrites = 0;
+
+	this._emitReset(err, disabledWrites);
+};
+
+/**
+ * Check if the stream was disabled by an error and has not been re-enabled by {@link CWLogsWritable#reset}.
+ *
+ * @returns {boolean}
+ */
+CWLogsWritable.prototype.isDisabled = function() {
+	return this._disabledError !== null;
+};
+
 /**
  * Remove all log events that are still queued.
  *
+ * The log events are also released from the {@link CWLogsWritable#spool}, if there is one.
+ * They are not sent to {@link CWLogsWritable#deadLetter}, since they are returned instead.
+ *
  * @returns {Array.<{message:string,timestamp:number}>} Log events removed from the queue.
  */
 CWLogsWritable.prototype.clearQueue = function() {
 	var oldQueue = this.queuedLogs;
 	this.queuedLogs = [];
+	this._queuedBytes = 0;
+	this._releaseLogEvents(oldQueue);
+	this._resumeWrite();
 	return oldQueue;
 };
 
+/**
+ * Wait until all queued log events have been sent to AWS CloudWatch Logs.
+ *
+ * This is also done automatically when the stream is ended,
+ * so 'finish' is not fired until all log events have been sent.
+ *
+ * If the stream is disabled by an error (see {@link CWLogsWritable#onError})
+ * before the log events are sent, the callback is called with that error.
+ *
+ * @param {function} [cb] - Called once the queue is empty and no log events are being sent.
+ * @returns {void|Promise} A Promise if `cb` is not specified.
+ * @example
+ * ```javascript
+ * stream.write('deploy complete');
+ * stream.flush(function(err) {
+ *   process.exit(err ? 1 : 0);
+ * });
+ * ```
+ */
+CWLogsWritable.prototype.flush = function(cb) {
+	if (!cb) {
+		return new Promise(function(resolve, reject) {
+			this.flush(function(err) {
+				if (err) {
+					reject(err);
+				}
+				else {
+					resolve();
+				}
+			});
+		}.bind(this));
+	}
+
+	if (!this.writeQueued) {
+		if (!this.queuedLogs.length) {
+			process.nextTick(cb);
+			return;
+		}
+
+		this.writeQueued = true;
+		this._scheduleSendLogs();
+	}
+
+	this._flushCallbacks.push(cb);
+};
+
 /**
  * Create a log event object from the log record.
  *
@@ -241,6 +976,72 @@ CWLogsWritable.prototype.createLogEvent = function(rec) {
 	};
 };
 
+/**
+ * Format a log event as a line for {@link CWLogsWritable#fallback}.
+ *
+ * @protected
+ * @param {{message:string,timestamp:number}} logEvent
+ * @returns {string} The line, ending with "\n".
+ */
+CWLogsWritable.prototype.formatFallbackLogEvent = function(logEvent) {
+	return new Date(logEvent.timestamp).toISOString() + ' ' + this.logGroupName + ' ' + this.logStreamName + ' ' + logEvent.message + '\n';
+};
+
+/**
+ * Truncate a log event with a message that is larger than {@link CWLogsWritable#maxMessageSize}.
+ *
+ * Used when {@link CWLogsWritable#oversizedEventPolicy} is "truncate".
+ *
+ * @protected
+ * @param {{message:string,timestamp:number}} logEvent
+ * @returns {{message:string,timestamp:number}} A log event with a message that fits within the limit.
+ */
+CWLogsWritable.prototype.truncateLogEvent = function(logEvent) {
+	var marker = '[TRUNCATED]';
+	var maxSize = this.maxMessageSize - this.getMessageSize(marker);
+
+	return {
+		message: logEvent.message.substr(0, fitMessageLength(this, logEvent.message, 0, maxSize)) + marker,
+		timestamp: logEvent.timestamp
+	};
+};
+
+/**
+ * Split a log event with a message that is larger than {@link CWLogsWritable#maxMessageSize}
+ * into multiple log events.
+ *
+ * Used when {@link CWLogsWritable#oversizedEventPolicy} is "split".
+ *
+ * Each message chunk is prefixed with a correlation ID shared by all the chunks,
+ * and the chunk's number and total (e.g. "[3f2a9c01b7de 2/3] ").
+ *
+ * @protected
+ * @param {{message:string,timestamp:number}} logEvent
+ * @returns {Array.<{message:string,timestamp:number}>} Log events that each fit within the limit.
+ */
+CWLogsWritable.prototype.splitLogEvent = function(logEvent) {
+	var correlationId = crypto.randomBytes(6).toString('hex');
+	var message = logEvent.message;
+
+	// Reserve room for the largest possible prefix, since the total is not known yet.
+	var maxSize = this.maxMessageSize - this.getMessageSize(chunkPrefix(correlationId, message.length, message.length));
+
+	var chunks = [];
+	var offset = 0;
+	while (offset < message.length) {
+		var chunkLength = Math.max(1, fitMessageLength(this, message, offset, maxSize));
+		chunks.push(message.substr(offset, chunkLength));
+		offset += chunkLength;
+	}
+
+	return chunks.map(function(chunk, i) {
+		return {
+			message: chunkPrefix(correlationId, i + 1, chunks.length) + chunk,
+			timestamp: logEvent.timestamp
+		};
+	});
+};
+
 /**
  * Called when an AWS error is encountered. Do not call directly.
  *
@@ -258,7 +1059,8 @@ CWLogsWritable.prototype.createLogEvent = function(rec) {
  * - **`next(err)`** — If the first argument is an instance of `Error`, an 'error'
  *   event will be emitted on the stream, {@link CWLogsWritable#clearQueue} is called,
  *   and {@link CWLogsWritable#filterWrite} is replaced so no further logging
- *   will be processed by the stream. This effectively disables the stream.
+ *   will be processed by the stream. This effectively disables the stream,
+ *   until {@link CWLogsWritable#reset} is called or {@link CWLogsWritable#recoveryDelay} has passed.
  *
  * - **`next()` or `next(logEvents)`** — The stream will recover from the error and
  *   resume sending logs to AWS CloudWatch Logs. The first argument may optionally be
@@ -317,7 +1119,9 @@ CWLogsWritable.prototype.filterWrite = function(rec) {
 };
 
 /**
- * Create the AWS.CloudWatchLogs service.
+ * Create the AWS.CloudWatchLogs service, if the `cloudWatchLogsClient` option was not specified.
+ *
+ * May be overridden to return an AWS SDK v3 CloudWatchLogsClient instead.
  *
  * @protected
  * @param {object} opts - Passed as first argument to AWS.CloudWatchLogs.
@@ -327,6 +1131,17 @@ CWLogsWritable.prototype.createService = function(opts) {
 	return new AWS.CloudWatchLogs(opts);
 };
 
+/**
+ * Create the disk spool for {@link CWLogsWritable#spool}.
+ *
+ * @protected
+ * @param {string} spoolDir - The `spoolDir` option.
+ * @returns {Spool}
+ */
+CWLogsWritable.prototype.createSpool = function(spoolDir) {
+	return new Spool(spoolDir, this.logGroupName, this.baseLogStreamName);
+};
+
 /**
  * Get the size of the next batch of log events to send,
  * based on the the constraints of PutLogEvents.
@@ -341,19 +1156,31 @@ CWLogsWritable.prototype.nextLogBatchSize = function(queuedLogs) {
 	var sizeEstimate = 0;
 
 	// (DONE) The maximum batch size is 1,048,576 bytes, and this size is calculated as the sum of all event messages in UTF-8, plus 26 bytes for each log event.
-	// (SKIP) None of the log events in the batch can be more than 2 hours in the future.
-	// (SKIP) None of the log events in the batch can be older than 14 days or the retention period of the log group.
-	// TODO: The log events in the batch must be in chronological ordered by their timestamp (the time the event occurred, expressed as the number of milliseconds since Jan 1, 1970 00:00:00 UTC).
+	// (DONE) None of the log events in the batch can be more than 2 hours in the future.
+	// (DONE) None of the log events in the batch can be older than 14 days or the retention period of the log group.
+	//        Both handled by CWLogsWritable#timestampPolicy in CWLogsWritable#_sendLogs.
+	// (DONE) The log events in the batch must be in chronological ordered by their timestamp (the time the event occurred, expressed as the number of milliseconds since Jan 1, 1970 00:00:00 UTC).
+	//        Handled by sorting the batch in CWLogsWritable#_sendLogs.
 	// (DONE) The maximum number of log events in a batch is 10,000.
-	// TODO: A batch of log events in a single request cannot span more than 24 hours. Otherwise, the operation fails.
+	// (DONE) A batch of log events in a single request cannot span more than 24 hours. Otherwise, the operation fails.
+
+	var minTimestamp = Infinity;
+	var maxTimestamp = -Infinity;
 
 	for (var i = 0, l = queuedLogs.length; i < l; i++) {
-		sizeEstimate += 26 + this.getMessageSize(queuedLogs[i].message);
+		sizeEstimate += LOG_EVENT_OVERHEAD + this._getLogEventSize(queuedLogs[i]);
+		minTimestamp = Math.min(minTimestamp, queuedLogs[i].timestamp);
+		maxTimestamp = Math.max(maxTimestamp, queuedLogs[i].timestamp);
 
 		// Cut off at the max bytes limit.
 		if (sizeEstimate > this.maxBatchSize || batchCount >= this.maxBatchCount) {
 			break;
 		}
+
+		// Cut off before the batch spans more than 24 hours.
+		else if (maxTimestamp - minTimestamp > MAX_BATCH_SPAN) {
+			break;
+		}
 		else {
 			batchCount = i + 1;
 		}
@@ -366,25 +1193,18 @@ CWLogsWritable.prototype.nextLogBatchSize = function(queuedLogs) {
  * Get the size of the message, which is used while determining
  * how many messages can fit within a single PutLogEvents API call.
  *
- * By default this is calculated by the length of the string.
- *
- * However, if a string contains multi-byte UTF characters the size
- * will be off which may result in a PutLogEvents error.
- *
- * For example, "I \u2764 AWS" is 7 characters but 9 bytes.
+ * By default this is calculated as the number of bytes when encoded as UTF-8,
+ * which is how AWS measures it. For example, "I \u2764 AWS" is 7 characters but 9 bytes.
  *
- * You may override this method to provide your own implementation
- * to correctly measure string sizes.
- *
- * Alternatively, you can reduce `maxBatchSize` to a number that
- * takes into account possible UTF-8 characters.
+ * The size is calculated once when the log event is queued, and is
+ * calculated again only if the log event's message is changed.
  *
  * @protected
  * @param {string} message - The "message" prop of an LogEvent.
  * @returns {number} The size of the message.
  */
 CWLogsWritable.prototype.getMessageSize = function(message) {
-	return message.length;
+	return Buffer.byteLength(message, 'utf8');
 };
 
 /**
@@ -401,29 +1221,186 @@ CWLogsWritable.prototype._scheduleSendLogs = function() {
 	}
 };
 
+/**
+ * Add a log event to the queue, applying {@link CWLogsWritable#oversizedEventPolicy} if it is too large.
+ *
+ * @param {{message:string,timestamp:number}} logEvent
+ * @private
+ */
+CWLogsWritable.prototype._queueLogEvent = function(logEvent) {
+	var logEvents;
+
+	if (this._getLogEventSize(logEvent) <= this.maxMessageSize) {
+		logEvents = [logEvent];
+	}
+	else if (this.oversizedEventPolicy === 'split') {
+		logEvents = this.splitLogEvent(logEvent);
+	}
+	else if (this.oversizedEventPolicy === 'drop') {
+		this._dropLogEvents([logEvent], 'oversized');
+		return;
+	}
+	else {
+		logEvents = [this.truncateLogEvent(logEvent)];
+	}
+
+	var dropped = [];
+	var now = Date.now();
+
+	for (var i = 0; i < logEvents.length; i++) {
+		var bytes = LOG_EVENT_OVERHEAD + this._getLogEventSize(logEvents[i]);
+
+		if (this.queueOverflowPolicy === 'dropNewest' && this._isQueueFull(bytes)) {
+			dropped.push(logEvents[i]);
+			continue;
+		}
+
+		this._spoolLogEvents([logEvents[i]]);
+
+		setQueuedTime(logEvents[i], now);
+		this.queuedLogs.push(logEvents[i]);
+		this._queuedBytes += bytes;
+
+		if (this.queueOverflowPolicy === 'dropOldest') {
+			while (this.queuedLogs.length && this._isQueueFull(0)) {
+				dropped.push(this.queuedLogs[0]);
+				this._queuedBytes -= LOG_EVENT_OVERHEAD + this._getLogEventSize(this.queuedLogs.shift());
+			}
+		}
+	}
+
+	if (dropped.length) {
+		this._dropLogEvents(dropped, 'queueOverflow');
+	}
+};
+
+/**
+ * Check if the queue would be over {@link CWLogsWritable#maxQueueCount} or {@link CWLogsWritable#maxQueueBytes}
+ * if another log event was added.
+ *
+ * @param {number} bytes - Size of the log event that would be added, or 0 to check the queue as-is.
+ * @returns {boolean}
+ * @private
+ */
+CWLogsWritable.prototype._isQueueFull = function(bytes) {
+	return this.queuedLogs.length + (bytes ? 1 : 0) > this.maxQueueCount
+		|| this._queuedBytes + bytes > this.maxQueueBytes;
+};
+
+/**
+ * Call the held Writable#_write callback if {@link CWLogsWritable#queueOverflowPolicy}
+ * is "backpressure" and the queue has room.
+ *
+ * @private
+ */
+CWLogsWritable.prototype._resumeWrite = function() {
+	if (this._pendingWriteCb && this.queuedLogs.length < this.maxQueueCount && this._queuedBytes < this.maxQueueBytes) {
+		var cb = this._pendingWriteCb;
+		this._pendingWriteCb = null;
+		cb();
+	}
+};
+
+/**
+ * Get the number of bytes used by log events, measured the same as {@link CWLogsWritable#maxBatchSize}.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @returns {number}
+ * @private
+ */
+CWLogsWritable.prototype._getLogEventsBytes = function(logEvents) {
+	var bytes = 0;
+
+	for (var i = 0; i < logEvents.length; i++) {
+		bytes += LOG_EVENT_OVERHEAD + this._getLogEventSize(logEvents[i]);
+	}
+
+	return bytes;
+};
+
+/**
+ * Get the size of a log event's message using {@link CWLogsWritable#getMessageSize}.
+ *
+ * The size is stored with the log event so it is not calculated again,
+ * unless the message changes.
+ *
+ * @param {{message:string,timestamp:number}} logEvent
+ * @returns {number}
+ * @private
+ */
+CWLogsWritable.prototype._getLogEventSize = function(logEvent) {
+	var cached = logEvent[SIZE_CACHE_PROP];
+
+	if (cached && cached.message === logEvent.message) {
+		return cached.size;
+	}
+
+	var size = this.getMessageSize(logEvent.message);
+
+	// Non-enumerable so it is not sent to AWS or included when the log event is serialized.
+	Object.defineProperty(logEvent, SIZE_CACHE_PROP, {
+		configurable: true,
+		writable: true,
+		value: { message: logEvent.message, size: size }
+	});
+
+	return size;
+};
+
 /**
  * Internal method called by Writable#_write.
  *
  * @param {object|string} record - Logging record. Can be an object if objectMode options is true.
  * @param {*} _enc - Ignored
- * @param {function} cb - Always called with no arguments.
+ * @param {function} cb - Always called with no arguments. Held if {@link CWLogsWritable#queueOverflowPolicy} is "backpressure" and the queue is full.
  * @private
  */
 CWLogsWritable.prototype._write = function _write(record, _enc, cb) {
 	if (this.filterWrite(record)) {
-		// TODO: Handle records that are over (256 * 1024 - 26) bytes, the limit for a CloudWatch Log event minus 26 byte overhead
+		var logEvent = this.createLogEvent(record);
 
-		this.queuedLogs.push(this.createLogEvent(record));
+		this._stats.recordWritten(LOG_EVENT_OVERHEAD + this._getLogEventSize(logEvent));
+		this._queueLogEvent(logEvent);
 
 		if (!this.writeQueued) {
 			this.writeQueued = true;
 			this._scheduleSendLogs();
 		}
+
+		if (this.queueOverflowPolicy === 'backpressure' && (this.queuedLogs.length >= this.maxQueueCount || this._queuedBytes >= this.maxQueueBytes)) {
+			// Hold the callback until the queue has room, which is released by CWLogsWritable#_resumeWrite.
+			this._pendingWriteCb = cb;
+			return;
+		}
+	}
+	else if (this._disabledError) {
+		this._disabledWrites++;
+		this._stats.recordDisabledWrite();
+	}
+	else {
+		this._stats.recordFiltered();
 	}
 
 	cb();
 };
 
+/**
+ * Internal method called by Writable#end, which delays 'finish' until all log events are sent.
+ *
+ * @param {function} cb
+ * @private
+ */
+CWLogsWritable.prototype._final = function(cb) {
+	// Errors are already emitted by CWLogsWritable#_handleError.
+	this.flush(function() {
+		if (this.spool) {
+			this.spool.close();
+		}
+
+		cb();
+	}.bind(this));
+};
+
 /**
  * Send the next batch of log events to AWS CloudWatch Logs.
  *
@@ -431,10 +1408,30 @@ CWLogsWritable.prototype._write = function _write(record, _enc, cb) {
  * @returns {void}
  */
 CWLogsWritable.prototype._sendLogs = function() {
-	if (this.sequenceToken === null) {
+	// Wait for a PutLogEvents call to finish, or for failed log events to be passed to CWLogsWritable#onError.
+	if (this._inFlightPuts >= this.maxConcurrentPuts || this._putErrors.length || this._failedLogEvents) {
+		return;
+	}
+
+	if (this.circuitBreaker && this._waitForCircuitBreaker()) {
+		return;
+	}
+
+	if (this.useSequenceToken && this.sequenceToken === null) {
 		this._getSequenceToken(function(err, sequenceToken) {
+			this._recordServiceResult('describeLogStreams', err);
+
 			if (err) {
-				this.onError(err, null, this._nextAfterError.bind(this, ++this._onErrorNextCbId));
+				if (this.fallback) {
+					this._onErrorNextCbId++;
+					this._useFallback(err, []);
+				}
+				else if (this.circuitBreaker && awsClient.isTransientError(err)) {
+					this._retryAfterError(++this._onErrorNextCbId);
+				}
+				else {
+					this.onError(err, null, this._nextAfterError.bind(this, ++this._onErrorNextCbId));
+				}
 			}
 			else {
 				this.sequenceToken = sequenceToken;
@@ -445,134 +1442,925 @@ CWLogsWritable.prototype._sendLogs = function() {
 	}
 
 	if (!this.queuedLogs.length) {
-		this.writeQueued = false;
+		// Otherwise the last PutLogEvents call to finish will complete the send.
+		if (!this._inFlightPuts) {
+			this._sendLogsComplete();
+		}
+
 		return;
 	}
 
-	var batchCount = this.nextLogBatchSize(this.queuedLogs);
+	if (this._rotateLogStreamIfNeeded()) {
+		// Get the sequence token for the new log stream.
+		this._sendLogs();
+		return;
+	}
+
+	var batchCount = this._limitBatchForRotation(this.nextLogBatchSize(this.queuedLogs));
 
 	var apiParams = {
 		logGroupName: this.logGroupName,
-		logStreamName: this.logStreamName,
-		sequenceToken: this.sequenceToken,
-		logEvents: null
+		logStreamName: this.logStreamName
 	};
 
+	if (this.useSequenceToken) {
+		apiParams.sequenceToken = this.sequenceToken;
+	}
+
 	if (batchCount === this.queuedLogs.length) {
 		// Put all queued items since they fit
 		apiParams.logEvents = this.queuedLogs;
 		this.queuedLogs = [];
+		this._queuedBytes = 0;
 	}
 	else {
 		// Queue just the items that fit within a putLogEvents call
 		apiParams.logEvents = this.queuedLogs.splice(0, batchCount);
+		this._queuedBytes -= this._getLogEventsBytes(apiParams.logEvents);
+	}
+
+	this._resumeWrite();
+
+	if (this.timestampPolicy) {
+		apiParams.logEvents = this._checkTimestamps(apiParams.logEvents);
+
+		// Move on to the next batch if none of the log events are left.
+		if (!apiParams.logEvents.length) {
+			this._sendLogs();
+			return;
+		}
 	}
 
-	this._putLogEvents(apiParams, function(err, sequenceToken) {
+	var batchId = ++this._putBatchId;
+	var batchCountForRotation = apiParams.logEvents.length;
+	var batchBytesForRotation = this._getLogEventsBytes(apiParams.logEvents);
+
+	// Counted when the batch is sent so concurrent batches do not go over the rotation limits.
+	this._rotateEvents += batchCountForRotation;
+	this._rotateBytes += batchBytesForRotation;
+	this._inFlightPuts++;
+
+	var onPutError = function(err) {
+		this._inFlightPuts--;
+
+		if (apiParams.logStreamName === this._logStreamName) {
+			this._rotateEvents -= batchCountForRotation;
+			this._rotateBytes -= batchBytesForRotation;
+		}
+
+		this._putErrors.push({ batchId: batchId, err: err, logEvents: apiParams.logEvents });
+		this._putLogEventsComplete();
+	}.bind(this);
+
+	this._beforePutLogEvents(apiParams, function(err) {
 		if (err) {
-			this._onErrorNextCbId++;
-			this.onError(err, apiParams.logEvents, this._nextAfterError.bind(this, this._onErrorNextCbId));
+			onPutError(err);
+			return;
 		}
-		else {
-			this.sequenceToken = sequenceToken;
-			this._emitPutLogEvents(apiParams.logEvents);
 
-			if (this.queuedLogs.length) {
-				this._scheduleSendLogs();
-			}
-			else {
-				this.writeQueued = false;
+		// The whole batch was dropped by beforePutLogEvents.
+		if (!apiParams.logEvents.length) {
+			this._inFlightPuts--;
+
+			if (apiParams.logStreamName === this._logStreamName) {
+				this._rotateEvents -= batchCountForRotation;
+				this._rotateBytes -= batchBytesForRotation;
 			}
+
+			this._putLogEventsComplete();
+			return;
 		}
+
+		// PutLogEvents rejects batches that are not in chronological order.
+		sortLogEvents(apiParams.logEvents);
+
+		this._putLogEvents(apiParams, function(err, sequenceToken, rejectedLogEventsInfo) {
+			this._recordServiceResult('putLogEvents', err);
+
+			if (err) {
+				onPutError(err);
+				return;
+			}
+
+			this._inFlightPuts--;
+
+			var rejectedLogEvents = getRejectedLogEvents(apiParams.logEvents, rejectedLogEventsInfo);
+
+			if (this.useSequenceToken) {
+				this.sequenceToken = sequenceToken;
+			}
+
+			this._stats.recordSent(apiParams.logEvents.length, this._getLogEventsBytes(apiParams.logEvents));
+			this._releaseLogEvents(apiParams.logEvents);
+			this._emitPutLogEvents(apiParams.logEvents, rejectedLogEvents);
+
+			if (rejectedLogEvents) {
+				this._emitRejectedLogEvents(rejectedLogEvents);
+				this._sendToDeadLetter(flattenRejectedLogEvents(rejectedLogEvents), 'rejected', null);
+			}
+
+			this._putLogEventsComplete();
+		}.bind(this));
 	}.bind(this));
+
+	// Fill the remaining PutLogEvents slots, if there are any.
+	if (this._inFlightPuts < this.maxConcurrentPuts && this.queuedLogs.length) {
+		this._sendLogs();
+	}
 };
 
 /**
- * Attempt to continue sending log events to AWS CloudWatch Logs after an error was previously returned.
+ * Run {@link CWLogsWritable#beforePutLogEvents}, if there is one, and apply its result to `apiParams.logEvents`.
  *
- * @param {number} _onErrorNextCbId - Internal ID used to prevent multiple calls.
- * @param {Error|Array.<{message:string,timestamp:number}>} [errOrLogEvents] - The log events that failed to send, which will be returned to the beginning of the queue.
+ * Log events removed from the batch are released from the {@link CWLogsWritable#spool}
+ * and emitted in a {@link CWLogsWritable#event:dropLogEvents} event.
+ *
+ * @param {object} apiParams
+ * @param {function} cb - Called with an error if the hook threw, rejected or returned an invalid value.
+ *   Called synchronously if there is no hook or it does not return a Promise.
  * @private
  */
-CWLogsWritable.prototype._nextAfterError = function(_onErrorNextCbId, errOrLogEvents) {
-	// Abort if not the current 'next' callback.
-	if (this._onErrorNextCbId !== _onErrorNextCbId) {
+CWLogsWritable.prototype._beforePutLogEvents = function(apiParams, cb) {
+	if (!this.beforePutLogEvents) {
+		cb();
 		return;
 	}
 
-	// Increment to prevent calling again.
-	this._onErrorNextCbId++;
+	var originalLogEvents = apiParams.logEvents.slice();
+	var result;
 
-	// Reset sequence token since we don't know if it's accurate anymore
-	this.sequenceToken = null;
+	var applyResult = function(logEvents) {
+		if (logEvents !== void 0) {
+			if (!Array.isArray(logEvents)) {
+				cb(new Error('beforePutLogEvents must return an array of log events, a Promise or undefined'));
+				return;
+			}
 
-	if (errOrLogEvents instanceof Error) {
-		this._handleError(errOrLogEvents);
+			apiParams.logEvents = logEvents;
+		}
+
+		var removed = getRemovedLogEvents(originalLogEvents, apiParams.logEvents);
+
+		if (removed.length) {
+			this._dropLogEvents(removed, 'beforePutLogEvents');
+		}
+
+		cb();
+	}.bind(this);
+
+	try {
+		result = this.beforePutLogEvents(apiParams.logEvents, apiParams);
+	}
+	catch (err) {
+		cb(err);
 		return;
 	}
 
-	if (errOrLogEvents) {
-		// Return the log events to the beginning of the queue
-		if (this.queuedLogs.length) {
-			this.queuedLogs = errOrLogEvents.concat(this.queuedLogs);
+	if (result && typeof result.then === 'function') {
+		// Continue outside of the Promise so errors thrown later are not swallowed.
+		result.then(function(logEvents) {
+			process.nextTick(applyResult, logEvents);
+		}, function(err) {
+			process.nextTick(cb, err || new Error('beforePutLogEvents rejected without an error'));
+		});
+	}
+	else {
+		applyResult(result);
+	}
+};
+
+/**
+ * Called when a PutLogEvents call from {@link CWLogsWritable#_sendLogs} finishes, successful or not.
+ *
+ * Once no calls are in progress, failed batches are passed to {@link CWLogsWritable#onError} as one,
+ * in the order they were queued so they can be returned to the queue in the same order.
+ *
+ * @private
+ */
+CWLogsWritable.prototype._putLogEventsComplete = function() {
+	if (this._putErrors.length) {
+		if (this._inFlightPuts) {
+			return;
+		}
+
+		var putErrors = this._putErrors.sort(function(a, b) {
+			return a.batchId - b.batchId;
+		});
+
+		var failedLogEvents = putErrors.length === 1
+			? putErrors[0].logEvents
+			: Array.prototype.concat.apply([], putErrors.map(function(putError) {
+				return putError.logEvents;
+			}));
+
+		this._putErrors = [];
+		this._onErrorNextCbId++;
+
+		if (this.fallback) {
+			this._useFallback(putErrors[0].err, failedLogEvents);
+			return;
+		}
+
+		this._failedError = putErrors[0].err;
+		this._failedLogEvents = failedLogEvents;
+
+		if (this.circuitBreaker && awsClient.isTransientError(putErrors[0].err)) {
+			this._retryAfterError(this._onErrorNextCbId, this._failedLogEvents);
 		}
 		else {
-			this.queuedLogs = errOrLogEvents;
+			this.onError(putErrors[0].err, this._failedLogEvents, this._nextAfterError.bind(this, this._onErrorNextCbId));
 		}
 	}
-
-	this._scheduleSendLogs();
+	else if (this.queuedLogs.length) {
+		this._scheduleSendLogs();
+	}
+	else if (!this._inFlightPuts) {
+		this._sendLogsComplete();
+	}
 };
 
 /**
- * Handle an critial error. This effectively disables the stream.
+ * Check if {@link CWLogsWritable#_sendLogs} must wait for the {@link CWLogsWritable#circuitBreaker}.
  *
- * @param {Error} err
+ * While open, log events stay queued and a timer sends again once a probe is allowed,
+ * unless there is a {@link CWLogsWritable#fallback} to write them to.
+ * While half-open, only one batch is sent at a time.
+ *
+ * @returns {boolean} true to wait.
  * @private
  */
-CWLogsWritable.prototype._handleError = function(err) {
-	this.emit('error', err);
-	this.clearQueue();
-	this.filterWrite = CWLogsWritable._falseFilterWrite;
+CWLogsWritable.prototype._waitForCircuitBreaker = function() {
+	var circuitBreaker = this.circuitBreaker;
+
+	// Already waiting, either for a probe or before a failed call is made again.
+	if (this._circuitTimer) {
+		return true;
+	}
+
+	if (circuitBreaker.allowRequest()) {
+		return circuitBreaker.state === 'halfOpen' && this._inFlightPuts > 0;
+	}
+
+	if (!this.queuedLogs.length) {
+		if (!this._inFlightPuts) {
+			this._sendLogsComplete();
+		}
+	}
+	else if (this.fallback) {
+		// Log events written after the circuit breaker allows a probe are sent to AWS again.
+		this._useFallback(null, []);
+	}
+	else {
+		this._setCircuitTimer(this._sendLogs.bind(this), circuitBreaker.getRemainingTimeout());
+	}
+
+	return true;
 };
 
 /**
- * Send a PutLogEvents action to AWS.
+ * Return log events to the queue after a transient error, to be sent again once the
+ * {@link CWLogsWritable#circuitBreaker} allows it. While the circuit is closed,
+ * this first waits for its `retryDelay`.
  *
- * @param {object} apiParams
- * @param {function} cb
+ * @param {number} onErrorNextCbId
+ * @param {Array.<{message:string,timestamp:number}>} [failedLogEvents]
  * @private
  */
-CWLogsWritable.prototype._putLogEvents = function(apiParams, cb) {
-	var retries = 0;
-	var retryableDelay = this.retryableDelay;
-	var retryableMax = this.retryableMax;
-	var cloudwatch = this.cloudwatch;
+CWLogsWritable.prototype._retryAfterError = function(onErrorNextCbId, failedLogEvents) {
+	var next = this._nextAfterError.bind(this, onErrorNextCbId, failedLogEvents);
 
-	attemptPut();
+	if (this.circuitBreaker.state === 'closed') {
+		this._setCircuitTimer(next, this.circuitBreaker.retryDelay);
+	}
+	else {
+		next();
+	}
+};
 
-	function attemptPut() {
-		cloudwatch.putLogEvents(apiParams, function(err, res) {
-			if (err) {
-				if (err.retryable && retryableMax > retries++) {
-					if (retryableDelay === 'nextTick') {
-						process.nextTick(attemptPut);
-					}
+/**
+ * Call a function after a delay, while {@link CWLogsWritable#_sendLogs} waits for it.
+ *
+ * @param {function} fn
+ * @param {number} delay
+ * @private
+ */
+CWLogsWritable.prototype._setCircuitTimer = function(fn, delay) {
+	this._circuitTimer = setTimeout(function() {
+		this._circuitTimer = null;
+		fn();
+	}.bind(this), delay);
+
+	// Do not keep the process running just to wait.
+	if (this._circuitTimer.unref) {
+		this._circuitTimer.unref();
+	}
+};
+
+/**
+ * Record the result of an AWS call with the {@link CWLogsWritable#circuitBreaker}, if there is one,
+ * and stop using the {@link CWLogsWritable#fallback} if it succeeded.
+ *
+ * Only a successful PutLogEvents call closes the circuit or stops using the fallback,
+ * since DescribeLogStreams can succeed while log events cannot be sent.
+ *
+ * @param {string} method - "putLogEvents" or "describeLogStreams".
+ * @param {?Error} err
+ * @private
+ */
+CWLogsWritable.prototype._recordServiceResult = function(method, err) {
+	if (this.circuitBreaker) {
+		if (err) {
+			this.circuitBreaker.recordFailure();
+		}
+		else if (method === 'putLogEvents') {
+			this.circuitBreaker.recordSuccess();
+		}
+	}
+
+	if (!err && method === 'putLogEvents' && this._fallbackActive) {
+		this._fallbackActive = false;
+		this._emitFallbackEnd();
+	}
+};
+
+/**
+ * Write failed log events and the rest of the queue to the {@link CWLogsWritable#fallback}.
+ *
+ * @param {?Error} err - The error from AWS, or null if the circuit breaker is open.
+ * @param {Array.<{message:string,timestamp:number}>} failedLogEvents
+ * @private
+ */
+CWLogsWritable.prototype._useFallback = function(err, failedLogEvents) {
+	// Reset sequence token since we don't know if it's accurate anymore
+	this.sequenceToken = null;
+
+	this._releaseLogEvents(failedLogEvents);
+
+	var logEvents = failedLogEvents.concat(this.clearQueue());
+
+	if (!this._fallbackActive) {
+		this._fallbackActive = true;
+		this._emitFallbackStart(err);
+	}
+
+	if (logEvents.length) {
+		try {
+			this.fallback(logEvents.map(this.formatFallbackLogEvent, this).join(''));
+			this._stats.recordFallback(logEvents.length);
+		}
+		catch (fallbackErr) {
+			this.emit('error', fallbackErr);
+		}
+	}
+
+	// Otherwise the last PutLogEvents call to finish will complete the send.
+	if (!this._inFlightPuts) {
+		this._sendLogsComplete();
+	}
+};
+
+/**
+ * Get the log stream name for the current rotation period and counter.
+ *
+ * @returns {string}
+ * @private
+ */
+CWLogsWritable.prototype._getRotatedLogStreamName = function() {
+	var logStreamName = this.baseLogStreamName;
+
+	if (this._rotatePeriod) {
+		logStreamName += '-' + this._rotatePeriod;
+	}
+
+	if (this._rotateIndex) {
+		logStreamName += '-' + this._rotateIndex;
+	}
+
+	return logStreamName;
+};
+
+/**
+ * Switch to a new log stream if the rotation period has changed,
+ * or if {@link CWLogsWritable#rotateMaxEvents} or {@link CWLogsWritable#rotateMaxBytes} has been reached
+ * or the next log event would go over it.
+ *
+ * @returns {boolean} true if the log stream was rotated.
+ * @private
+ */
+CWLogsWritable.prototype._rotateLogStreamIfNeeded = function() {
+	var period = this.rotateInterval
+		? formatRotatePeriod(Date.now(), this.rotateInterval)
+		: null;
+
+	var nextBytes = this._rotateBytes
+		? this._rotateBytes + LOG_EVENT_OVERHEAD + this._getLogEventSize(this.queuedLogs[0])
+		: 0;
+
+	if (period !== this._rotatePeriod) {
+		this._rotatePeriod = period;
+		this._rotateIndex = 0;
+	}
+	else if (this._rotateEvents >= this.rotateMaxEvents || nextBytes > this.rotateMaxBytes) {
+		this._rotateIndex++;
+	}
+	else {
+		return false;
+	}
+
+	var oldLogStreamName = this._logStreamName;
+
+	this._rotateEvents = 0;
+	this._rotateBytes = 0;
+	this._logStreamName = this._getRotatedLogStreamName();
+	this.sequenceToken = null;
+
+	this._emitRotateLogStream(oldLogStreamName, this._logStreamName);
+	return true;
+};
+
+/**
+ * Reduce the size of a batch so the log stream does not go over
+ * {@link CWLogsWritable#rotateMaxEvents} or {@link CWLogsWritable#rotateMaxBytes}.
+ *
+ * A batch always includes at least one log event, even if it is larger than `rotateMaxBytes`.
+ *
+ * @param {number} batchCount - Size of the batch from {@link CWLogsWritable#nextLogBatchSize}.
+ * @returns {number}
+ * @private
+ */
+CWLogsWritable.prototype._limitBatchForRotation = function(batchCount) {
+	if (this.rotateMaxEvents === Infinity && this.rotateMaxBytes === Infinity) {
+		return batchCount;
+	}
+
+	var maxCount = Math.min(batchCount, this.rotateMaxEvents - this._rotateEvents);
+	var maxBytes = this.rotateMaxBytes - this._rotateBytes;
+	var bytes = 0;
+	var count = 0;
+
+	while (count < maxCount) {
+		bytes += LOG_EVENT_OVERHEAD + this._getLogEventSize(this.queuedLogs[count]);
+
+		if (bytes > maxBytes && count > 0) {
+			break;
+		}
+
+		count++;
+	}
+
+	return Math.max(1, count);
+};
+
+/**
+ * Called when there are no more log events to send.
+ *
+ * @param {Error} [err] - Set if the stream was disabled by an error.
+ * @private
+ */
+CWLogsWritable.prototype._sendLogsComplete = function(err) {
+	this.writeQueued = false;
+
+	var flushCallbacks = this._flushCallbacks;
+	this._flushCallbacks = [];
+
+	for (var i = 0; i < flushCallbacks.length; i++) {
+		if (err) {
+			flushCallbacks[i](err);
+		}
+		else {
+			flushCallbacks[i]();
+		}
+	}
+};
+
+/**
+ * Apply {@link CWLogsWritable#timestampPolicy} to log events about to be sent.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @returns {Array.<{message:string,timestamp:number}>} The log events that are left to send.
+ * @private
+ */
+CWLogsWritable.prototype._checkTimestamps = function(logEvents) {
+	var now = Date.now();
+	var minTimestamp = now - this.maxEventAge + TIMESTAMP_MARGIN;
+	var maxTimestamp = now + MAX_EVENT_FUTURE - TIMESTAMP_MARGIN;
+	var tooOld = [];
+	var tooNew = [];
+
+	var keep = logEvents.filter(function(logEvent) {
+		if (logEvent.timestamp < minTimestamp) {
+			tooOld.push(logEvent);
+		}
+		else if (logEvent.timestamp > maxTimestamp) {
+			tooNew.push(logEvent);
+		}
+		else {
+			return true;
+		}
+
+		return false;
+	});
+
+	if (!tooOld.length && !tooNew.length) {
+		return logEvents;
+	}
+
+	if (this.timestampPolicy === 'clamp') {
+		tooOld.forEach(function(logEvent) {
+			logEvent.timestamp = minTimestamp;
+		});
+
+		tooNew.forEach(function(logEvent) {
+			logEvent.timestamp = maxTimestamp;
+		});
+
+		return logEvents;
+	}
+
+	// The log events are no longer the stream's responsibility, even if the policy is a function.
+	this._releaseLogEvents(tooOld.concat(tooNew));
+
+	var handler = this.timestampPolicy === 'drop'
+		? this._emitDropLogEvents
+		: this.timestampPolicy;
+
+	if (tooOld.length) {
+		handler.call(this, tooOld, 'tooOld');
+	}
+
+	if (tooNew.length) {
+		handler.call(this, tooNew, 'tooNew');
+	}
+
+	return keep;
+};
+
+/**
+ * Attempt to continue sending log events to AWS CloudWatch Logs after an error was previously returned.
+ *
+ * @param {number} _onErrorNextCbId - Internal ID used to prevent multiple calls.
+ * @param {Error|Array.<{message:string,timestamp:number}>} [errOrLogEvents] - The log events that failed to send, which will be returned to the beginning of the queue.
+ * @private
+ */
+CWLogsWritable.prototype._nextAfterError = function(_onErrorNextCbId, errOrLogEvents) {
+	// Abort if not the current 'next' callback.
+	if (this._onErrorNextCbId !== _onErrorNextCbId) {
+		return;
+	}
+
+	// Increment to prevent calling again.
+	this._onErrorNextCbId++;
+
+	// Reset sequence token since we don't know if it's accurate anymore
+	this.sequenceToken = null;
+
+	// Release failed log events from the spool unless they are being returned to the queue.
+	var failedLogEvents = this._failedLogEvents;
+	var failedError = this._failedError;
+	this._failedLogEvents = null;
+	this._failedError = null;
+
+	if (failedLogEvents) {
+		this._releaseLogEvents(failedLogEvents, Array.isArray(errOrLogEvents) ? errOrLogEvents : null);
+
+		if (!Array.isArray(errOrLogEvents)) {
+			this._sendToDeadLetter(failedLogEvents, 'onError', failedError);
+		}
+	}
+
+	if (errOrLogEvents instanceof Error) {
+		this._handleError(errOrLogEvents);
+		return;
+	}
+
+	if (errOrLogEvents) {
+		this._stats.recordRequeued(errOrLogEvents.length);
+
+		this._spoolLogEvents(errOrLogEvents);
+		setQueuedTimes(errOrLogEvents, Date.now());
+
+		// Return the log events to the beginning of the queue
+		if (this.queuedLogs.length) {
+			this.queuedLogs = errOrLogEvents.concat(this.queuedLogs);
+		}
+		else {
+			this.queuedLogs = errOrLogEvents;
+		}
+
+		this._queuedBytes += this._getLogEventsBytes(errOrLogEvents);
+	}
+
+	this._scheduleSendLogs();
+};
+
+/**
+ * Queue log events left in the {@link CWLogsWritable#spool} from a previous stream.
+ *
+ * @private
+ */
+CWLogsWritable.prototype._replaySpool = function() {
+	var logEvents = this.spool.load();
+
+	if (logEvents.length) {
+		setQueuedTimes(logEvents, Date.now());
+		this.queuedLogs = logEvents;
+		this._queuedBytes = this._getLogEventsBytes(logEvents);
+		this.writeQueued = true;
+		this._scheduleSendLogs();
+	}
+};
+
+/**
+ * Append log events to the {@link CWLogsWritable#spool}, if there is one.
+ * Disk errors are emitted instead of thrown, and the log events are only kept in memory.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @private
+ */
+CWLogsWritable.prototype._spoolLogEvents = function(logEvents) {
+	if (!this.spool) {
+		return;
+	}
+
+	try {
+		logEvents.forEach(this.spool.append, this.spool);
+	}
+	catch (spoolErr) {
+		this.emit('error', spoolErr);
+	}
+};
+
+/**
+ * Release log events from the {@link CWLogsWritable#spool}, if there is one.
+ * Disk errors are emitted instead of thrown.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {Array.<{message:string,timestamp:number}>} [keepLogEvents] - Log events in `logEvents` that should not be released.
+ * @private
+ */
+CWLogsWritable.prototype._releaseLogEvents = function(logEvents, keepLogEvents) {
+	if (!this.spool) {
+		return;
+	}
+
+	try {
+		this.spool.release(logEvents, keepLogEvents);
+	}
+	catch (spoolErr) {
+		this.emit('error', spoolErr);
+	}
+};
+
+/**
+ * Discard log events, releasing them from the {@link CWLogsWritable#spool}.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {string} reason
+ * @private
+ */
+CWLogsWritable.prototype._dropLogEvents = function(logEvents, reason) {
+	this._releaseLogEvents(logEvents);
+	this._emitDropLogEvents(logEvents, reason);
+};
+
+/**
+ * Send log events that are given up on to {@link CWLogsWritable#deadLetter}, if there is one.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {string} reason
+ * @param {?Error} err
+ * @private
+ */
+CWLogsWritable.prototype._sendToDeadLetter = function(logEvents, reason, err) {
+	if (!this.deadLetter) {
+		return;
+	}
+
+	try {
+		this.deadLetter(logEvents, err, {
+			logGroupName: this.logGroupName,
+			logStreamName: this.logStreamName,
+			reason: reason
+		});
+	}
+	catch (deadLetterErr) {
+		this.emit('error', deadLetterErr);
+	}
+};
+
+/**
+ * Handle an critial error. This effectively disables the stream,
+ * until {@link CWLogsWritable#reset} is called or {@link CWLogsWritable#recoveryDelay} has passed.
+ *
+ * @param {Error} err
+ * @private
+ */
+CWLogsWritable.prototype._handleError = function(err) {
+	this.emit('error', err);
+
+	if (this.queuedLogs.length) {
+		this._sendToDeadLetter(this.queuedLogs, 'disabled', err);
+	}
+
+	this.clearQueue();
+
+	if (!this._disabledError) {
+		this._disabledFilterWrite = this.filterWrite;
+	}
+
+	this._disabledError = err;
+	this.filterWrite = CWLogsWritable._falseFilterWrite;
+	this._sendLogsComplete(err);
+
+	if (this.recoveryDelay !== null && !this._recoveryTimer) {
+		this._recoveryTimer = setTimeout(this.reset.bind(this), this.recoveryDelay);
+
+		// Do not keep the process running just to re-enable the stream.
+		if (this._recoveryTimer.unref) {
+			this._recoveryTimer.unref();
+		}
+	}
+};
+
+/**
+ * Send a PutLogEvents action to AWS.
+ *
+ * Recovers from these errors without passing them to the callback:
+ *
+ * - **InvalidSequenceTokenException** — Retried with the sequence token AWS expected,
+ *   counting towards {@link CWLogsWritable#retryableMax}.
+ * - **DataAlreadyAcceptedException** — The batch was already stored, so it is treated as sent.
+ * - **ResourceNotFoundException** — If {@link CWLogsWritable#useSequenceToken} is false,
+ *   the log group and stream are created and the batch is sent again, once per batch.
+ *
+ * @param {object} apiParams
+ * @param {function} cb
+ * @private
+ */
+CWLogsWritable.prototype._putLogEvents = function(apiParams, cb) {
+	var retries = 0;
+	var retryDelay = 0;
+	var retryableMax = this.retryableMax;
+	var cloudwatch = this.cloudwatch;
+	var createdLogStream = false;
+	var self = this;
+
+	attemptPut();
+
+	function attemptPut() {
+		self._waitForRateLimiter('putLogEvents', sendPut);
+	}
+
+	function sendPut() {
+		var startTime = Date.now();
+
+		cloudwatch.putLogEvents(apiParams, function(err, res) {
+			self._stats.recordPutLogEvents(Date.now() - startTime);
+
+			if (err) {
+				self._stats.recordError(err);
+
+				if (err.name === 'DataAlreadyAcceptedException') {
+					var nextSequenceToken = getExpectedSequenceToken(err);
+					self._emitDataAlreadyAccepted(apiParams.logEvents);
+
+					// If the next token is unknown, it is fetched before the next batch.
+					cb(null, nextSequenceToken === void 0 ? null : nextSequenceToken, null);
+				}
+				else if (err.name === 'ResourceNotFoundException' && !self.useSequenceToken && !createdLogStream) {
+					createdLogStream = true;
+					self._createMissingLogStream(function(err) {
+						if (err) {
+							cb(err);
+						}
+						else {
+							attemptPut();
+						}
+					});
+				}
+				else if (self.useSequenceToken && err.name === 'InvalidSequenceTokenException' && retryableMax > retries++) {
+					var expectedSequenceToken = getExpectedSequenceToken(err);
+					self._emitInvalidSequenceToken(apiParams.sequenceToken, expectedSequenceToken);
+
+					if (expectedSequenceToken === void 0) {
+						self._getSequenceToken(function(err, sequenceToken) {
+							if (err) {
+								cb(err);
+							}
+							else {
+								apiParams.sequenceToken = sequenceToken;
+								attemptPut();
+							}
+						});
+					}
 					else {
-						setTimeout(attemptPut, retryableDelay);
+						apiParams.sequenceToken = expectedSequenceToken;
+						attemptPut();
 					}
 				}
+				else if ((retryDelay = self._getRetryDelay(++retries, err, retryDelay)) !== false) {
+					self._stats.recordRetry();
+					self._emitRetry(err, retries, retryDelay, 'putLogEvents');
+					scheduleRetry(attemptPut, retryDelay);
+				}
 				else {
 					cb(err);
 				}
 			}
 			else {
-				cb(null, res.nextSequenceToken);
+				cb(null, res.nextSequenceToken, res.rejectedLogEventsInfo || null);
+			}
+		});
+	}
+};
+
+/**
+ * Call an AWS CloudWatch Logs method, retrying errors marked as "retryable"
+ * based on {@link CWLogsWritable#retryableDelay} and {@link CWLogsWritable#retryableMax}.
+ *
+ * @param {string} method - Name of the {@link CWLogsWritable#cloudwatch} method, such as "createLogStream".
+ * @param {object} params
+ * @param {function} cb
+ * @private
+ */
+CWLogsWritable.prototype._callService = function(method, params, cb) {
+	var retries = 0;
+	var retryDelay = 0;
+	var self = this;
+
+	attempt();
+
+	function attempt() {
+		self._waitForRateLimiter(method, send);
+	}
+
+	function send() {
+		self.cloudwatch[method](params, function(err, data) {
+			if (err) {
+				self._stats.recordError(err);
+			}
+
+			if (!err) {
+				cb(null, data);
+			}
+			else if ((retryDelay = self._getRetryDelay(++retries, err, retryDelay)) !== false) {
+				self._stats.recordRetry();
+				self._emitRetry(err, retries, retryDelay, method);
+				scheduleRetry(attempt, retryDelay);
+			}
+			else {
+				cb(err);
 			}
 		});
 	}
 };
 
+/**
+ * Wait for the {@link RateLimiter} for an AWS CloudWatch Logs method, if there is one.
+ *
+ * @param {string} method
+ * @param {function} cb - Called synchronously if there is no {@link RateLimiter} for the method.
+ * @private
+ */
+CWLogsWritable.prototype._waitForRateLimiter = function(method, cb) {
+	var rateLimiter = this.rateLimiters[method];
+
+	if (rateLimiter) {
+		rateLimiter.acquire(cb);
+	}
+	else {
+		cb();
+	}
+};
+
+/**
+ * Get the delay before retrying a failed AWS call, or false if it should not be retried.
+ *
+ * @param {number} attempt - The number of the retry, starting at 1.
+ * @param {Error} err
+ * @param {number|string} previousDelay - The delay before the previous retry, or 0 for the first.
+ * @returns {number|string|boolean} Milliseconds, "nextTick" or false.
+ * @private
+ */
+CWLogsWritable.prototype._getRetryDelay = function(attempt, err, previousDelay) {
+	if (!err.retryable || attempt > this.retryableMax) {
+		return false;
+	}
+
+	var delay = typeof this.retryableDelay === 'function'
+		? this.retryableDelay(attempt, err, previousDelay)
+		: this.retryableDelay;
+
+	// Anything other than a valid delay stops retrying.
+	if (!isInterval(delay)) {
+		return false;
+	}
+
+	return typeof delay === 'number'
+		? Math.min(delay, MAX_TIMEOUT_DELAY)
+		: delay;
+};
+
 /**
  * Describe the LogStream in AWS CloudWatch Logs to get the next sequence token.
  *
@@ -580,7 +2368,7 @@ CWLogsWritable.prototype._putLogEvents = function(apiParams, cb) {
  * @private
  */
 CWLogsWritable.prototype._getSequenceToken = function(cb) {
-	this.cloudwatch.describeLogStreams({
+	this._callService('describeLogStreams', {
 		logGroupName: this.logGroupName,
 		logStreamNamePrefix: this.logStreamName
 	}, function(err, data) {
@@ -642,6 +2430,57 @@ CWLogsWritable.prototype._createLogGroupAndStream = function(cb) {
 	}.bind(this));
 };
 
+/**
+ * Create the LogStream, and the LogGroup if it does not exist either, after PutLogEvents failed with a ResourceNotFoundException.
+ *
+ * Used instead of {@link CWLogsWritable#_getSequenceToken} if {@link CWLogsWritable#useSequenceToken} is false.
+ * A ResourceAlreadyExistsException is ignored, since another process may have created it first.
+ *
+ * @param {function} cb
+ * @private
+ */
+CWLogsWritable.prototype._createMissingLogStream = function(cb) {
+	this._createLogStream(function(err) {
+		if (err && err.name === 'ResourceNotFoundException') {
+			this._createLogGroup(function(err) {
+				if (err && err.name !== 'ResourceAlreadyExistsException') {
+					cb(err);
+					return;
+				}
+
+				if (!err) {
+					this._emitCreateLogGroup();
+				}
+
+				this._createLogStream(this._onCreateMissingLogStream.bind(this, cb));
+			}.bind(this));
+		}
+		else {
+			this._onCreateMissingLogStream(cb, err);
+		}
+	}.bind(this));
+};
+
+/**
+ * Handle the result of creating the LogStream for {@link CWLogsWritable#_createMissingLogStream}.
+ *
+ * @param {function} cb
+ * @param {?Error} err
+ * @private
+ */
+CWLogsWritable.prototype._onCreateMissingLogStream = function(cb, err) {
+	if (err && err.name !== 'ResourceAlreadyExistsException') {
+		cb(err);
+		return;
+	}
+
+	if (!err) {
+		this._emitCreateLogStream();
+	}
+
+	cb();
+};
+
 /**
  * Create the LogGroup in AWS CloudWatch Logs.
  *
@@ -649,7 +2488,7 @@ CWLogsWritable.prototype._createLogGroupAndStream = function(cb) {
  * @private
  */
 CWLogsWritable.prototype._createLogGroup = function(cb) {
-	this.cloudwatch.createLogGroup({
+	this._callService('createLogGroup', {
 		logGroupName: this.logGroupName
 	}, cb);
 };
@@ -661,7 +2500,7 @@ CWLogsWritable.prototype._createLogGroup = function(cb) {
  * @private
  */
 CWLogsWritable.prototype._createLogStream = function(cb) {
-	this.cloudwatch.createLogStream({
+	this._callService('createLogStream', {
 		logGroupName: this.logGroupName,
 		logStreamName: this.logStreamName
 	}, cb);
@@ -671,12 +2510,34 @@ CWLogsWritable.prototype._createLogStream = function(cb) {
  * Fired on successful PutLogEvent API calls.
  *
  * @event CWLogsWritable#putLogEvents
- * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {Array.<{message:string,timestamp:number}>} logEvents - Log events sent, in the order they were sent.
+ * @param {null|RejectedLogEvents} rejectedLogEvents - Log events that AWS accepted the call for but did not store,
+ *   or null if all were stored. See {@link CWLogsWritable#event:rejectedLogEvents}.
+ */
+CWLogsWritable.prototype._emitPutLogEvents = function(logEvents, rejectedLogEvents) {
+	this.emit('putLogEvents', logEvents, rejectedLogEvents);
+};
+
+/**
+ * Fired when a successful PutLogEvent API call reports that some
+ * of the log events were rejected, based on the response's `rejectedLogEventsInfo`.
+ *
+ * @event CWLogsWritable#rejectedLogEvents
+ * @param {RejectedLogEvents} rejectedLogEvents
  */
-CWLogsWritable.prototype._emitPutLogEvents = function(logEvents) {
-	this.emit('putLogEvents', logEvents);
+CWLogsWritable.prototype._emitRejectedLogEvents = function(rejectedLogEvents) {
+	this.emit('rejectedLogEvents', rejectedLogEvents);
 };
 
+/**
+ * Log events rejected by a PutLogEvents API call. Each array is empty if no log events were rejected for that reason.
+ *
+ * @typedef {object} RejectedLogEvents
+ * @property {Array.<{message:string,timestamp:number}>} tooOldLogEvents - Log events older than 14 days or the retention period of the log group.
+ * @property {Array.<{message:string,timestamp:number}>} tooNewLogEvents - Log events more than 2 hours in the future.
+ * @property {Array.<{message:string,timestamp:number}>} expiredLogEvents - Log events older than the retention period of the log group.
+ */
+
 /**
  * Fired on successful CreateLogGroup API call.
  *
@@ -695,10 +2556,136 @@ CWLogsWritable.prototype._emitCreateLogStream = function() {
 	this.emit('createLogStream');
 };
 
+/**
+ * Fired when the log stream is rotated, before log events are sent to the new log stream.
+ * See {@link CWLogsWritable#rotateInterval}.
+ *
+ * @event CWLogsWritable#rotateLogStream
+ * @param {string} oldLogStreamName
+ * @param {string} newLogStreamName
+ */
+CWLogsWritable.prototype._emitRotateLogStream = function(oldLogStreamName, newLogStreamName) {
+	this.emit('rotateLogStream', oldLogStreamName, newLogStreamName);
+};
+
+/**
+ * Fired when a failed AWS call is going to be retried. See {@link CWLogsWritable#retryableDelay}.
+ *
+ * @event CWLogsWritable#retry
+ * @param {Error} err - The error marked as "retryable".
+ * @param {number} attempt - The number of the retry, starting at 1.
+ * @param {number|string} delay - Milliseconds before the retry, or "nextTick".
+ * @param {string} method - The {@link CWLogsWritable#cloudwatch} method, such as "putLogEvents".
+ */
+CWLogsWritable.prototype._emitRetry = function(err, attempt, delay, method) {
+	this.emit('retry', err, attempt, delay, method);
+};
+
+/**
+ * Fired when the state of the {@link CWLogsWritable#circuitBreaker} changes.
+ *
+ * @event CWLogsWritable#circuitStateChange
+ * @param {string} state - "closed", "open" or "halfOpen".
+ * @param {string} previousState
+ */
+CWLogsWritable.prototype._emitCircuitStateChange = function(state, previousState) {
+	this.emit('circuitStateChange', state, previousState);
+};
+
+/**
+ * Fired when log events start being written to the {@link CWLogsWritable#fallback}.
+ *
+ * @event CWLogsWritable#fallbackStart
+ * @param {?Error} err - The error from AWS, or null if the circuit breaker is open.
+ */
+CWLogsWritable.prototype._emitFallbackStart = function(err) {
+	this.emit('fallbackStart', err);
+};
+
+/**
+ * Fired when a PutLogEvents call succeeds after log events were written to the {@link CWLogsWritable#fallback}.
+ *
+ * @event CWLogsWritable#fallbackEnd
+ */
+CWLogsWritable.prototype._emitFallbackEnd = function() {
+	this.emit('fallbackEnd');
+};
+
+/**
+ * Fired when PutLogEvents fails because the sequence token was not the one AWS expected,
+ * such as when another writer is sending to the same log stream.
+ * The batch is sent again with the expected sequence token, so this is not passed to {@link CWLogsWritable#onError}
+ * unless it happens more than {@link CWLogsWritable#retryableMax} times for the same batch.
+ *
+ * @event CWLogsWritable#invalidSequenceToken
+ * @param {?string} sequenceToken - The sequence token that was sent.
+ * @param {?string|undefined} expectedSequenceToken - The sequence token AWS expected, or undefined if it was not in the error and will be fetched.
+ */
+CWLogsWritable.prototype._emitInvalidSequenceToken = function(sequenceToken, expectedSequenceToken) {
+	this.emit('invalidSequenceToken', sequenceToken, expectedSequenceToken);
+};
+
+/**
+ * Fired when PutLogEvents fails because AWS already stored the batch, such as when a
+ * previous attempt succeeded but its response was lost. The batch is treated as sent,
+ * so {@link CWLogsWritable#event:putLogEvents} is also fired.
+ *
+ * @event CWLogsWritable#dataAlreadyAccepted
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ */
+CWLogsWritable.prototype._emitDataAlreadyAccepted = function(logEvents) {
+	this.emit('dataAlreadyAccepted', logEvents);
+};
+
+/**
+ * Fired when log events are discarded instead of being sent to AWS CloudWatch Logs.
+ *
+ * `reason` will be one of:
+ *
+ * - **oversized** — The log event's message was larger than {@link CWLogsWritable#maxMessageSize}
+ *   and {@link CWLogsWritable#oversizedEventPolicy} is "drop".
+ * - **tooOld** — The log event's timestamp was older than {@link CWLogsWritable#maxEventAge}
+ *   and {@link CWLogsWritable#timestampPolicy} is "drop".
+ * - **tooNew** — The log event's timestamp was more than 2 hours in the future
+ *   and {@link CWLogsWritable#timestampPolicy} is "drop".
+ * - **queueOverflow** — The queue was full and {@link CWLogsWritable#queueOverflowPolicy}
+ *   is "dropOldest" or "dropNewest".
+ * - **beforePutLogEvents** — The log event was removed from its batch by {@link CWLogsWritable#beforePutLogEvents}.
+ *
+ * @event CWLogsWritable#dropLogEvents
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {string} reason
+ */
+CWLogsWritable.prototype._emitDropLogEvents = function(logEvents, reason) {
+	this._stats.recordDropped(logEvents.length, reason);
+
+	// Removed on purpose, such as to redact them.
+	if (reason !== 'beforePutLogEvents') {
+		this._sendToDeadLetter(logEvents, reason, null);
+	}
+
+	this.emit('dropLogEvents', logEvents, reason);
+};
+
+/**
+ * Fired when a stream that was disabled by an error is re-enabled. See {@link CWLogsWritable#reset}.
+ *
+ * @event CWLogsWritable#reset
+ * @param {Error} err - The error that disabled the stream.
+ * @param {number} writesWhileDisabled - Number of log records written while the stream was disabled, which were discarded.
+ */
+CWLogsWritable.prototype._emitReset = function(err, writesWhileDisabled) {
+	this.emit('reset', err, writesWhileDisabled);
+};
+
 CWLogsWritable._falseFilterWrite = function() {
 	return false;
 };
 
+function formatRotatePeriod(time, rotateInterval) {
+	return template.formatDate(time, rotateInterval === 'hourly' ? 'YYYY-MM-DD-HH' : 'YYYY-MM-DD');
+}
+
 function isFiniteNumber(val) {
 	return typeof val === 'number' && isFinite(val);
 }
@@ -706,3 +2693,169 @@ function isFiniteNumber(val) {
 function isInterval(val) {
 	return val === 'nextTick' || isFiniteNumber(val) && val >= 0;
 }
+
+function getRemovedLogEvents(originalLogEvents, logEvents) {
+	var next = 0;
+
+	return originalLogEvents.filter(function(logEvent) {
+		// Fast path for when the order is kept, such as with Array#filter.
+		var index = logEvents.indexOf(logEvent, next);
+
+		if (index !== -1) {
+			next = index + 1;
+			return false;
+		}
+
+		return logEvents.indexOf(logEvent) === -1;
+	});
+}
+
+function isRateLimiters(val) {
+	if (!val || typeof val !== 'object' || Array.isArray(val)) {
+		return false;
+	}
+
+	return Object.keys(val).every(function(method) {
+		return RATE_LIMITED_METHODS.indexOf(method) !== -1
+			&& val[method] && typeof val[method].acquire === 'function';
+	});
+}
+
+function scheduleRetry(fn, delay) {
+	if (delay === 'nextTick') {
+		process.nextTick(fn);
+	}
+	else {
+		setTimeout(fn, delay);
+	}
+}
+
+function getExpectedSequenceToken(err) {
+	if (typeof err.expectedSequenceToken === 'string' || err.expectedSequenceToken === null) {
+		return err.expectedSequenceToken;
+	}
+
+	// The AWS SDK may only include the expected sequence token in the message.
+	var match = /sequenceToken(?: is)?: (\S+)/.exec(err.message || '');
+
+	if (!match) {
+		return void 0;
+	}
+
+	// "null" is expected for a log stream that has no log events yet.
+	return match[1] === 'null' ? null : match[1];
+}
+
+function flattenRejectedLogEvents(rejectedLogEvents) {
+	// Both are from the start of the batch, so the shorter one is part of the longer one.
+	var oldLogEvents = rejectedLogEvents.tooOldLogEvents.length > rejectedLogEvents.expiredLogEvents.length
+		? rejectedLogEvents.tooOldLogEvents
+		: rejectedLogEvents.expiredLogEvents;
+
+	return oldLogEvents.concat(rejectedLogEvents.tooNewLogEvents);
+}
+
+function getRejectedLogEvents(logEvents, rejectedLogEventsInfo) {
+	if (!rejectedLogEventsInfo) {
+		return null;
+	}
+
+	// The "end" indexes are exclusive, and the "start" index is inclusive.
+	var rejectedLogEvents = {
+		tooOldLogEvents: isFiniteNumber(rejectedLogEventsInfo.tooOldLogEventEndIndex)
+			? logEvents.slice(0, rejectedLogEventsInfo.tooOldLogEventEndIndex)
+			: [],
+		tooNewLogEvents: isFiniteNumber(rejectedLogEventsInfo.tooNewLogEventStartIndex)
+			? logEvents.slice(rejectedLogEventsInfo.tooNewLogEventStartIndex)
+			: [],
+		expiredLogEvents: isFiniteNumber(rejectedLogEventsInfo.expiredLogEventEndIndex)
+			? logEvents.slice(0, rejectedLogEventsInfo.expiredLogEventEndIndex)
+			: []
+	};
+
+	if (!rejectedLogEvents.tooOldLogEvents.length && !rejectedLogEvents.tooNewLogEvents.length && !rejectedLogEvents.expiredLogEvents.length) {
+		return null;
+	}
+
+	return rejectedLogEvents;
+}
+
+// Keeps the time a log event was first queued, if it is queued again.
+function setQueuedTime(logEvent, time) {
+	if (typeof logEvent[QUEUED_TIME_PROP] === 'number') {
+		return;
+	}
+
+	// Non-enumerable so it is not sent to AWS or included when the log event is serialized.
+	Object.defineProperty(logEvent, QUEUED_TIME_PROP, {
+		configurable: true,
+		writable: true,
+		value: time
+	});
+}
+
+function setQueuedTimes(logEvents, time) {
+	for (var i = 0; i < logEvents.length; i++) {
+		setQueuedTime(logEvents[i], time);
+	}
+}
+
+function sortLogEvents(logEvents) {
+	var i;
+	var l = logEvents.length;
+
+	for (i = 1; i < l; i++) {
+		if (logEvents[i].timestamp < logEvents[i - 1].timestamp) {
+			break;
+		}
+	}
+
+	// Already sorted.
+	if (i >= l) {
+		return;
+	}
+
+	// Array#sort is not guaranteed to be stable, so tie-break using the original position.
+	var sorted = logEvents.map(function(logEvent, index) {
+		return { logEvent: logEvent, index: index };
+	}).sort(function(a, b) {
+		return a.logEvent.timestamp - b.logEvent.timestamp || a.index - b.index;
+	});
+
+	for (i = 0; i < l; i++) {
+		logEvents[i] = sorted[i].logEvent;
+	}
+}
+
+function chunkPrefix(correlationId, chunkNum, chunkTotal) {
+	return '[' + correlationId + ' ' + chunkNum + '/' + chunkTotal + '] ';
+}
+
+function fitMessageLength(stream, message, offset, maxSize) {
+	var min = 0;
+
+	// Each UTF-16 code unit is at least 1 byte, so no more than maxSize of them can fit.
+	var max = Math.max(0, Math.min(message.length - offset, maxSize));
+
+	// Binary search for the longest part after offset that fits, since getMessageSize may not be linear.
+	while (min < max) {
+		var mid = Math.ceil((min + max) / 2);
+		if (stream.getMessageSize(message.substr(offset, mid)) <= maxSize) {
+			min = mid;
+		}
+		else {
+			max = mid - 1;
+		}
+	}
+
+	// Avoid splitting a surrogate pair.
+	if (min > 0 && offset + min < message.length && isHighSurrogate(message.charCodeAt(offset + min - 1))) {
+		min--;
+	}
+
+	return min;
+}
+
+function isHighSurrogate(charCode) {
+	return charCode >= 0xD800 && charCode <= 0xDBFF;
+}
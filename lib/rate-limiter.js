@@ -0,0 +1,173 @@
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+module.exports = RateLimiter;
+
+/**
+ * Token bucket that limits how often AWS CloudWatch Logs is called.
+ *
+ * The bucket holds up to `burst` tokens and is refilled at `rate` tokens per second.
+ * Each call takes one token, and waits in order with other calls if none are left.
+ *
+ * The same RateLimiter can be passed to many {@link CWLogsWritable} using the `rateLimiters` option,
+ * so they share the limit. See {@link CWLogsWritable#rateLimiters}.
+ *
+ * Available as `CWLogsWritable.RateLimiter`.
+ *
+ * @constructor
+ * @param {object} options
+ * @param {number} options.rate - Number of calls allowed per second, on average.
+ * @param {number} [options.burst] - Number of calls allowed at once before `rate` applies. Defaults to `rate`, or 1 if `rate` is less than 1.
+ * @example
+ * ```javascript
+ * var CWLogsWritable = require('cwlogs-writable');
+ *
+ * // DescribeLogStreams is limited per account, so share one limiter between all streams.
+ * var describeLimiter = new CWLogsWritable.RateLimiter({ rate: 5 });
+ *
+ * var stream = new CWLogsWritable({
+ *   logGroupName: 'my-log-group',
+ *   logStreamName: 'my-stream',
+ *   rateLimiters: {
+ *     describeLogStreams: describeLimiter
+ *   }
+ * });
+ * ```
+ */
+function RateLimiter(options) {
+	if (!(this instanceof RateLimiter)) {
+		return new RateLimiter(options);
+	}
+
+	this.validateOptions(options);
+
+	/**
+	 * Number of tokens added to the bucket per second.
+	 *
+	 * @member {number} RateLimiter#rate
+	 */
+	this.rate = options.rate;
+
+	/**
+	 * Maximum number of tokens in the bucket.
+	 *
+	 * @member {number} RateLimiter#burst
+	 */
+	this.burst = typeof options.burst === 'number'
+		? options.burst
+		: Math.max(1, options.rate);
+
+	this._tokens = this.burst;
+	this._lastRefill = Date.now();
+	this._waiting = [];
+	this._timer = null;
+	this._acquired = 0;
+	this._delayed = 0;
+}
+
+/**
+ * Validate the options passed to {@link RateLimiter}.
+ *
+ * @protected
+ * @param {object} options
+ * @throws Error
+ */
+RateLimiter.prototype.validateOptions = function(options) {
+	if (!options || typeof options !== 'object') {
+		throw new Error('options must be an object');
+	}
+
+	if (!isFiniteNumber(options.rate) || options.rate <= 0) {
+		throw new Error('rate option must be a non-zero positive number');
+	}
+
+	if (hasOwnProperty.call(options, 'burst') && (!isFiniteNumber(options.burst) || options.burst < 1)) {
+		throw new Error('burst option must be a number that is 1 or more, if specified');
+	}
+};
+
+/**
+ * Wait for a token, then call `cb`.
+ *
+ * `cb` is called synchronously if a token is available and no other calls are waiting.
+ *
+ * @param {function} cb
+ */
+RateLimiter.prototype.acquire = function(cb) {
+	this._refill();
+
+	if (this._waiting.length || this._tokens < 1) {
+		this._delayed++;
+	}
+
+	this._waiting.push(cb);
+	this._drain();
+};
+
+/**
+ * Get the current state of the bucket, such as for metrics.
+ *
+ * @returns {RateLimiterState}
+ */
+RateLimiter.prototype.getState = function() {
+	this._refill();
+
+	return {
+		tokens: this._tokens,
+		waiting: this._waiting.length,
+		acquired: this._acquired,
+		delayed: this._delayed
+	};
+};
+
+/**
+ * State of a {@link RateLimiter}.
+ *
+ * @typedef {object} RateLimiterState
+ * @property {number} tokens - Tokens left in the bucket. May be fractional.
+ * @property {number} waiting - Number of calls waiting for a token.
+ * @property {number} acquired - Total number of tokens taken.
+ * @property {number} delayed - Total number of calls that had to wait for a token.
+ */
+
+/**
+ * Add tokens for the time since the last refill.
+ *
+ * @private
+ */
+RateLimiter.prototype._refill = function() {
+	var now = Date.now();
+
+	this._tokens = Math.min(this.burst, this._tokens + Math.max(0, now - this._lastRefill) * this.rate / 1000);
+	this._lastRefill = now;
+};
+
+/**
+ * Call waiting callbacks while there are tokens, and wait for the next token if any are left.
+ *
+ * @private
+ */
+RateLimiter.prototype._drain = function() {
+	// The timer drains the rest once the next token is added.
+	if (this._timer) {
+		return;
+	}
+
+	this._refill();
+
+	while (this._waiting.length && this._tokens >= 1) {
+		this._tokens--;
+		this._acquired++;
+		this._waiting.shift()();
+	}
+
+	if (this._waiting.length && !this._timer) {
+		this._timer = setTimeout(function() {
+			this._timer = null;
+			this._drain();
+		}.bind(this), Math.ceil((1 - this._tokens) * 1000 / this.rate));
+	}
+};
+
+function isFiniteNumber(val) {
+	return typeof val === 'number' && isFinite(val);
+}
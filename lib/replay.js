@@ -0,0 +1,452 @@
+var fs = require('fs');
+var path = require('path');
+var StringDecoder = require('string_decoder').StringDecoder;
+var CWLogsWritable = require('./index');
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+module.exports = replay;
+
+// Options used by replay, which are not passed to CWLogsWritable.
+var REPLAY_OPTIONS = ['files', 'checkpointFile', 'chunkSize', 'onProgress'];
+
+// Bytes read from a file at a time.
+var READ_SIZE = 64 * 1024;
+
+/**
+ * Send log events saved as NDJSON files to AWS CloudWatch Logs, keeping their original timestamps.
+ *
+ * Each line must be an object with a `message` string and a `timestamp` number, which is the shape
+ * returned by {@link CWLogsWritable#createLogEvent}. This includes lines written by the `deadLetter`
+ * option of {@link CWLogsWritable} and segment files in a `spoolDir`. Other lines are skipped,
+ * as are spooled log events that were already sent (listed in "ack" lines of any of the files in the
+ * same directory, since each spool numbers its log events starting from 1).
+ *
+ * Lines are read in chunks that are written to a {@link CWLogsWritable} and flushed,
+ * so they are batched using {@link CWLogsWritable#nextLogBatchSize}. The `timestampPolicy` option
+ * defaults to "drop", so log events older than `maxEventAge` (14 days by default) or more than
+ * 2 hours in the future are dropped instead of failing the batch.
+ *
+ * After each chunk is sent, the position is saved to `checkpointFile`. If replay is interrupted,
+ * calling it again with the same files continues after the last chunk that was sent.
+ * Delete the checkpoint file to replay the files from the start.
+ *
+ * Available as `CWLogsWritable.replay`, and as the `cwlogs-replay` command.
+ *
+ * @param {object} options - Options for the {@link CWLogsWritable}, such as `logGroupName`, `logStreamName` and `cloudWatchLogsOptions`, plus:
+ * @param {string|Array.<string>} options.files - NDJSON files to read, in order.
+ * @param {string} [options.checkpointFile] - File used to save the position. Defaults to the first file with ".checkpoint" appended.
+ * @param {number} [options.chunkSize=10000] - Number of lines to send between checkpoints.
+ * @param {function} [options.onProgress] - Called with a {@link ReplayProgress} after each chunk is sent.
+ * @param {function} [cb] - Called with an error, if any, and the final {@link ReplayProgress}.
+ * @returns {void|Promise} A Promise if `cb` is not specified, which resolves with the final {@link ReplayProgress}.
+ * @example
+ * ```javascript
+ * var CWLogsWritable = require('cwlogs-writable');
+ *
+ * CWLogsWritable.replay({
+ *   files: ['/var/log/my-app/cwlogs-dead-letter.ndjson'],
+ *   logGroupName: 'my-log-group',
+ *   logStreamName: 'my-stream-replay',
+ *   cloudWatchLogsOptions: { region: 'us-east-1' },
+ *   onProgress: function(progress) {
+ *     console.log(progress.eventsSent + ' log events sent');
+ *   }
+ * }, function(err, progress) {
+ *   // ...
+ * });
+ * ```
+ */
+function replay(options, cb) {
+	if (!cb) {
+		return new Promise(function(resolve, reject) {
+			replay(options, function(err, progress) {
+				if (err) {
+					reject(err);
+				}
+				else {
+					resolve(progress);
+				}
+			});
+		});
+	}
+
+	var files;
+	var checkpointFile;
+	var stream;
+	var checkpoint;
+	var ackedIds;
+
+	try {
+		validateOptions(options);
+
+		files = typeof options.files === 'string' ? [options.files] : options.files;
+		checkpointFile = options.checkpointFile || files[0] + '.checkpoint';
+		stream = createStream(options);
+		checkpoint = loadCheckpoint(checkpointFile, files);
+		ackedIds = getAckedIds(files);
+	}
+	catch (err) {
+		process.nextTick(cb, err);
+		return;
+	}
+
+	var chunkSize = options.chunkSize || 10000;
+	var onProgress = options.onProgress || null;
+	var reader = null;
+
+	var progress = {
+		file: files[checkpoint.fileIndex] || files[files.length - 1],
+		line: checkpoint.line,
+		linesRead: 0,
+		linesSkipped: 0,
+		eventsSent: 0,
+		eventsDropped: 0
+	};
+
+	stream.on('putLogEvents', function(logEvents) {
+		progress.eventsSent += logEvents.length;
+	});
+
+	stream.on('dropLogEvents', function(logEvents) {
+		progress.eventsDropped += logEvents.length;
+	});
+
+	// Errors are passed to the flush callback.
+	stream.on('error', function() {});
+
+	sendChunk();
+
+	function sendChunk() {
+		var lines;
+
+		try {
+			lines = readChunk();
+		}
+		catch (err) {
+			done(err);
+			return;
+		}
+
+		if (!lines) {
+			stream.end(function() {
+				done(null);
+			});
+			return;
+		}
+
+		var fileAckedIds = ackedIds[getSpoolKey(files[checkpoint.fileIndex])];
+
+		lines.forEach(function(line) {
+			var logEvent = parseLogEvent(line, fileAckedIds);
+
+			if (logEvent) {
+				stream.write(logEvent);
+			}
+			else {
+				progress.linesSkipped++;
+			}
+		});
+
+		stream.flush(function(err) {
+			if (err) {
+				done(err);
+				return;
+			}
+
+			progress.linesRead += lines.length;
+			progress.line = checkpoint.line += lines.length;
+
+			try {
+				saveCheckpoint(checkpointFile, files, checkpoint);
+			}
+			catch (saveErr) {
+				done(saveErr);
+				return;
+			}
+
+			if (onProgress) {
+				onProgress(copyProgress(progress));
+			}
+
+			sendChunk();
+		});
+	}
+
+	function readChunk() {
+		while (checkpoint.fileIndex < files.length) {
+			if (!reader) {
+				reader = openLineReader(files[checkpoint.fileIndex]);
+				progress.file = reader.file;
+				progress.line = checkpoint.line;
+
+				skipLines(reader, checkpoint.line);
+			}
+
+			var lines = readLines(reader, chunkSize);
+
+			if (lines.length) {
+				return lines;
+			}
+
+			closeLineReader(reader);
+			reader = null;
+			checkpoint.fileIndex++;
+			checkpoint.line = 0;
+			saveCheckpoint(checkpointFile, files, checkpoint);
+		}
+
+		return null;
+	}
+
+	function done(err) {
+		if (reader) {
+			closeLineReader(reader);
+			reader = null;
+		}
+
+		if (err) {
+			cb(err, copyProgress(progress));
+		}
+		else {
+			cb(null, copyProgress(progress));
+		}
+	}
+}
+
+/**
+ * Progress of {@link replay}.
+ *
+ * @typedef {object} ReplayProgress
+ * @property {string} file - The file being read.
+ * @property {number} line - Number of lines of `file` that have been sent.
+ * @property {number} linesRead - Lines read from all files, not counting lines skipped because of the checkpoint.
+ * @property {number} linesSkipped - Lines that were not log events, or were spooled log events that were already sent.
+ * @property {number} eventsSent - Log events sent by successful PutLogEvents calls.
+ * @property {number} eventsDropped - Log events dropped by the {@link CWLogsWritable}, such as for being too old.
+ */
+
+function validateOptions(options) {
+	if (!options || typeof options !== 'object') {
+		throw new Error('options must be an object');
+	}
+
+	var files = typeof options.files === 'string' ? [options.files] : options.files;
+
+	if (!Array.isArray(files) || !files.length || files.some(function(file) {
+		return typeof file !== 'string' || !file;
+	})) {
+		throw new Error('files option must be a non-empty string or array of non-empty strings');
+	}
+
+	if (hasOwnProperty.call(options, 'checkpointFile') && (typeof options.checkpointFile !== 'string' || !options.checkpointFile)) {
+		throw new Error('checkpointFile option must be a non-empty string, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'chunkSize') && (typeof options.chunkSize !== 'number' || !isFinite(options.chunkSize) || options.chunkSize < 1)) {
+		throw new Error('chunkSize option must be a positive number, if specified');
+	}
+
+	if (hasOwnProperty.call(options, 'onProgress') && typeof options.onProgress !== 'function') {
+		throw new Error('onProgress option must be a function, if specified');
+	}
+}
+
+function createStream(options) {
+	var streamOptions = {};
+
+	for (var key in options) {
+		if (hasOwnProperty.call(options, key) && REPLAY_OPTIONS.indexOf(key) === -1) {
+			streamOptions[key] = options[key];
+		}
+	}
+
+	// Keep the original timestamps, dropping log events that AWS would reject.
+	if (!hasOwnProperty.call(streamOptions, 'timestampPolicy')) {
+		streamOptions.timestampPolicy = 'drop';
+	}
+
+	var stream = new CWLogsWritable(streamOptions);
+
+	// Lines are parsed into log events before they are written.
+	stream.createLogEvent = function(logEvent) {
+		return logEvent;
+	};
+
+	return stream;
+}
+
+function parseLogEvent(line, ackedIds) {
+	var record;
+
+	try {
+		record = JSON.parse(line);
+	}
+	catch (err) {
+		return null;
+	}
+
+	if (!record || typeof record.message !== 'string' || typeof record.timestamp !== 'number' || !isFinite(record.timestamp)) {
+		return null;
+	}
+
+	// Spooled log events that were already sent.
+	if (typeof record.id === 'number' && hasOwnProperty.call(ackedIds, record.id)) {
+		return null;
+	}
+
+	return {
+		message: record.message,
+		timestamp: record.timestamp
+	};
+}
+
+// Acked ids, keyed by the spool directory, since each spool numbers its log events starting from 1.
+function getAckedIds(files) {
+	var ackedIdsBySpool = {};
+
+	files.forEach(function(file) {
+		var spoolKey = getSpoolKey(file);
+		var ackedIds = ackedIdsBySpool[spoolKey] = ackedIdsBySpool[spoolKey] || {};
+		var reader = openLineReader(file);
+		var lines;
+
+		try {
+			while ((lines = readLines(reader, 1000)).length) {
+				lines.forEach(function(line) {
+					// Avoid parsing lines that cannot be "ack" lines.
+					if (line.indexOf('"ack"') === -1) {
+						return;
+					}
+
+					try {
+						var record = JSON.parse(line);
+
+						if (record && Array.isArray(record.ack)) {
+							record.ack.forEach(function(id) {
+								ackedIds[id] = true;
+							});
+						}
+					}
+					catch (err) {
+						// Skipped when read again.
+					}
+				});
+			}
+		}
+		finally {
+			closeLineReader(reader);
+		}
+	});
+
+	return ackedIdsBySpool;
+}
+
+function getSpoolKey(file) {
+	return path.dirname(path.resolve(file));
+}
+
+function loadCheckpoint(checkpointFile, files) {
+	var content;
+
+	try {
+		content = fs.readFileSync(checkpointFile, 'utf8');
+	}
+	catch (err) {
+		if (err.code === 'ENOENT') {
+			return { fileIndex: 0, line: 0 };
+		}
+
+		throw err;
+	}
+
+	var saved = JSON.parse(content);
+
+	if (!Array.isArray(saved.files) || saved.files.join('\n') !== files.join('\n')) {
+		throw new Error('checkpointFile is for different files: ' + checkpointFile);
+	}
+
+	return {
+		fileIndex: saved.fileIndex,
+		line: saved.line
+	};
+}
+
+function saveCheckpoint(checkpointFile, files, checkpoint) {
+	// Written to a temporary file and renamed, so an interruption cannot leave a partial checkpoint.
+	var tmpFile = checkpointFile + '.tmp';
+
+	fs.writeFileSync(tmpFile, JSON.stringify({
+		files: files,
+		fileIndex: checkpoint.fileIndex,
+		line: checkpoint.line
+	}) + '\n', 'utf8');
+
+	fs.renameSync(tmpFile, checkpointFile);
+}
+
+function openLineReader(file) {
+	return {
+		file: file,
+		fd: fs.openSync(file, 'r'),
+		decoder: new StringDecoder('utf8'),
+		buffer: Buffer.alloc ? Buffer.alloc(READ_SIZE) : new Buffer(READ_SIZE),
+		pending: '',
+		lines: [],
+		eof: false
+	};
+}
+
+function closeLineReader(reader) {
+	fs.closeSync(reader.fd);
+}
+
+function readLines(reader, maxLines) {
+	while (reader.lines.length < maxLines && !reader.eof) {
+		var bytesRead = fs.readSync(reader.fd, reader.buffer, 0, READ_SIZE, null);
+		var text;
+
+		if (bytesRead) {
+			text = reader.pending + reader.decoder.write(reader.buffer.slice(0, bytesRead));
+		}
+		else {
+			reader.eof = true;
+			text = reader.pending + reader.decoder.end();
+		}
+
+		var parts = text.split('\n');
+		reader.pending = reader.eof ? '' : parts.pop();
+
+		for (var i = 0; i < parts.length; i++) {
+			// A trailing newline does not start another line.
+			if (!reader.eof || i < parts.length - 1 || parts[i] !== '') {
+				reader.lines.push(parts[i]);
+			}
+		}
+	}
+
+	return reader.lines.splice(0, maxLines);
+}
+
+function skipLines(reader, count) {
+	// Lines that were sent before the checkpoint was saved.
+	while (count > 0) {
+		var skipped = readLines(reader, Math.min(count, 1000)).length;
+
+		if (!skipped) {
+			throw new Error('checkpointFile is past the end of ' + reader.file);
+		}
+
+		count -= skipped;
+	}
+}
+
+function copyProgress(progress) {
+	return {
+		file: progress.file,
+		line: progress.line,
+		linesRead: progress.linesRead,
+		linesSkipped: progress.linesSkipped,
+		eventsSent: progress.eventsSent,
+		eventsDropped: progress.eventsDropped
+	};
+}
@@ -0,0 +1,121 @@
+exports.exponential = exponential;
+exports.decorrelatedJitter = decorrelatedJitter;
+exports.capped = capped;
+
+/**
+ * Built-in strategies for {@link CWLogsWritable#retryableDelay}.
+ *
+ * Each function returns a strategy, which is called with the attempt number (starting at 1),
+ * the AWS error and the previous delay (0 for the first attempt). It returns the number of
+ * milliseconds to wait before retrying, "nextTick", or false to stop retrying.
+ *
+ * @namespace CWLogsWritable.retryStrategies
+ * @example
+ * ```javascript
+ * var CWLogsWritable = require('cwlogs-writable');
+ * var stream = new CWLogsWritable({
+ *   logGroupName: 'my-log-group',
+ *   logStreamName: 'my-stream',
+ *   retryableDelay: CWLogsWritable.retryStrategies.decorrelatedJitter({
+ *     baseDelay: 100,
+ *     maxDelay: 10000
+ *   })
+ * });
+ * ```
+ */
+
+/**
+ * Double the delay for each attempt, starting at `baseDelay`.
+ *
+ * @memberof CWLogsWritable.retryStrategies
+ * @param {object} [options]
+ * @param {number} [options.baseDelay=100] - Delay before the first retry, in milliseconds.
+ * @param {number} [options.factor=2] - Multiplier applied to the delay for each attempt.
+ * @param {number} [options.maxDelay=20000] - Maximum delay, in milliseconds.
+ * @returns {function} Strategy to use as the `retryableDelay` option.
+ */
+function exponential(options) {
+	options = options || {};
+
+	var baseDelay = getNumberOption(options, 'baseDelay', 100);
+	var factor = getNumberOption(options, 'factor', 2);
+	var maxDelay = getNumberOption(options, 'maxDelay', 20000);
+
+	return function exponentialRetryStrategy(attempt) {
+		return Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+	};
+}
+
+/**
+ * Pick a random delay between `baseDelay` and three times the previous delay,
+ * which spreads out retries from many processes that failed at the same time.
+ *
+ * See https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/.
+ *
+ * @memberof CWLogsWritable.retryStrategies
+ * @param {object} [options]
+ * @param {number} [options.baseDelay=100] - Minimum delay, in milliseconds.
+ * @param {number} [options.maxDelay=20000] - Maximum delay, in milliseconds.
+ * @returns {function} Strategy to use as the `retryableDelay` option.
+ */
+function decorrelatedJitter(options) {
+	options = options || {};
+
+	var baseDelay = getNumberOption(options, 'baseDelay', 100);
+	var maxDelay = getNumberOption(options, 'maxDelay', 20000);
+
+	return function decorrelatedJitterRetryStrategy(attempt, err, previousDelay) {
+		var previous = typeof previousDelay === 'number' && previousDelay > 0
+			? previousDelay
+			: baseDelay;
+
+		var upper = Math.max(baseDelay, previous * 3);
+		return Math.min(maxDelay, Math.round(baseDelay + Math.random() * (upper - baseDelay)));
+	};
+}
+
+/**
+ * Limit another strategy to a maximum delay and number of attempts.
+ *
+ * @memberof CWLogsWritable.retryStrategies
+ * @param {function} strategy - Another strategy, such as from {@link CWLogsWritable.retryStrategies.exponential}.
+ * @param {object} [options]
+ * @param {number} [options.maxDelay=Infinity] - Maximum delay, in milliseconds.
+ * @param {number} [options.maxAttempts=Infinity] - Stop retrying after this many attempts.
+ *   {@link CWLogsWritable#retryableMax} also applies.
+ * @returns {function} Strategy to use as the `retryableDelay` option.
+ */
+function capped(strategy, options) {
+	if (typeof strategy !== 'function') {
+		throw new Error('strategy must be a function');
+	}
+
+	options = options || {};
+
+	var maxDelay = getNumberOption(options, 'maxDelay', Infinity);
+	var maxAttempts = getNumberOption(options, 'maxAttempts', Infinity);
+
+	return function cappedRetryStrategy(attempt, err, previousDelay) {
+		if (attempt > maxAttempts) {
+			return false;
+		}
+
+		var delay = strategy(attempt, err, previousDelay);
+
+		return typeof delay === 'number'
+			? Math.min(maxDelay, delay)
+			: delay;
+	};
+}
+
+function getNumberOption(options, key, defaultValue) {
+	if (options[key] == null) {
+		return defaultValue;
+	}
+
+	if (typeof options[key] !== 'number' || !(options[key] >= 0)) {
+		throw new Error(key + ' option must be a positive number, if specified');
+	}
+
+	return options[key];
+}
@@ -0,0 +1,346 @@
+var util = require('util');
+var Writable = require('stream').Writable;
+var CWLogsWritable = require('./index');
+var template = require('./template');
+var hasOwnProperty = Object.prototype.hasOwnProperty;
+
+module.exports = CWLogsRouter;
+
+// Events from each CWLogsWritable that are re-emitted by the router.
+var FORWARDED_EVENTS = [
+	'error',
+	'putLogEvents',
+	'rejectedLogEvents',
+	'createLogGroup',
+	'createLogStream',
+	'dropLogEvents',
+	'rotateLogStream',
+	'invalidSequenceToken',
+	'dataAlreadyAccepted',
+	'retry',
+	'reset',
+	'circuitStateChange',
+	'fallbackStart',
+	'fallbackEnd'
+];
+
+util.inherits(CWLogsRouter, Writable);
+
+/**
+ * Writable stream that routes log records to a {@link CWLogsWritable} per log group and stream.
+ *
+ * A {@link CWLogsWritable} is created the first time a log group and stream is returned by `route`,
+ * so each destination has its own queue and sequence token. All other options are passed to each
+ * {@link CWLogsWritable}, so batching, retries, `onError` and the other options work the same for every destination.
+ *
+ * Events fired by each {@link CWLogsWritable}, including 'error', are re-emitted by the router
+ * with the {@link CWLogsWritable} as an additional last argument.
+ *
+ * Available as `CWLogsWritable.Router`.
+ *
+ * @constructor
+ * @param {object} options - Options for each {@link CWLogsWritable}, except for `logGroupName` and `logStreamName`.
+ * @param {function} options.route - Called with each log record and returns the destination as `{logGroupName: string, logStreamName: string}`, or null to skip the log record. See {@link CWLogsRouter#route}.
+ * @param {boolean} [options.objectMode=true] - Passed to the Writable constructor and to each {@link CWLogsWritable}.
+ * @augments {Writable}
+ * @fires CWLogsRouter#createStream
+ * @example
+ * ```javascript
+ * var CWLogsWritable = require('cwlogs-writable');
+ * var router = new CWLogsWritable.Router({
+ *   route: function(rec) {
+ *     return {
+ *       logGroupName: 'my-log-group',
+ *       logStreamName: rec.service + '-' + rec.level
+ *     };
+ *   },
+ *   cloudWatchLogsOptions: {
+ *     region: 'us-east-1'
+ *   }
+ * });
+ * ```
+ */
+function CWLogsRouter(options) {
+	if (!(this instanceof CWLogsRouter)) {
+		return new CWLogsRouter(options);
+	}
+
+	this.validateOptions(options);
+
+	Writable.call(this, { objectMode: options.objectMode !== false });
+
+	/**
+	 * Get the destination for a log record.
+	 * Called with the raw log record passed to Writable#write, and returns `{logGroupName: string, logStreamName: string}`,
+	 * or null to skip the log record. If it throws, the router emits the error.
+	 *
+	 * @member {function} CWLogsRouter#route
+	 */
+	this.route = options.route;
+
+	/**
+	 * Options passed to each {@link CWLogsWritable}.
+	 *
+	 * @protected
+	 * @member {object} CWLogsRouter#streamOptions
+	 */
+	this.streamOptions = copyOptions(options, 'route');
+
+	this._streams = {};
+}
+
+/**
+ * Validate the options passed to {@link CWLogsRouter}.
+ *
+ * @protected
+ * @param {object} options
+ * @throws Error
+ */
+CWLogsRouter.prototype.validateOptions = function(options) {
+	if (!options || typeof options !== 'object') {
+		throw new Error('options must be an object');
+	}
+
+	if (typeof options.route !== 'function') {
+		throw new Error('route option must be a function');
+	}
+
+	if (hasOwnProperty.call(options, 'logGroupName') || hasOwnProperty.call(options, 'logStreamName')) {
+		throw new Error('logGroupName and logStreamName options are not allowed, since they are returned by route');
+	}
+
+	// Check the remaining options now, instead of when the first log record is written.
+	var streamOptions = copyOptions(options, 'route');
+	streamOptions.logGroupName = '';
+	streamOptions.logStreamName = '';
+
+	CWLogsWritable.prototype.validateOptions(streamOptions);
+};
+
+/**
+ * Get the {@link CWLogsWritable} for a log group and stream, creating it if it does not exist.
+ *
+ * @param {string} logGroupName
+ * @param {string} logStreamName
+ * @returns {CWLogsWritable}
+ */
+CWLogsRouter.prototype.getStream = function(logGroupName, logStreamName) {
+	// Log stream names cannot contain ':', so the combination is unique.
+	var key = logGroupName + ':' + logStreamName;
+
+	if (!hasOwnProperty.call(this._streams, key)) {
+		var stream = this.createStream(logGroupName, logStreamName);
+		this._streams[key] = stream;
+		this._forwardEvents(stream);
+		this._emitCreateStream(stream);
+	}
+
+	return this._streams[key];
+};
+
+/**
+ * Get all the {@link CWLogsWritable} that have been created by the router.
+ *
+ * @returns {Array.<CWLogsWritable>}
+ */
+CWLogsRouter.prototype.getStreams = function() {
+	return Object.keys(this._streams).map(function(key) {
+		return this._streams[key];
+	}, this);
+};
+
+/**
+ * Wait until all queued log events for every destination have been sent to AWS CloudWatch Logs.
+ *
+ * See {@link CWLogsWritable#flush}.
+ *
+ * @param {function} [cb] - Called once all destinations are flushed, with the first error if any.
+ * @returns {void|Promise} A Promise if `cb` is not specified.
+ */
+CWLogsRouter.prototype.flush = function(cb) {
+	if (!cb) {
+		return new Promise(function(resolve, reject) {
+			this.flush(function(err) {
+				if (err) {
+					reject(err);
+				}
+				else {
+					resolve();
+				}
+			});
+		}.bind(this));
+	}
+
+	this._forEachStream(function(stream, done) {
+		stream.flush(done);
+	}, cb);
+};
+
+/**
+ * Re-enable every {@link CWLogsWritable} that was disabled by an error.
+ *
+ * See {@link CWLogsWritable#reset}.
+ */
+CWLogsRouter.prototype.reset = function() {
+	this.getStreams().forEach(function(stream) {
+		stream.reset();
+	});
+};
+
+/**
+ * Create a {@link CWLogsWritable} for a log group and stream.
+ *
+ * Placeholders are not expanded in the names, since they may come from log records.
+ *
+ * @protected
+ * @param {string} logGroupName
+ * @param {string} logStreamName
+ * @returns {CWLogsWritable}
+ * @throws Error if the names are not valid, such as a log stream name that contains ":".
+ */
+CWLogsRouter.prototype.createStream = function(logGroupName, logStreamName) {
+	var options = copyOptions(this.streamOptions);
+	options.logGroupName = template.escape(logGroupName);
+	options.logStreamName = template.escape(logStreamName);
+
+	return new CWLogsWritable(options);
+};
+
+/**
+ * Internal method called by Writable#_write.
+ *
+ * @param {object|string} record - Logging record. Can be an object if objectMode options is true.
+ * @param {*} _enc - Ignored
+ * @param {function} cb
+ * @private
+ */
+CWLogsRouter.prototype._write = function(record, _enc, cb) {
+	var destination;
+
+	try {
+		destination = this.route(record);
+	}
+	catch (err) {
+		cb(err);
+		return;
+	}
+
+	if (!destination) {
+		cb();
+		return;
+	}
+
+	if (typeof destination.logGroupName !== 'string' || typeof destination.logStreamName !== 'string') {
+		cb(new Error('route must return an object with logGroupName and logStreamName strings, or null'));
+		return;
+	}
+
+	var stream;
+
+	try {
+		stream = this.getStream(destination.logGroupName, destination.logStreamName);
+	}
+	catch (err) {
+		cb(err);
+		return;
+	}
+
+	if (stream.write(record)) {
+		cb();
+	}
+	else {
+		// Apply the destination's backpressure to the router.
+		stream.once('drain', function() {
+			cb();
+		});
+	}
+};
+
+/**
+ * Internal method called by Writable#end, which ends every {@link CWLogsWritable}
+ * and delays 'finish' until they have all finished.
+ *
+ * @param {function} cb
+ * @private
+ */
+CWLogsRouter.prototype._final = function(cb) {
+	this._forEachStream(function(stream, done) {
+		stream.end(function() {
+			done();
+		});
+	}, function() {
+		cb();
+	});
+};
+
+/**
+ * Call a function for each {@link CWLogsWritable} and wait for all of them to call back.
+ *
+ * @param {function} fn - Called with the stream and a callback.
+ * @param {function} cb - Called with the first error, if any.
+ * @private
+ */
+CWLogsRouter.prototype._forEachStream = function(fn, cb) {
+	var streams = this.getStreams();
+	var pending = streams.length;
+	var firstErr = null;
+
+	if (!pending) {
+		process.nextTick(cb);
+		return;
+	}
+
+	streams.forEach(function(stream) {
+		fn(stream, function(err) {
+			firstErr = firstErr || err || null;
+
+			if (--pending === 0) {
+				if (firstErr) {
+					cb(firstErr);
+				}
+				else {
+					cb();
+				}
+			}
+		});
+	});
+};
+
+/**
+ * Re-emit the events of a {@link CWLogsWritable}, with the stream as an additional last argument.
+ *
+ * @param {CWLogsWritable} stream
+ * @private
+ */
+CWLogsRouter.prototype._forwardEvents = function(stream) {
+	var self = this;
+
+	FORWARDED_EVENTS.forEach(function(event) {
+		stream.on(event, function() {
+			var args = Array.prototype.slice.call(arguments);
+			self.emit.apply(self, [event].concat(args, stream));
+		});
+	});
+};
+
+/**
+ * Fired when a {@link CWLogsWritable} is created for a new destination.
+ *
+ * @event CWLogsRouter#createStream
+ * @param {CWLogsWritable} stream
+ */
+CWLogsRouter.prototype._emitCreateStream = function(stream) {
+	this.emit('createStream', stream);
+};
+
+function copyOptions(options, omitKey) {
+	var copy = {};
+
+	for (var key in options) {
+		if (hasOwnProperty.call(options, key) && key !== omitKey) {
+			copy[key] = options[key];
+		}
+	}
+
+	return copy;
+}
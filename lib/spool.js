@@ -0,0 +1,309 @@
+var fs = require('fs');
+var path = require('path');
+
+module.exports = Spool;
+
+// Segments are closed and a new one started once they reach this size.
+var DEFAULT_SEGMENT_SIZE = 1024 * 1024;
+
+// Property used to store the spool ID and segment on spooled log events.
+var SPOOL_PROP = '_cwlogsSpool';
+
+var SEGMENT_FILENAME_REGEX = /^(\d+)\.ndjson$/;
+
+/**
+ * Append-only disk spool that holds log events until they are released.
+ *
+ * Log events are written as NDJSON lines to numbered segment files,
+ * and released log events are recorded as "ack" lines. A segment file is
+ * removed once all its log events are released and all older segments are removed,
+ * so an "ack" line is never removed before the log event it refers to.
+ *
+ * Only one spool should be open for a directory at a time.
+ *
+ * @protected
+ * @constructor
+ * @param {string} dir - Base directory for spools.
+ * @param {string} logGroupName
+ * @param {string} logStreamName
+ * @param {object} [options]
+ * @param {number} [options.segmentSize=1048576] - Size in bytes at which a new segment file is started.
+ */
+function Spool(dir, logGroupName, logStreamName, options) {
+	options = options || {};
+
+	// Log stream names cannot contain ':', so the combination is unique.
+	this.dir = path.join(dir, encodeURIComponent(logGroupName + ':' + logStreamName));
+	this.segmentSize = options.segmentSize || DEFAULT_SEGMENT_SIZE;
+
+	this._nextId = 1;
+	this._segments = [];
+	this._current = null;
+}
+
+/**
+ * Load log events left over in the spool's directory that were not released.
+ *
+ * @returns {Array.<{message:string,timestamp:number}>} Log events in the order they were spooled.
+ */
+Spool.prototype.load = function() {
+	mkdirpSync(this.dir);
+
+	var segments = fs.readdirSync(this.dir)
+		.map(function(filename) {
+			var match = filename.match(SEGMENT_FILENAME_REGEX);
+			return match
+				? createSegment(parseInt(match[1], 10), path.join(this.dir, filename))
+				: null;
+		}.bind(this))
+		.filter(Boolean)
+		.sort(function(a, b) {
+			return a.num - b.num;
+		});
+
+	var entries = {};
+	var ids = [];
+
+	segments.forEach(function(segment) {
+		var content = fs.readFileSync(segment.path, 'utf8');
+		segment.size = Buffer.byteLength(content, 'utf8');
+
+		content.split('\n').forEach(function(line) {
+			var record = parseLine(line);
+
+			if (!record) {
+				return;
+			}
+
+			if (record.ack) {
+				record.ack.forEach(function(id) {
+					if (entries[id] && !entries[id].released) {
+						entries[id].released = true;
+						entries[id].segment.pending--;
+					}
+				});
+			}
+			else if (!entries[record.id]) {
+				segment.pending++;
+				entries[record.id] = {
+					logEvent: { message: record.message, timestamp: record.timestamp },
+					segment: segment,
+					released: false
+				};
+				ids.push(record.id);
+				this._nextId = Math.max(this._nextId, record.id + 1);
+			}
+		}.bind(this));
+	}.bind(this));
+
+	this._segments = segments;
+	this._removeReleasedSegments();
+
+	return ids
+		.filter(function(id) {
+			return !entries[id].released;
+		})
+		.map(function(id) {
+			var entry = entries[id];
+			setSpoolMeta(entry.logEvent, { id: id, segment: entry.segment, released: false });
+			return entry.logEvent;
+		});
+};
+
+/**
+ * Write a log event to the spool. Does nothing if the log event is already spooled.
+ *
+ * @param {{message:string,timestamp:number}} logEvent
+ */
+Spool.prototype.append = function(logEvent) {
+	if (this.isSpooled(logEvent)) {
+		return;
+	}
+
+	var segment = this._getWritableSegment();
+	var id = this._nextId++;
+
+	this._writeLine(segment, {
+		id: id,
+		message: logEvent.message,
+		timestamp: logEvent.timestamp
+	});
+
+	segment.pending++;
+	setSpoolMeta(logEvent, { id: id, segment: segment, released: false });
+};
+
+/**
+ * Release log events so they are not loaded again. Log events that are not spooled are ignored.
+ *
+ * @param {Array.<{message:string,timestamp:number}>} logEvents
+ * @param {Array.<{message:string,timestamp:number}>} [keepLogEvents] - Log events to skip even if they are in `logEvents`.
+ */
+Spool.prototype.release = function(logEvents, keepLogEvents) {
+	var keep = {};
+	var ids = [];
+	var meta;
+	var i;
+
+	if (keepLogEvents) {
+		for (i = 0; i < keepLogEvents.length; i++) {
+			meta = keepLogEvents[i][SPOOL_PROP];
+			if (meta) {
+				keep[meta.id] = true;
+			}
+		}
+	}
+
+	for (i = 0; i < logEvents.length; i++) {
+		meta = logEvents[i][SPOOL_PROP];
+		if (meta && !meta.released && !keep[meta.id]) {
+			meta.released = true;
+			meta.segment.pending--;
+			ids.push(meta.id);
+		}
+	}
+
+	if (!ids.length) {
+		return;
+	}
+
+	this._writeLine(this._getWritableSegment(), { ack: ids });
+	this._removeReleasedSegments();
+};
+
+/**
+ * Check if a log event has been written to the spool and not released.
+ *
+ * @param {{message:string,timestamp:number}} logEvent
+ * @returns {boolean}
+ */
+Spool.prototype.isSpooled = function(logEvent) {
+	var meta = logEvent[SPOOL_PROP];
+	return !!meta && !meta.released;
+};
+
+/**
+ * Close the current segment file.
+ */
+Spool.prototype.close = function() {
+	if (this._current) {
+		fs.closeSync(this._current.fd);
+		this._current.fd = null;
+		this._current = null;
+	}
+};
+
+/**
+ * Get the segment new lines are written to, starting a new one if needed.
+ *
+ * @private
+ * @returns {object}
+ */
+Spool.prototype._getWritableSegment = function() {
+	if (this._current && this._current.size >= this.segmentSize) {
+		this.close();
+	}
+
+	if (!this._current) {
+		var last = this._segments[this._segments.length - 1];
+		var num = last ? last.num + 1 : 1;
+
+		mkdirpSync(this.dir);
+
+		this._current = createSegment(num, path.join(this.dir, ('0000000000' + num).slice(-10) + '.ndjson'));
+		this._current.fd = fs.openSync(this._current.path, 'a');
+		this._segments.push(this._current);
+	}
+
+	return this._current;
+};
+
+/**
+ * Write a record as a line to a segment.
+ *
+ * @private
+ * @param {object} segment
+ * @param {object} record
+ */
+Spool.prototype._writeLine = function(segment, record) {
+	var line = JSON.stringify(record) + '\n';
+	fs.writeSync(segment.fd, line, null, 'utf8');
+	segment.size += Buffer.byteLength(line, 'utf8');
+};
+
+/**
+ * Remove segment files, oldest first, that no longer have any unreleased log events.
+ *
+ * @private
+ */
+Spool.prototype._removeReleasedSegments = function() {
+	while (this._segments.length && this._segments[0].pending <= 0) {
+		var segment = this._segments.shift();
+
+		if (segment === this._current) {
+			this.close();
+		}
+
+		fs.unlinkSync(segment.path);
+	}
+};
+
+function createSegment(num, segmentPath) {
+	return {
+		num: num,
+		path: segmentPath,
+		fd: null,
+		size: 0,
+		pending: 0
+	};
+}
+
+function setSpoolMeta(logEvent, meta) {
+	// Non-enumerable so it is not sent to AWS or included when the log event is serialized.
+	Object.defineProperty(logEvent, SPOOL_PROP, {
+		configurable: true,
+		writable: true,
+		value: meta
+	});
+}
+
+function parseLine(line) {
+	if (!line) {
+		return null;
+	}
+
+	var record;
+
+	try {
+		record = JSON.parse(line);
+	}
+	catch (err) {
+		// The last line may be incomplete if the process exited while writing it.
+		return null;
+	}
+
+	if (record && Array.isArray(record.ack)) {
+		return record;
+	}
+
+	if (record && typeof record.id === 'number' && typeof record.message === 'string' && typeof record.timestamp === 'number') {
+		return record;
+	}
+
+	return null;
+}
+
+function mkdirpSync(dir) {
+	try {
+		fs.mkdirSync(dir);
+	}
+	catch (err) {
+		if (err.code === 'ENOENT') {
+			mkdirpSync(path.dirname(dir));
+			fs.mkdirSync(dir);
+		}
+		else if (err.code !== 'EEXIST') {
+			throw err;
+		}
+	}
+}
@@ -0,0 +1,195 @@
+module.exports = Stats;
+
+// Number of recent PutLogEvents latencies used for percentiles.
+var LATENCY_SAMPLE_SIZE = 1000;
+
+/**
+ * Delivery counters for a {@link CWLogsWritable}, returned by {@link CWLogsWritable#getStats}.
+ *
+ * @protected
+ * @constructor
+ */
+function Stats() {
+	this.eventsWritten = 0;
+	this.bytesWritten = 0;
+	this.eventsFiltered = 0;
+	this.writesWhileDisabled = 0;
+	this.eventsSent = 0;
+	this.bytesSent = 0;
+	this.eventsDropped = 0;
+	this.eventsDroppedByReason = {};
+	this.eventsRequeued = 0;
+	this.eventsFallback = 0;
+	this.putLogEventsCalls = 0;
+	this.retries = 0;
+	this.errorsByCode = {};
+	this.lastSuccessTime = null;
+	this.lastError = null;
+	this.lastErrorTime = null;
+
+	this._latencies = [];
+	this._latencyIndex = 0;
+}
+
+/**
+ * Record a log event that was queued.
+ *
+ * @param {number} bytes
+ */
+Stats.prototype.recordWritten = function(bytes) {
+	this.eventsWritten++;
+	this.bytesWritten += bytes;
+};
+
+/**
+ * Record a log record that was filtered out by {@link CWLogsWritable#filterWrite}.
+ */
+Stats.prototype.recordFiltered = function() {
+	this.eventsFiltered++;
+};
+
+/**
+ * Record a log record that was discarded because the stream was disabled by an error.
+ */
+Stats.prototype.recordDisabledWrite = function() {
+	this.writesWhileDisabled++;
+};
+
+/**
+ * Record log events that were sent by a successful PutLogEvents call.
+ *
+ * @param {number} count
+ * @param {number} bytes
+ */
+Stats.prototype.recordSent = function(count, bytes) {
+	this.eventsSent += count;
+	this.bytesSent += bytes;
+	this.lastSuccessTime = Date.now();
+};
+
+/**
+ * Record log events that were dropped. See {@link CWLogsWritable#event:dropLogEvents}.
+ *
+ * @param {number} count
+ * @param {string} reason
+ */
+Stats.prototype.recordDropped = function(count, reason) {
+	this.eventsDropped += count;
+	this.eventsDroppedByReason[reason] = (this.eventsDroppedByReason[reason] || 0) + count;
+};
+
+/**
+ * Record log events that were returned to the queue after an error.
+ *
+ * @param {number} count
+ */
+Stats.prototype.recordRequeued = function(count) {
+	this.eventsRequeued += count;
+};
+
+/**
+ * Record log events that were written to the fallback.
+ *
+ * @param {number} count
+ */
+Stats.prototype.recordFallback = function(count) {
+	this.eventsFallback += count;
+};
+
+/**
+ * Record a PutLogEvents call, successful or not.
+ *
+ * @param {number} latency - Milliseconds from the call to the response.
+ */
+Stats.prototype.recordPutLogEvents = function(latency) {
+	this.putLogEventsCalls++;
+
+	// Keep the most recent latencies in a ring buffer.
+	this._latencies[this._latencyIndex] = latency;
+	this._latencyIndex = (this._latencyIndex + 1) % LATENCY_SAMPLE_SIZE;
+};
+
+/**
+ * Record a failed AWS call that is being retried.
+ */
+Stats.prototype.recordRetry = function() {
+	this.retries++;
+};
+
+/**
+ * Record an error from an AWS call.
+ *
+ * @param {Error} err
+ */
+Stats.prototype.recordError = function(err) {
+	var code = err.code || err.name || 'Error';
+
+	this.errorsByCode[code] = (this.errorsByCode[code] || 0) + 1;
+	this.lastError = err;
+	this.lastErrorTime = Date.now();
+};
+
+/**
+ * Get a copy of the counters, with percentiles of recent PutLogEvents latencies as `putLatency`.
+ *
+ * @returns {object}
+ */
+Stats.prototype.toJSON = function() {
+	return {
+		eventsWritten: this.eventsWritten,
+		bytesWritten: this.bytesWritten,
+		eventsFiltered: this.eventsFiltered,
+		writesWhileDisabled: this.writesWhileDisabled,
+		eventsSent: this.eventsSent,
+		bytesSent: this.bytesSent,
+		eventsDropped: this.eventsDropped,
+		eventsDroppedByReason: copyCounts(this.eventsDroppedByReason),
+		eventsRequeued: this.eventsRequeued,
+		eventsFallback: this.eventsFallback,
+		putLogEventsCalls: this.putLogEventsCalls,
+		retries: this.retries,
+		errorsByCode: copyCounts(this.errorsByCode),
+		lastSuccessTime: this.lastSuccessTime,
+		lastError: this.lastError,
+		lastErrorTime: this.lastErrorTime,
+		putLatency: this.getPutLatency()
+	};
+};
+
+/**
+ * Get percentiles of recent PutLogEvents latencies.
+ *
+ * @returns {{count:number,p50:?number,p90:?number,p99:?number,max:?number}}
+ */
+Stats.prototype.getPutLatency = function() {
+	var sorted = this._latencies.slice().sort(function(a, b) {
+		return a - b;
+	});
+
+	return {
+		count: sorted.length,
+		p50: getPercentile(sorted, 50),
+		p90: getPercentile(sorted, 90),
+		p99: getPercentile(sorted, 99),
+		max: sorted.length ? sorted[sorted.length - 1] : null
+	};
+};
+
+function copyCounts(counts) {
+	var copy = {};
+
+	Object.keys(counts).forEach(function(key) {
+		copy[key] = counts[key];
+	});
+
+	return copy;
+}
+
+function getPercentile(sorted, percentile) {
+	if (!sorted.length) {
+		return null;
+	}
+
+	// Nearest-rank method.
+	return sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)];
+}
@@ -0,0 +1,135 @@
+var os = require('os');
+var crypto = require('crypto');
+
+exports.createContext = createContext;
+exports.expand = expand;
+exports.escape = escape;
+exports.formatDate = formatDate;
+
+// "{{" and "}}" are escaped braces.
+var PLACEHOLDER_REGEX = /\{\{|\}\}|\{([^{}:]*)(?::([^{}]*))?\}/g;
+var DATE_TOKEN_REGEX = /YYYY|MM|DD|HH|mm|ss/g;
+var DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Create the values used by the built-in placeholders, so they are the same each time a name is expanded.
+ *
+ * @private
+ * @returns {{hostname:string,pid:number,startTime:number,uuid:string}}
+ */
+function createContext() {
+	return {
+		hostname: os.hostname(),
+		pid: process.pid,
+		startTime: Date.now(),
+		uuid: createUUID()
+	};
+}
+
+/**
+ * Replace placeholders in a log group or stream name.
+ *
+ * - **{hostname}** — The host name of the OS.
+ * - **{pid}** — The process ID.
+ * - **{date}** or **{date:FORMAT}** — The UTC time the stream was created. FORMAT may use YYYY, MM, DD, HH, mm and ss, and defaults to YYYY-MM-DD.
+ * - **{uuid}** — A random ID for the stream.
+ * - **{env:NAME}** — The value of an environment variable.
+ *
+ * Other placeholders are passed to `resolver`, which is also called first for the built-in ones
+ * and can return a string to override them. "{{" and "}}" are replaced with "{" and "}".
+ *
+ * @private
+ * @param {string} template
+ * @param {object} context - From createContext().
+ * @param {?function} resolver - Called with the placeholder name and the part after the ':', if any.
+ * @param {string} optionName - Used in error messages.
+ * @returns {string}
+ * @throws Error
+ */
+function expand(template, context, resolver, optionName) {
+	return template.replace(PLACEHOLDER_REGEX, function(placeholder, name, arg) {
+		if (placeholder === '{{' || placeholder === '}}') {
+			return placeholder.charAt(0);
+		}
+
+		var value = resolver
+			? resolver(name, arg)
+			: null;
+
+		if (value != null) {
+			return String(value);
+		}
+
+		if (name === 'hostname' && arg == null) {
+			return context.hostname;
+		}
+		else if (name === 'pid' && arg == null) {
+			return String(context.pid);
+		}
+		else if (name === 'uuid' && arg == null) {
+			return context.uuid;
+		}
+		else if (name === 'date') {
+			return formatDate(context.startTime, arg || DEFAULT_DATE_FORMAT);
+		}
+		else if (name === 'env' && arg) {
+			if (!Object.prototype.hasOwnProperty.call(process.env, arg)) {
+				throw new Error(optionName + ' option placeholder "' + placeholder + '" refers to an environment variable that is not set');
+			}
+
+			return process.env[arg];
+		}
+
+		throw new Error(optionName + ' option has an unknown placeholder "' + placeholder + '"');
+	});
+}
+
+/**
+ * Escape braces in a name, so {@link expand} returns it as is.
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function escape(name) {
+	return name.replace(/[{}]/g, '$&$&');
+}
+
+/**
+ * Format a time as UTC, replacing YYYY, MM, DD, HH, mm and ss in the format.
+ *
+ * @private
+ * @param {number} time
+ * @param {string} format
+ * @returns {string}
+ */
+function formatDate(time, format) {
+	var date = new Date(time);
+	var tokens = {
+		YYYY: String(date.getUTCFullYear()),
+		MM: padNumber(date.getUTCMonth() + 1),
+		DD: padNumber(date.getUTCDate()),
+		HH: padNumber(date.getUTCHours()),
+		mm: padNumber(date.getUTCMinutes()),
+		ss: padNumber(date.getUTCSeconds())
+	};
+
+	return format.replace(DATE_TOKEN_REGEX, function(token) {
+		return tokens[token];
+	});
+}
+
+function padNumber(num) {
+	return num < 10 ? '0' + num : String(num);
+}
+
+function createUUID() {
+	var bytes = crypto.randomBytes(16);
+
+	// Version 4 (random) UUID.
+	bytes[6] = bytes[6] & 0x0f | 0x40;
+	bytes[8] = bytes[8] & 0x3f | 0x80;
+
+	var hex = bytes.toString('hex');
+	return hex.slice(0, 8) + '-' + hex.slice(8, 12) + '-' + hex.slice(12, 16) + '-' + hex.slice(16, 20) + '-' + hex.slice(20);
+}
@@ -0,0 +1,384 @@
+var expect = require('expect');
+var Writable = require('stream').Writable;
+var proxyquire = require('proxyquire');
+
+describe('CWLogsRouter', function() {
+	var noop = function() {};
+	var CWLogsWritable = proxyquire('../lib/index', {
+		'aws-sdk': createAWSStub()
+	});
+	var CWLogsRouter = proxyquire('../lib/router', {
+		'./index': CWLogsWritable
+	});
+
+	afterEach(function () {
+		expect.restoreSpies();
+	});
+
+	function routeByService(rec) {
+		return rec.service
+			? { logGroupName: 'group', logStreamName: rec.service }
+			: null;
+	}
+
+	describe('CWLogsRouter()', function() {
+		it('should export a constructor instanceof Writable', function() {
+			expect(require('../lib/index').Router).toBe(require('../lib/router'));
+			expect(CWLogsRouter.prototype).toBeA(Writable, 'Expected CWLogsRouter.prototype to be a Writable');
+		});
+
+		it('should validate options', function() {
+			expect(function() {
+				new CWLogsRouter();
+			}).toThrowWithProps(Error, { message: 'options must be an object' });
+
+			[void 0, null, 1, '', {}].forEach(function(val) {
+				expect(function() {
+					new CWLogsRouter({
+						route: val
+					});
+				}).toThrowWithProps(Error, { message: 'route option must be a function' }, val);
+			});
+
+			['logGroupName', 'logStreamName'].forEach(function(key) {
+				var options = { route: noop };
+				options[key] = '';
+
+				expect(function() {
+					new CWLogsRouter(options);
+				}).toThrowWithProps(Error, { message: 'logGroupName and logStreamName options are not allowed, since they are returned by route' }, key);
+			});
+
+			expect(function() {
+				new CWLogsRouter({
+					route: noop,
+					writeInterval: -1
+				});
+			}).toThrowWithProps(Error, { message: 'writeInterval option must be a positive number or "nextTick", if specified' });
+
+			expect(function() {
+				new CWLogsRouter({
+					route: noop,
+					writeInterval: 50,
+					maxQueueCount: 10
+				});
+			}).toNotThrow();
+		});
+
+		it('should return instance if called without "new"', function() {
+			expect(CWLogsRouter({ route: noop })).toBeA(CWLogsRouter);
+		});
+
+		it('should set props from options', function() {
+			var onError = function() {};
+			var router = new CWLogsRouter({
+				route: routeByService,
+				writeInterval: 50,
+				onError: onError
+			});
+
+			expect(router.route).toBe(routeByService);
+			expect(router.streamOptions).toEqual({
+				writeInterval: 50,
+				onError: onError
+			});
+		});
+	});
+
+	describe('CWLogsRouter#getStream', function() {
+		it('should create one CWLogsWritable per log group and stream', function() {
+			var onError = function() {};
+			var router = new CWLogsRouter({
+				route: routeByService,
+				writeInterval: 50,
+				onError: onError
+			});
+
+			var createStreamEventSpy = expect.createSpy();
+			router.on('createStream', createStreamEventSpy);
+
+			var streamA = router.getStream('group', 'a');
+			expect(streamA).toBeA(CWLogsWritable);
+			expect(streamA.logGroupName).toBe('group');
+			expect(streamA.logStreamName).toBe('a');
+			expect(streamA.writeInterval).toBe(50);
+			expect(streamA.onError).toBe(onError);
+			expect(createStreamEventSpy.calls.length).toBe(1);
+			expect(createStreamEventSpy.calls[0].arguments).toEqual([streamA]);
+
+			expect(router.getStream('group', 'a')).toBe(streamA);
+			expect(createStreamEventSpy.calls.length).toBe(1);
+
+			var streamB = router.getStream('group', 'b');
+			expect(streamB).toNotBe(streamA);
+			expect(router.getStream('other', 'a')).toNotBe(streamA);
+			expect(createStreamEventSpy.calls.length).toBe(3);
+
+			expect(router.getStreams().length).toBe(3);
+			expect(router.getStreams()[0]).toBe(streamA);
+			expect(router.getStreams()[1]).toBe(streamB);
+		});
+
+		it('should re-emit events from each CWLogsWritable with the stream as the last argument', function() {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			var stream = router.getStream('group', 'a');
+			var expectedErr = new Error();
+			var logEvents = [];
+
+			var errorEventSpy = expect.createSpy();
+			var putLogEventsEventSpy = expect.createSpy();
+			var dropLogEventsEventSpy = expect.createSpy();
+			var createLogStreamEventSpy = expect.createSpy();
+			router.on('error', errorEventSpy);
+			router.on('putLogEvents', putLogEventsEventSpy);
+			router.on('dropLogEvents', dropLogEventsEventSpy);
+			router.on('createLogStream', createLogStreamEventSpy);
+
+			stream.emit('error', expectedErr);
+			stream._emitPutLogEvents(logEvents, null);
+			stream._emitDropLogEvents(logEvents, 'oversized');
+			stream._emitCreateLogStream();
+
+			expect(errorEventSpy.calls.length).toBe(1);
+			expect(errorEventSpy.calls[0].arguments).toEqual([expectedErr, stream]);
+			expect(putLogEventsEventSpy.calls.length).toBe(1);
+			expect(putLogEventsEventSpy.calls[0].arguments).toEqual([logEvents, null, stream]);
+			expect(dropLogEventsEventSpy.calls.length).toBe(1);
+			expect(dropLogEventsEventSpy.calls[0].arguments).toEqual([logEvents, 'oversized', stream]);
+			expect(createLogStreamEventSpy.calls.length).toBe(1);
+			expect(createLogStreamEventSpy.calls[0].arguments).toEqual([stream]);
+		});
+	});
+
+	describe('CWLogsRouter#_write', function() {
+		it('should write records to the stream returned by route', function() {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			var streamA = router.getStream('group', 'a');
+			var streamB = router.getStream('group', 'b');
+			streamA._scheduleSendLogs = noop;
+			streamB._scheduleSendLogs = noop;
+
+			router.write({ service: 'a', msg: 'foo' });
+			router.write({ service: 'b', msg: 'bar' });
+			router.write({ service: 'a', msg: 'baz' });
+			router.write({ msg: 'skipped' });
+
+			expect(streamA.queuedLogs.map(function(logEvent) {
+				return JSON.parse(logEvent.message).msg;
+			})).toEqual(['foo', 'baz']);
+			expect(streamB.queuedLogs.map(function(logEvent) {
+				return JSON.parse(logEvent.message).msg;
+			})).toEqual(['bar']);
+			expect(router.getStreams().length).toBe(2);
+		});
+
+		it('should emit an error if route returns an invalid destination', function(done) {
+			var router = new CWLogsRouter({
+				route: function() {
+					return { logGroupName: 'group' };
+				}
+			});
+
+			router.on('error', function(err) {
+				expect(err.message).toBe('route must return an object with logGroupName and logStreamName strings, or null');
+				expect(router.getStreams().length).toBe(0);
+				done();
+			});
+
+			router.write({});
+		});
+
+		it('should emit an error if a stream cannot be created for the destination', function(done) {
+			var router = new CWLogsRouter({
+				route: function(rec) {
+					return { logGroupName: 'group', logStreamName: rec.tenant };
+				}
+			});
+
+			router.on('error', function(err) {
+				expect(err.message).toBe('logStreamName option cannot contain ":" or "*"');
+				expect(router.getStreams().length).toBe(0);
+				done();
+			});
+
+			expect(function() {
+				router.write({ tenant: 'acme:prod' });
+			}).toNotThrow();
+		});
+
+		it('should emit an error if route throws', function(done) {
+			var expectedError = new Error();
+			var router = new CWLogsRouter({
+				route: function() {
+					throw expectedError;
+				}
+			});
+
+			router.on('error', function(err) {
+				expect(err).toBe(expectedError);
+				expect(router.getStreams().length).toBe(0);
+				done();
+			});
+
+			expect(function() {
+				router.write({ tenant: 'acme' });
+			}).toNotThrow();
+		});
+
+		it('should not expand placeholders in names returned by route', function() {
+			var router = new CWLogsRouter({
+				route: function(rec) {
+					return { logGroupName: 'group-{pid}', logStreamName: rec.tenant };
+				}
+			});
+
+			router.write({ tenant: 'x{foo}' });
+
+			var streams = router.getStreams();
+			expect(streams.length).toBe(1);
+			expect(streams[0].logGroupName).toBe('group-{pid}');
+			expect(streams[0].logStreamName).toBe('x{foo}');
+		});
+
+		it('should wait for "drain" if the stream returns false', function() {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			var stream = router.getStream('group', 'a');
+			var writeSpy = expect.spyOn(stream, 'write').andReturn(false);
+			var cb = expect.createSpy();
+			var rec = { service: 'a' };
+
+			router._write(rec, null, cb);
+			expect(writeSpy.calls.length).toBe(1);
+			expect(writeSpy.calls[0].arguments).toEqual([rec]);
+			expect(cb.calls.length).toBe(0);
+
+			stream.emit('drain');
+			expect(cb.calls.length).toBe(1);
+			expect(cb.calls[0].arguments.length).toBe(0);
+		});
+	});
+
+	describe('CWLogsRouter#flush', function() {
+		it('should flush every stream', function(done) {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			var flushSpies = [
+				router.getStream('group', 'a'),
+				router.getStream('group', 'b')
+			].map(function(stream) {
+				return expect.spyOn(stream, 'flush').andCall(function(cb) {
+					process.nextTick(cb);
+				});
+			});
+
+			router.flush(function(err) {
+				expect(err).toNotExist();
+				expect(flushSpies[0].calls.length).toBe(1);
+				expect(flushSpies[1].calls.length).toBe(1);
+				done();
+			});
+		});
+
+		it('should pass the first error and return a Promise if cb is not specified', function() {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			var expectedErr = new Error();
+			expect.spyOn(router.getStream('group', 'a'), 'flush').andCall(function(cb) {
+				process.nextTick(cb);
+			});
+			expect.spyOn(router.getStream('group', 'b'), 'flush').andCall(function(cb) {
+				process.nextTick(cb, expectedErr);
+			});
+
+			return router.flush().then(function() {
+				throw new Error('Expected to reject');
+			}, function(err) {
+				expect(err).toBe(expectedErr);
+			});
+		});
+
+		it('should call back on next tick if there are no streams', function(done) {
+			new CWLogsRouter({ route: routeByService }).flush(done);
+		});
+	});
+
+	describe('CWLogsRouter#reset', function() {
+		it('should reset every stream', function() {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			var resetSpies = [
+				router.getStream('group', 'a'),
+				router.getStream('group', 'b')
+			].map(function(stream) {
+				return expect.spyOn(stream, 'reset');
+			});
+
+			router.reset();
+			expect(resetSpies[0].calls.length).toBe(1);
+			expect(resetSpies[1].calls.length).toBe(1);
+		});
+	});
+
+	describe('CWLogsRouter#_final', function() {
+		it('should end every stream and wait for them to finish', function(done) {
+			var router = new CWLogsRouter({
+				route: routeByService
+			});
+
+			router.write({ service: 'a' });
+			router.write({ service: 'b' });
+
+			var streams = router.getStreams();
+			var putLogEventsEventSpy = expect.createSpy();
+			router.on('putLogEvents', putLogEventsEventSpy);
+
+			router.end(function() {
+				expect(putLogEventsEventSpy.calls.length).toBe(2);
+				expect(streams[0].writable).toBe(false);
+				expect(streams[1].writable).toBe(false);
+				expect(streams[0].cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(streams[1].cloudwatch.putLogEvents.calls.length).toBe(1);
+				done();
+			});
+		});
+	});
+});
+
+function createAWSStub() {
+	function CloudWatchLogsStub() {
+		this.describeLogStreams = expect.createSpy().andCall(function(params, cb) {
+			process.nextTick(function() {
+				cb(null, {
+					logStreams: [
+						{ uploadSequenceToken: 'first-magic-token' }
+					]
+				});
+			});
+		});
+
+		this.putLogEvents = expect.createSpy().andCall(function(params, cb) {
+			process.nextTick(function() {
+				cb(null, { nextSequenceToken: 'next-magic-token' });
+			});
+		});
+	}
+
+	return {
+		CloudWatchLogs: CloudWatchLogsStub
+	};
+}
@@ -1,3 +1,6 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var objectAssign = require('object-assign');
 var inherits = require('util').inherits;
 var expect = require('expect');
@@ -157,9 +160,15 @@ describe('CWLogsWritable', function() {
 					logStreamName: '',
 					retryableDelay: 1
 				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					retryableDelay: noop
+				});
 			}).toNotThrow();
 
-			[void 0, null, -1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN, noop]
+			[void 0, null, -1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
 				.forEach(function(val) {
 					expect(function() {
 						new CWLogsWritable({
@@ -167,7 +176,7 @@ describe('CWLogsWritable', function() {
 							logStreamName: '',
 							retryableDelay: val
 						});
-					}).toThrowWithProps(Error, { message: 'retryableDelay option must be a positive number or "nextTick", if specified' }, val);
+					}).toThrowWithProps(Error, { message: 'retryableDelay option must be a positive number, "nextTick" or a function, if specified' }, val);
 				});
 
 			expect(function() {
@@ -236,514 +245,4135 @@ describe('CWLogsWritable', function() {
 				new CWLogsWritable({
 					logGroupName: '',
 					logStreamName: '',
-					onError: noop
+					maxMessageSize: 256
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxMessageSize: 262118
 				});
 			}).toNotThrow();
 
-			[void 0, null, -1, 0, 1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
+			[void 0, null, -1, 0, 1, 255, 262119, true, false, '', '0', '1', '256', Infinity, -Infinity, {}, [], NaN, noop]
 				.forEach(function(val) {
 					expect(function() {
 						new CWLogsWritable({
 							logGroupName: '',
 							logStreamName: '',
-							onError: val
+							maxMessageSize: val
 						});
-					}).toThrowWithProps(Error, { message: 'onError option must be a function, if specified' }, val);
+					}).toThrowWithProps(Error, { message: 'maxMessageSize option must be a positive number from 256 to 262118, if specified' }, val);
+				});
+
+			expect(function() {
+				['truncate', 'split', 'drop'].forEach(function(val) {
+					new CWLogsWritable({
+						logGroupName: '',
+						logStreamName: '',
+						oversizedEventPolicy: val
+					});
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', 'foo', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							oversizedEventPolicy: val
+						});
+					}).toThrowWithProps(Error, { message: 'oversizedEventPolicy option must be "truncate", "split" or "drop", if specified' }, val);
 				});
 
 			expect(function() {
 				new CWLogsWritable({
 					logGroupName: '',
 					logStreamName: '',
-					filterWrite: noop
+					timestampPolicy: 'clamp'
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					timestampPolicy: 'drop'
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					timestampPolicy: noop
 				});
 			}).toNotThrow();
 
-			[void 0, null, -1, 0, 1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
+			[void 0, null, -1, 0, 1, true, false, '', 'foo', Infinity, -Infinity, {}, [], NaN]
 				.forEach(function(val) {
 					expect(function() {
 						new CWLogsWritable({
 							logGroupName: '',
 							logStreamName: '',
-							filterWrite: val
+							timestampPolicy: val
 						});
-					}).toThrowWithProps(Error, { message: 'filterWrite option must be a function, if specified' }, val);
+					}).toThrowWithProps(Error, { message: 'timestampPolicy option must be "clamp", "drop" or a function, if specified' }, val);
 				});
-		});
-
-		it('should return instance if called without "new"', function() {
-			var stream = new CWLogsWritable({
-				logGroupName: '',
-				logStreamName: ''
-			});
 
-			expect(stream).toBeA(CWLogsWritable);
-		});
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxEventAge: 86400000
+				});
 
-		it('should set props from options', function() {
-			var streamDefaults = new CWLogsWritable({
-				logGroupName: 'foo',
-				logStreamName: 'bar'
-			});
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxEventAge: 1209600000
+				});
+			}).toNotThrow();
 
-			expect(streamDefaults.logGroupName).toBe('foo', 'Expected logGroupName prop %s to be %s');
-			expect(streamDefaults.logStreamName).toBe('bar', 'Expected logStreamName prop %s to be %s');
-			expect(streamDefaults.writeInterval).toBe('nextTick', 'Expected writeInterval prop default %s to be %s');
-			expect(streamDefaults.retryableMax).toBe(100, 'Expected retryableMax prop default %s to be %s');
-			expect(streamDefaults.retryableDelay).toBe(150, 'Expected retryableDelay prop default %s to be %s');
-			expect(streamDefaults.maxBatchCount).toBe(10000, 'Expected maxBatchCount prop default %s to be %s');
-			expect(streamDefaults.maxBatchSize).toBe(1048576, 'Expected maxBatchSize prop default %s to be %s');
-			expect(streamDefaults.onError).toBe(CWLogsWritable.prototype.onError, 'Expected onError prop default %s to be %s');
-			expect(streamDefaults.filterWrite).toBe(CWLogsWritable.prototype.filterWrite, 'Expected filterWrite prop default %s to be %s');
+			[void 0, null, -1, 0, 1, 86399999, 1209600001, true, false, '', '0', '86400000', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							maxEventAge: val
+						});
+					}).toThrowWithProps(Error, { message: 'maxEventAge option must be a positive number from 86400000 to 1209600000, if specified' }, val);
+				});
 
-			var onError = function() {};
-			var filterWrite = function() {};
-			var streamOverrides = new CWLogsWritable({
-				logGroupName: 'foo',
-				logStreamName: 'bar',
-				writeInterval: 500,
-				retryableMax: 600,
-				retryableDelay: 700,
-				maxBatchCount: 1000,
-				maxBatchSize: 1000000,
-				onError: onError,
-				filterWrite: filterWrite
-			});
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxQueueCount: 1,
+					maxQueueBytes: 1
+				});
 
-			expect(streamOverrides.writeInterval).toBe(500, 'Expected writeInterval prop %s to be %s');
-			expect(streamOverrides.retryableMax).toBe(600, 'Expected retryableMax prop %s to be %s');
-			expect(streamOverrides.retryableDelay).toBe(700, 'Expected retryableDelay prop %s to be %s');
-			expect(streamOverrides.maxBatchCount).toBe(1000, 'Expected maxBatchCount prop %s to be %s');
-			expect(streamOverrides.maxBatchSize).toBe(1000000, 'Expected maxBatchSize prop %s to be %s');
-			expect(streamOverrides.onError).toBe(onError, 'Expected onError prop %s to be %s');
-			expect(streamOverrides.filterWrite).toBe(filterWrite, 'Expected filterWrite prop %s to be %s');
-		});
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxQueueCount: Infinity,
+					maxQueueBytes: Infinity
+				});
+			}).toNotThrow();
 
-		it('should call createService and pass cloudWatchLogsOptions option', function() {
-			inherits(Child, CWLogsWritable);
-			function Child(options) {
-				CWLogsWritable.call(this, options);
-			}
+			[void 0, null, -1, 0, 0.5, true, false, '', '0', '1', -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							maxQueueCount: val
+						});
+					}).toThrowWithProps(Error, { message: 'maxQueueCount option must be a positive number, if specified' }, val);
 
-			var expectedOpts = {
-				constructor: expect.createSpy()
-			};
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							maxQueueBytes: val
+						});
+					}).toThrowWithProps(Error, { message: 'maxQueueBytes option must be a positive number, if specified' }, val);
+				});
 
-			var createServiceSpy = expect.spyOn(Child.prototype, 'createService').andCallThrough();
+			expect(function() {
+				['dropOldest', 'dropNewest', 'backpressure'].forEach(function(val) {
+					new CWLogsWritable({
+						logGroupName: '',
+						logStreamName: '',
+						queueOverflowPolicy: val
+					});
+				});
+			}).toNotThrow();
 
-			var child = new Child({
-				logGroupName: '',
-				logStreamName: '',
-				cloudWatchLogsOptions: expectedOpts
-			});
+			[void 0, null, -1, 0, 1, true, false, '', 'foo', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							queueOverflowPolicy: val
+						});
+					}).toThrowWithProps(Error, { message: 'queueOverflowPolicy option must be "dropOldest", "dropNewest" or "backpressure", if specified' }, val);
+				});
 
-			expect(createServiceSpy.calls.length).toBe(1);
-			expect(createServiceSpy.calls[0].arguments.length).toBe(1);
-			expect(createServiceSpy.calls[0].arguments[0]).toBe(expectedOpts);
+			expect(function() {
+				['daily', 'hourly'].forEach(function(val) {
+					new CWLogsWritable({
+						logGroupName: '',
+						logStreamName: '',
+						rotateInterval: val,
+						rotateMaxEvents: 1,
+						rotateMaxBytes: 1
+					});
+				});
+			}).toNotThrow();
 
-			expect(expectedOpts.constructor.calls.length).toBe(1);
-			expect(expectedOpts.constructor.calls[0].context).toBe(child.cloudwatch);
-			expect(expectedOpts.constructor.calls[0].arguments.length).toBe(1);
-			expect(expectedOpts.constructor.calls[0].arguments[0]).toBe(expectedOpts);
-		});
-	});
+			[void 0, null, -1, 0, 1, true, false, '', 'foo', 'DAILY', Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							rotateInterval: val
+						});
+					}).toThrowWithProps(Error, { message: 'rotateInterval option must be "daily" or "hourly", if specified' }, val);
+				});
 
-	describe('CWLogsWritable#getQueueSize', function() {
-		it('should initially return 0', function() {
-			var stream = new CWLogsWritable({
-				logGroupName: 'foo',
-				logStreamName: 'bar'
-			});
+			[void 0, null, -1, 0, 0.5, true, false, '', '0', '1', -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							rotateMaxEvents: val
+						});
+					}).toThrowWithProps(Error, { message: 'rotateMaxEvents option must be a positive number, if specified' }, val);
 
-			expect(stream.getQueueSize()).toBe(0);
-		});
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							rotateMaxBytes: val
+						});
+					}).toThrowWithProps(Error, { message: 'rotateMaxBytes option must be a positive number, if specified' }, val);
+				});
 
-		it('should return queue size', function() {
-			var stream = new CWLogsWritable({
-				logGroupName: 'foo',
-				logStreamName: 'bar'
-			});
+			[void 0, null, -1, 0, 1, true, false, '', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							spoolDir: val
+						});
+					}).toThrowWithProps(Error, { message: 'spoolDir option must be a non-empty string, if specified' }, val);
+				});
 
-			stream.write('foo');
-			stream.write('foo');
-			stream.write('foo');
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					useSequenceToken: false
+				});
+			}).toNotThrow();
 
-			expect(stream.getQueueSize()).toBe(3);
-		});
-	});
+			[void 0, null, -1, 0, 1, '', 'false', Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							useSequenceToken: val
+						});
+					}).toThrowWithProps(Error, { message: 'useSequenceToken option must be a boolean, if specified' }, val);
+				});
 
-	describe('CWLogsWritable#clearQueue', function() {
-		it('should remove all items from the queue', function() {
-			var stream = new CWLogsWritable({
-				logGroupName: 'foo',
-				logStreamName: 'bar'
-			});
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxConcurrentPuts: 1
+				});
 
-			stream._write('rec', null, noop);
-			var expectedEventLog = stream.queuedLogs[0];
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					maxConcurrentPuts: 10,
+					useSequenceToken: false
+				});
+			}).toNotThrow();
 
-			expect(stream.queuedLogs.length).toBe(1);
+			[void 0, null, -1, 0, 0.5, true, false, '', '1', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							maxConcurrentPuts: val,
+							useSequenceToken: false
+						});
+					}).toThrowWithProps(Error, { message: 'maxConcurrentPuts option must be a positive number, if specified' }, val);
+				});
 
-			var oldQueue = stream.clearQueue();
-			expect(stream.queuedLogs.length).toBe(0);
-			expect(oldQueue.length).toBe(1);
-			expect(oldQueue[0]).toBe(expectedEventLog);
-		});
-	});
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					circuitBreaker: {}
+				});
 
-	describe('CWLogsWritable#createLogEvent', function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					circuitBreaker: { failureThreshold: 3, resetTimeout: 1000 }
+				});
+			}).toNotThrow();
+
+			[void 0, null, 0, 1, true, '', 'foo', noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							circuitBreaker: val
+						});
+					}).toThrowWithProps(Error, { message: 'circuitBreaker option must be an object, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					circuitBreaker: { failureThreshold: 0 }
+				});
+			}).toThrowWithProps(Error, { message: 'failureThreshold option must be a number that is 1 or more, if specified' });
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					recoveryDelay: 0
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					recoveryDelay: 60000
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, true, false, '', '1', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							recoveryDelay: val
+						});
+					}).toThrowWithProps(Error, { message: 'recoveryDelay option must be a positive number, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					rateLimiters: {}
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					rateLimiters: {
+						putLogEvents: new CWLogsWritable.RateLimiter({ rate: 5 }),
+						describeLogStreams: new CWLogsWritable.RateLimiter({ rate: 5 }),
+						createLogGroup: new CWLogsWritable.RateLimiter({ rate: 5 }),
+						createLogStream: new CWLogsWritable.RateLimiter({ rate: 5 })
+					}
+				});
+			}).toNotThrow();
+
+			[void 0, null, 1, '', [], noop, { putLogEvents: null }, { putLogEvents: {} }, { foo: new CWLogsWritable.RateLimiter({ rate: 5 }) }]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							rateLimiters: val
+						});
+					}).toThrowWithProps(Error, { message: 'rateLimiters option must be an object of RateLimiter instances keyed by "putLogEvents", "describeLogStreams", "createLogGroup", "createLogStream", if specified' }, val);
+				});
+
+			[{}, { useSequenceToken: true }].forEach(function(options) {
+				expect(function() {
+					new CWLogsWritable(objectAssign({
+						logGroupName: '',
+						logStreamName: '',
+						maxConcurrentPuts: 2
+					}, options));
+				}).toThrowWithProps(Error, { message: 'maxConcurrentPuts option can only be greater than 1 if useSequenceToken is false' }, options);
+			});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					onError: noop
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							onError: val
+						});
+					}).toThrowWithProps(Error, { message: 'onError option must be a function, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					filterWrite: noop
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							filterWrite: val
+						});
+					}).toThrowWithProps(Error, { message: 'filterWrite option must be a function, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					beforePutLogEvents: noop
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							beforePutLogEvents: val
+						});
+					}).toThrowWithProps(Error, { message: 'beforePutLogEvents option must be a function, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					deadLetter: noop
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					deadLetter: 'dead-letter.ndjson'
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					deadLetter: new Writable()
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', Infinity, {}, [], NaN]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							deadLetter: val
+						});
+					}).toThrowWithProps(Error, { message: 'deadLetter option must be a file path, a Writable or a function, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					fallback: 'stderr'
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					fallback: 'fallback.log'
+				});
+
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					fallback: new Writable()
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							fallback: val
+						});
+					}).toThrowWithProps(Error, { message: 'fallback option must be "stderr", a file path or a Writable, if specified' }, val);
+				});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '',
+					cloudWatchLogsClient: { putLogEvents: noop }
+				});
+			}).toNotThrow();
+
+			[void 0, null, -1, 0, 1, true, false, '', Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							cloudWatchLogsClient: val
+						});
+					}).toThrowWithProps(Error, { message: 'cloudWatchLogsClient option must be an AWS.CloudWatchLogs or a CloudWatchLogsClient, if specified' }, val);
+				});
+		});
+
+		it('should validate logGroupName and logStreamName placeholders', function() {
+			[void 0, null, -1, 0, 1, true, false, '', '0', '1', Infinity, -Infinity, {}, [], NaN]
+				.forEach(function(val) {
+					expect(function() {
+						new CWLogsWritable({
+							logGroupName: '',
+							logStreamName: '',
+							resolvePlaceholder: val
+						});
+					}).toThrowWithProps(Error, { message: 'resolvePlaceholder option must be a function, if specified' }, val);
+				});
+
+			['a:b', 'a*', '*'].forEach(function(val) {
+				expect(function() {
+					new CWLogsWritable({
+						logGroupName: '',
+						logStreamName: val
+					});
+				}).toThrowWithProps(Error, { message: 'logStreamName option cannot contain ":" or "*"' }, val);
+			});
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: 'api/{tenant}',
+					resolvePlaceholder: function() {
+						return 'a:b';
+					}
+				});
+			}).toThrowWithProps(Error, { message: 'logStreamName option cannot contain ":" or "*", but expanded to "api/a:b"' });
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '{foo}',
+					logStreamName: ''
+				});
+			}).toThrowWithProps(Error, { message: 'logGroupName option has an unknown placeholder "{foo}"' });
+
+			expect(function() {
+				new CWLogsWritable({
+					logGroupName: '',
+					logStreamName: '{foo}'
+				});
+			}).toThrowWithProps(Error, { message: 'logStreamName option has an unknown placeholder "{foo}"' });
+		});
+
+		it('should expand placeholders in logGroupName and logStreamName', function() {
+			expect.spyOn(Date, 'now').andReturn(Date.UTC(2017, 1, 4, 9, 30));
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'group-{tenant}-{uuid}',
+				logStreamName: '{hostname}/{pid}/{date:YYYY-MM-DD}/{uuid}',
+				rotateInterval: 'hourly',
+				resolvePlaceholder: function(name) {
+					return name === 'tenant' ? 'acme' : null;
+				}
+			});
+
+			var uuid = stream._templateContext.uuid;
+			var logStreamName = os.hostname() + '/' + process.pid + '/2017-02-04/' + uuid;
+
+			expect(uuid).toBeA('string');
+			expect(stream.logGroupName).toBe('group-acme-' + uuid);
+			expect(stream.baseLogStreamName).toBe(logStreamName);
+			expect(stream.logStreamName).toBe(logStreamName + '-2017-02-04-09');
+		});
+
+		it('should allow escaped braces in logGroupName and logStreamName', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'group-{{blue}}',
+				logStreamName: '{{pid}}-{pid}'
+			});
+
+			expect(stream.logGroupName).toBe('group-{blue}');
+			expect(stream.logStreamName).toBe('{pid}-' + process.pid);
+		});
+
+		it('should return instance if called without "new"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: '',
+				logStreamName: ''
+			});
+
+			expect(stream).toBeA(CWLogsWritable);
+		});
+
+		it('should set props from options', function() {
+			var streamDefaults = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(streamDefaults.logGroupName).toBe('foo', 'Expected logGroupName prop %s to be %s');
+			expect(streamDefaults.logStreamName).toBe('bar', 'Expected logStreamName prop %s to be %s');
+			expect(streamDefaults.writeInterval).toBe('nextTick', 'Expected writeInterval prop default %s to be %s');
+			expect(streamDefaults.retryableMax).toBe(100, 'Expected retryableMax prop default %s to be %s');
+			expect(streamDefaults.retryableDelay).toBe(150, 'Expected retryableDelay prop default %s to be %s');
+			expect(streamDefaults.maxBatchCount).toBe(10000, 'Expected maxBatchCount prop default %s to be %s');
+			expect(streamDefaults.maxBatchSize).toBe(1048576, 'Expected maxBatchSize prop default %s to be %s');
+			expect(streamDefaults.maxMessageSize).toBe(262118, 'Expected maxMessageSize prop default %s to be %s');
+			expect(streamDefaults.oversizedEventPolicy).toBe('truncate', 'Expected oversizedEventPolicy prop default %s to be %s');
+			expect(streamDefaults.timestampPolicy).toBe(null, 'Expected timestampPolicy prop default %s to be %s');
+			expect(streamDefaults.maxEventAge).toBe(1209600000, 'Expected maxEventAge prop default %s to be %s');
+			expect(streamDefaults.maxQueueCount).toBe(Infinity, 'Expected maxQueueCount prop default %s to be %s');
+			expect(streamDefaults.maxQueueBytes).toBe(Infinity, 'Expected maxQueueBytes prop default %s to be %s');
+			expect(streamDefaults.queueOverflowPolicy).toBe('dropOldest', 'Expected queueOverflowPolicy prop default %s to be %s');
+			expect(streamDefaults.baseLogStreamName).toBe('bar', 'Expected baseLogStreamName prop %s to be %s');
+			expect(streamDefaults.rotateInterval).toBe(null, 'Expected rotateInterval prop default %s to be %s');
+			expect(streamDefaults.rotateMaxEvents).toBe(Infinity, 'Expected rotateMaxEvents prop default %s to be %s');
+			expect(streamDefaults.rotateMaxBytes).toBe(Infinity, 'Expected rotateMaxBytes prop default %s to be %s');
+			expect(streamDefaults.useSequenceToken).toBe(true, 'Expected useSequenceToken prop default %s to be %s');
+			expect(streamDefaults.maxConcurrentPuts).toBe(1, 'Expected maxConcurrentPuts prop default %s to be %s');
+			expect(streamDefaults.rateLimiters).toEqual({}, 'Expected rateLimiters prop default %s to be %s');
+			expect(streamDefaults.recoveryDelay).toBe(null, 'Expected recoveryDelay prop default %s to be %s');
+			expect(streamDefaults.circuitBreaker).toBe(null, 'Expected circuitBreaker prop default %s to be %s');
+			expect(streamDefaults.spool).toBe(null, 'Expected spool prop default %s to be %s');
+			expect(streamDefaults.onError).toBe(CWLogsWritable.prototype.onError, 'Expected onError prop default %s to be %s');
+			expect(streamDefaults.filterWrite).toBe(CWLogsWritable.prototype.filterWrite, 'Expected filterWrite prop default %s to be %s');
+			expect(streamDefaults.beforePutLogEvents).toBe(null, 'Expected beforePutLogEvents prop default %s to be %s');
+			expect(streamDefaults.deadLetter).toBe(null, 'Expected deadLetter prop default %s to be %s');
+			expect(streamDefaults.fallback).toBe(null, 'Expected fallback prop default %s to be %s');
+
+			var onError = function() {};
+			var filterWrite = function() {};
+			var beforePutLogEvents = function() {};
+			var deadLetter = function() {};
+			var rateLimiters = { putLogEvents: new CWLogsWritable.RateLimiter({ rate: 5 }) };
+			var streamOverrides = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				writeInterval: 500,
+				retryableMax: 600,
+				retryableDelay: 700,
+				maxBatchCount: 1000,
+				maxBatchSize: 1000000,
+				maxMessageSize: 1000,
+				oversizedEventPolicy: 'split',
+				timestampPolicy: 'drop',
+				maxEventAge: 86400000,
+				maxQueueCount: 50,
+				maxQueueBytes: 5000,
+				queueOverflowPolicy: 'backpressure',
+				rotateInterval: 'hourly',
+				rotateMaxEvents: 100,
+				rotateMaxBytes: 10000,
+				useSequenceToken: false,
+				maxConcurrentPuts: 4,
+				rateLimiters: rateLimiters,
+				recoveryDelay: 30000,
+				circuitBreaker: { failureThreshold: 3, resetTimeout: 1000 },
+				onError: onError,
+				filterWrite: filterWrite,
+				beforePutLogEvents: beforePutLogEvents,
+				deadLetter: deadLetter,
+				fallback: 'stderr'
+			});
+
+			expect(streamOverrides.writeInterval).toBe(500, 'Expected writeInterval prop %s to be %s');
+			expect(streamOverrides.retryableMax).toBe(600, 'Expected retryableMax prop %s to be %s');
+			expect(streamOverrides.retryableDelay).toBe(700, 'Expected retryableDelay prop %s to be %s');
+			expect(streamOverrides.maxBatchCount).toBe(1000, 'Expected maxBatchCount prop %s to be %s');
+			expect(streamOverrides.maxBatchSize).toBe(1000000, 'Expected maxBatchSize prop %s to be %s');
+			expect(streamOverrides.maxMessageSize).toBe(1000, 'Expected maxMessageSize prop %s to be %s');
+			expect(streamOverrides.oversizedEventPolicy).toBe('split', 'Expected oversizedEventPolicy prop %s to be %s');
+			expect(streamOverrides.timestampPolicy).toBe('drop', 'Expected timestampPolicy prop %s to be %s');
+			expect(streamOverrides.maxEventAge).toBe(86400000, 'Expected maxEventAge prop %s to be %s');
+			expect(streamOverrides.maxQueueCount).toBe(50, 'Expected maxQueueCount prop %s to be %s');
+			expect(streamOverrides.maxQueueBytes).toBe(5000, 'Expected maxQueueBytes prop %s to be %s');
+			expect(streamOverrides.queueOverflowPolicy).toBe('backpressure', 'Expected queueOverflowPolicy prop %s to be %s');
+			expect(streamOverrides.rotateInterval).toBe('hourly', 'Expected rotateInterval prop %s to be %s');
+			expect(streamOverrides.rotateMaxEvents).toBe(100, 'Expected rotateMaxEvents prop %s to be %s');
+			expect(streamOverrides.rotateMaxBytes).toBe(10000, 'Expected rotateMaxBytes prop %s to be %s');
+			expect(streamOverrides.useSequenceToken).toBe(false, 'Expected useSequenceToken prop %s to be %s');
+			expect(streamOverrides.maxConcurrentPuts).toBe(4, 'Expected maxConcurrentPuts prop %s to be %s');
+			expect(streamOverrides.rateLimiters).toBe(rateLimiters, 'Expected rateLimiters prop %s to be %s');
+			expect(streamOverrides.recoveryDelay).toBe(30000, 'Expected recoveryDelay prop %s to be %s');
+			expect(streamOverrides.circuitBreaker.failureThreshold).toBe(3, 'Expected circuitBreaker.failureThreshold prop %s to be %s');
+			expect(streamOverrides.circuitBreaker.resetTimeout).toBe(1000, 'Expected circuitBreaker.resetTimeout prop %s to be %s');
+			expect(streamOverrides.onError).toBe(onError, 'Expected onError prop %s to be %s');
+			expect(streamOverrides.filterWrite).toBe(filterWrite, 'Expected filterWrite prop %s to be %s');
+			expect(streamOverrides.beforePutLogEvents).toBe(beforePutLogEvents, 'Expected beforePutLogEvents prop %s to be %s');
+			expect(streamOverrides.deadLetter).toBe(deadLetter, 'Expected deadLetter prop %s to be %s');
+			expect(streamOverrides.fallback).toBeA('function', 'Expected fallback prop %s to be a %s');
+		});
+
+		it('should call createSpool and queue spooled log events, if spoolDir is specified', function() {
+			inherits(Child, CWLogsWritable);
+			function Child(options) {
+				CWLogsWritable.call(this, options);
+			}
+
+			var spooledLogEvents = [
+				{ message: 'a', timestamp: 100 },
+				{ message: 'bb', timestamp: 100 }
+			];
+			var expectedSpool = {
+				load: expect.createSpy().andReturn(spooledLogEvents)
+			};
+
+			var createSpoolSpy = expect.spyOn(Child.prototype, 'createSpool').andReturn(expectedSpool);
+			var scheduleSendLogsSpy = expect.spyOn(Child.prototype, '_scheduleSendLogs');
+
+			var child = new Child({
+				logGroupName: '',
+				logStreamName: '',
+				spoolDir: 'spool-dir'
+			});
+
+			expect(createSpoolSpy.calls.length).toBe(1);
+			expect(createSpoolSpy.calls[0].arguments).toEqual(['spool-dir']);
+			expect(child.spool).toBe(expectedSpool);
+			expect(expectedSpool.load.calls.length).toBe(1);
+			expect(child.queuedLogs).toBe(spooledLogEvents);
+			expect(child.getQueueBytes()).toBe(27 + 28);
+			expect(child.writeQueued).toBe(true);
+			expect(scheduleSendLogsSpy.calls.length).toBe(1);
+		});
+
+		it('should use cloudWatchLogsClient option instead of calling createService', function() {
+			inherits(Child, CWLogsWritable);
+			function Child(options) {
+				CWLogsWritable.call(this, options);
+			}
+
+			var client = { putLogEvents: noop };
+			var createServiceSpy = expect.spyOn(Child.prototype, 'createService').andCallThrough();
+
+			var child = new Child({
+				logGroupName: '',
+				logStreamName: '',
+				cloudWatchLogsOptions: {},
+				cloudWatchLogsClient: client
+			});
+
+			expect(createServiceSpy.calls.length).toBe(0);
+			expect(child.cloudwatch).toBe(client);
+		});
+
+		it('should call createService and pass cloudWatchLogsOptions option', function() {
+			inherits(Child, CWLogsWritable);
+			function Child(options) {
+				CWLogsWritable.call(this, options);
+			}
+
+			var expectedOpts = {
+				constructor: expect.createSpy()
+			};
+
+			var createServiceSpy = expect.spyOn(Child.prototype, 'createService').andCallThrough();
+
+			var child = new Child({
+				logGroupName: '',
+				logStreamName: '',
+				cloudWatchLogsOptions: expectedOpts
+			});
+
+			expect(createServiceSpy.calls.length).toBe(1);
+			expect(createServiceSpy.calls[0].arguments.length).toBe(1);
+			expect(createServiceSpy.calls[0].arguments[0]).toBe(expectedOpts);
+
+			expect(expectedOpts.constructor.calls.length).toBe(1);
+			expect(expectedOpts.constructor.calls[0].context).toBe(child.cloudwatch);
+			expect(expectedOpts.constructor.calls[0].arguments.length).toBe(1);
+			expect(expectedOpts.constructor.calls[0].arguments[0]).toBe(expectedOpts);
+		});
+	});
+
+	describe('CWLogsWritable#getQueueSize', function() {
+		it('should initially return 0', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream.getQueueSize()).toBe(0);
+		});
+
+		it('should return queue size', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.write('foo');
+			stream.write('foo');
+			stream.write('foo');
+
+			expect(stream.getQueueSize()).toBe(3);
+		});
+	});
+
+	describe('CWLogsWritable#getQueueBytes', function() {
+		it('should initially return 0', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream.getQueueBytes()).toBe(0);
+		});
+
+		it('should return the UTF-8 size of queued messages plus 26 bytes for each', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			stream.write('foo');
+			stream.write('I \u2764 AWS');
+			expect(stream.getQueueBytes()).toBe(26 + 3 + 26 + 9);
+		});
+
+		it('should not include log events that are being sent', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchCount: 1
+			});
+
+			var putCallback;
+
+			stream._scheduleSendLogs = noop;
+			stream.sequenceToken = 'seq';
+			stream._putLogEvents = function(apiParams, cb) {
+				putCallback = cb;
+			};
+
+			stream.write('foo');
+			stream.write('foobar');
+			stream._sendLogs();
+			expect(stream.getQueueBytes()).toBe(26 + 6);
+
+			putCallback(null, 'seq', null);
+			stream._sendLogs();
+			expect(stream.getQueueBytes()).toBe(0);
+		});
+
+		it('should include log events returned to the queue after an error', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			stream.write('foo');
+			stream._nextAfterError(++stream._onErrorNextCbId, [{ message: 'foobar', timestamp: 100 }]);
+			expect(stream.getQueueBytes()).toBe(26 + 6 + 26 + 3);
+		});
+	});
+
+	describe('CWLogsWritable#getStats', function() {
+		it('should count log events written, filtered, dropped and sent', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256,
+				oversizedEventPolicy: 'drop',
+				filterWrite: function(rec) {
+					return rec !== 'skip';
+				}
+			});
+
+			stream.write('foo');
+			stream.write('skip');
+			stream.write(new Array(300).join('x'));
+
+			var stats = stream.getStats();
+			expect(stats.eventsWritten).toBe(2);
+			expect(stats.bytesWritten).toBe(26 + 3 + 26 + 299);
+			expect(stats.eventsFiltered).toBe(1);
+			expect(stats.eventsDropped).toBe(1);
+			expect(stats.eventsDroppedByReason).toEqual({ oversized: 1 });
+			expect(stats.queueSize).toBe(1);
+			expect(stats.queueBytes).toBe(26 + 3);
+			expect(stats.oldestQueuedEventAge).toBeA('number');
+
+			stream.flush(function() {
+				var stats = stream.getStats();
+				expect(stats.eventsSent).toBe(1);
+				expect(stats.bytesSent).toBe(26 + 3);
+				expect(stats.putLogEventsCalls).toBe(1);
+				expect(stats.putLatency.count).toBe(1);
+				expect(stats.lastSuccessTime).toBeA('number');
+				expect(stats.lastError).toBe(null);
+				expect(stats.queueSize).toBe(0);
+				expect(stats.inFlightPuts).toBe(0);
+				expect(stats.oldestQueuedEventAge).toBe(null);
+				done();
+			});
+		});
+
+		it('should count retries, errors and requeued log events', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				code: 'ThrottlingException',
+				retryable: true
+			});
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableMax: 1,
+				retryableDelay: 'nextTick',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				},
+				onError: function(err, logEvents, next) {
+					var stats = stream.getStats();
+					expect(stats.putLogEventsCalls).toBe(2);
+					expect(stats.retries).toBe(1);
+					expect(stats.errorsByCode).toEqual({ ThrottlingException: 2 });
+					expect(stats.lastError).toBe(expectedError);
+					expect(stats.lastErrorTime).toBeA('number');
+					expect(stats.eventsSent).toBe(0);
+
+					stream._scheduleSendLogs = noop;
+					next(logEvents);
+
+					expect(stream.getStats().eventsRequeued).toBe(1);
+					done();
+				}
+			});
+
+			stream.write('foo');
+		});
+
+		it('should return the time since the oldest queued log event was queued', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			var dateNowSpy = expect.spyOn(Date, 'now').andReturn(500);
+			stream.write({ msg: 'a', time: 100 });
+			dateNowSpy.andReturn(900);
+			stream.write({ msg: 'b', time: 900 });
+
+			dateNowSpy.andReturn(1000);
+			expect(stream.getStats().oldestQueuedEventAge).toBe(500);
+		});
+
+		it('should keep the time log events were first queued when they are returned to the queue', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			var dateNowSpy = expect.spyOn(Date, 'now').andReturn(500);
+			stream.write('a');
+
+			var logEvents = stream.clearQueue();
+			expect(stream.getStats().oldestQueuedEventAge).toBe(null);
+
+			dateNowSpy.andReturn(2000);
+			stream._nextAfterError(++stream._onErrorNextCbId, logEvents);
+			expect(stream.getStats().oldestQueuedEventAge).toBe(1500);
+			expect(Object.keys(logEvents[0])).toEqual(['message', 'timestamp']);
+		});
+	});
+
+	describe('CWLogsWritable#clearQueue', function() {
+		it('should remove all items from the queue', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._write('rec', null, noop);
+			var expectedEventLog = stream.queuedLogs[0];
+
+			expect(stream.queuedLogs.length).toBe(1);
+
+			var oldQueue = stream.clearQueue();
+			expect(stream.queuedLogs.length).toBe(0);
+			expect(stream.getQueueBytes()).toBe(0);
+			expect(oldQueue.length).toBe(1);
+			expect(oldQueue[0]).toBe(expectedEventLog);
+		});
+	});
+
+	describe('CWLogsWritable#flush', function() {
+		it('should call back once all queued log events are sent', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchCount: 1
+			});
+
+			stream.write('foo');
+			stream.write('bar');
+
+			stream.flush(function() {
+				expect(arguments.length).toBe(0);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(2);
+				expect(stream.queuedLogs.length).toBe(0);
+				expect(stream.writeQueued).toBe(false);
+				done();
+			});
+
+			expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
+		});
+
+		it('should call back on the next tick if nothing is queued', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var called = false;
+			stream.flush(function() {
+				called = true;
+				expect(arguments.length).toBe(0);
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(0);
+				done();
+			});
+
+			expect(called).toBe(false);
+		});
+
+		it('should schedule sending if log events are queued but not being sent', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.queuedLogs.push({ message: 'foo', timestamp: Date.now() });
+			expect(stream.writeQueued).toBe(false);
+
+			stream.flush(function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				done();
+			});
+
+			expect(stream.writeQueued).toBe(true);
+		});
+
+		it('should return a Promise if no callback is specified', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.write('foo');
+
+			return stream.flush()
+				.then(function() {
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				});
+		});
+
+		it('should call back with the error if the stream is disabled', function() {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			stream.on('error', noop);
+			stream.write('foo');
+
+			return stream.flush()
+				.then(function() {
+					throw new Error('Expected not to resolve');
+				}, function(err) {
+					expect(err).toBe(expectedError);
+				});
+		});
+	});
+
+	describe('CWLogsWritable#createLogEvent', function() {
 		it('should return a log event', function() {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar'
+			});
+
+			var now = Date.now();
+			var logEvent = stream.createLogEvent('foo');
+
+			expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
+			expect(logEvent.message).toBe('foo');
+			expect(logEvent.timestamp).toBeA('number');
+			expect(logEvent.timestamp).toBeGreaterThanOrEqualTo(now);
+			expect(logEvent.timestamp).toBeLessThan(now + 10);
+		});
+
+		it('should stringify non-string log records', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var now = Date.now();
+			var logEvent = stream.createLogEvent({ foo: 'bar' });
+
+			expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
+			expect(logEvent.message).toBe('{"foo":"bar"}');
+		});
+
+		it('should get timestamp from "time" prop on object log records', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var logEventA = stream.createLogEvent({ foo: 'bar', time: 100 });
+			expect(Object.keys(logEventA).sort()).toEqual(['message', 'timestamp']);
+			expect(logEventA.message).toBe('{"foo":"bar","time":100}');
+			expect(logEventA.timestamp).toBe(100);
+
+			var logEventB = stream.createLogEvent({ foo: 'bar', time: '2017-02-13T16:57:51.344Z' });
+			expect(Object.keys(logEventB).sort()).toEqual(['message', 'timestamp']);
+			expect(logEventB.message).toBe('{"foo":"bar","time":"2017-02-13T16:57:51.344Z"}');
+			expect(logEventB.timestamp).toBe(1487005071344);
+		});
+	});
+
+	describe('CWLogsWritable#truncateLogEvent', function() {
+		it('should truncate the message to fit and add a marker', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			var logEvent = stream.truncateLogEvent({
+				message: new Array(301).join('a'),
+				timestamp: 100
+			});
+
+			expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
+			expect(logEvent.message).toBe(new Array(256 - 11 + 1).join('a') + '[TRUNCATED]');
+			expect(logEvent.timestamp).toBe(100);
+		});
+
+		it('should not split surrogate pairs', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			// Measure by string length, so the cut would otherwise land between a surrogate pair.
+			stream.getMessageSize = function(message) {
+				return message.length;
+			};
+
+			var logEvent = stream.truncateLogEvent({
+				message: new Array(201).join('\uD83D\uDE00'),
+				timestamp: 100
+			});
+
+			expect(logEvent.message.length).toBe(244 + 11);
+			expect(logEvent.message.substr(-12)).toBe('\uDE00[TRUNCATED]');
+		});
+
+		it('should measure the message in UTF-8 bytes', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			var logEvent = stream.truncateLogEvent({
+				message: new Array(301).join('\u2764'),
+				timestamp: 100
+			});
+
+			// 3 bytes for each character.
+			expect(logEvent.message).toBe(new Array(81 + 1).join('\u2764') + '[TRUNCATED]');
+			expect(stream.getMessageSize(logEvent.message)).toBe(254);
+		});
+	});
+
+	describe('CWLogsWritable#splitLogEvent', function() {
+		it('should split the message into numbered chunks that fit', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			var message = new Array(601).join('a');
+			var logEvents = stream.splitLogEvent({
+				message: message,
+				timestamp: 100
+			});
+
+			expect(logEvents.length).toBe(3);
+
+			var correlationId = logEvents[0].message.match(/^\[([0-9a-f]{12}) /)[1];
+			var chunks = logEvents.map(function(logEvent, i) {
+				expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
+				expect(logEvent.timestamp).toBe(100);
+				expect(stream.getMessageSize(logEvent.message)).toBeLessThanOrEqualTo(256);
+
+				var prefix = '[' + correlationId + ' ' + (i + 1) + '/3] ';
+				expect(logEvent.message.substr(0, prefix.length)).toBe(prefix);
+				return logEvent.message.substr(prefix.length);
+			});
+
+			expect(chunks.join('')).toBe(message);
+		});
+
+		it('should split large multi-byte messages without measuring more than maxMessageSize at a time', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 1000
+			});
+
+			var measuredLengths = [];
+			var getMessageSize = stream.getMessageSize;
+			stream.getMessageSize = function(message) {
+				measuredLengths.push(message.length);
+				return getMessageSize.call(this, message);
+			};
+
+			// 4 bytes for each surrogate pair, and 3 bytes for each other character.
+			var message = new Array(50001).join('\uD83D\uDE00\u2764');
+			var logEvents = stream.splitLogEvent({
+				message: message,
+				timestamp: 100
+			});
+
+			expect(Math.max.apply(Math, measuredLengths)).toBeLessThanOrEqualTo(1000);
+			expect(logEvents.map(function(logEvent) {
+				expect(getMessageSize.call(stream, logEvent.message)).toBeLessThanOrEqualTo(1000);
+				expect(isHighSurrogateCode(logEvent.message.charCodeAt(logEvent.message.length - 1))).toBe(false);
+				return logEvent.message.replace(/^\[[0-9a-f]{12} \d+\/\d+\] /, '');
+			}).join('')).toBe(message);
+
+			function isHighSurrogateCode(charCode) {
+				return charCode >= 0xD800 && charCode <= 0xDBFF;
+			}
+		});
+
+		it('should use a different correlation ID for each log event', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			var message = new Array(601).join('a');
+			var logEventsA = stream.splitLogEvent({ message: message, timestamp: 100 });
+			var logEventsB = stream.splitLogEvent({ message: message, timestamp: 100 });
+
+			expect(logEventsA[0].message.substr(0, 14)).toNotBe(logEventsB[0].message.substr(0, 14));
+		});
+	});
+
+	describe('CWLogsWritable#onError', function() {
+		it('should call "next" callback with the error', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var expectedErr = new Error();
+			var spy = expect.createSpy();
+
+			stream.onError(expectedErr, null, spy);
+
+			expect(spy.calls.length).toBe(1);
+			expect(spy.calls[0].arguments.length).toBe(1);
+			expect(spy.calls[0].arguments[0]).toBe(expectedErr);
+		});
+	});
+
+	describe('CWLogsWritable#nextLogBatchSize', function() {
+		var overhead = 26;
+		var max = 1048576;
+		var maxMessageSize = 256 * 1024 - overhead;
+
+		// Large message that leaves a bit of room left to test batch limit.
+		// i.e. 1048576 / 200000 = 5.24288 then 1048576 - (5 * 200000) = 48576 bytes for the last message
+		var largeMessage = new Array(200000 - overhead + 1).join('0');
+
+		it('should be all logs if small', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.write(new Array(maxMessageSize + 1).join('0'));
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(1);
+		});
+
+		it('should be all logs if exactly enough', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var willFit = Math.floor(max / (overhead + largeMessage.length));
+			var remainder = max - willFit * (overhead + largeMessage.length);
+
+			// Sanity check
+			expect(remainder).toBe(48576);
+
+			for (var i = 0; i < willFit; i++) {
+				stream.write(largeMessage);
+			}
+
+			stream.write(largeMessage.substr(0, remainder - overhead));
+
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(willFit + 1);
+			stream.queuedLogs = [];
+		});
+
+		it('should be part of queue if too large for one batch', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var willFit = Math.floor(max / (overhead + largeMessage.length));
+			var remainder = max - willFit * (overhead + largeMessage.length);
+
+			// Sanity check
+			expect(remainder).toBe(48576);
+
+			for (var i = 0; i < willFit; i++) {
+				stream.write(largeMessage);
+			}
+
+			stream.write(largeMessage.substr(0, remainder - overhead + 1)); // One byte over
+
+			expect(stream.queuedLogs.length).toBe(willFit + 1);
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(willFit);
+			stream.queuedLogs = [];
+		});
+
+		it('should use maxBatchCount option', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchCount: 10
+			});
+
+			for (var i = 0; i < 15; i++) {
+				stream.write('---');
+			}
+
+			expect(stream.queuedLogs.length).toBe(15);
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(10);
+			stream.queuedLogs = [];
+		});
+
+		it('should use maxBatchSize option', function() {
+			var maxSize = (largeMessage.length + overhead) * 3 + 1000;
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchSize: maxSize
+			});
+
+			var willFit = Math.floor(maxSize / (overhead + largeMessage.length));
+			var remainder = maxSize - willFit * (overhead + largeMessage.length);
+
+			// Sanity check
+			expect(remainder).toBe(1000);
+
+			for (var i = 0; i < willFit; i++) {
+				stream.write(largeMessage);
+			}
+
+			stream.write(largeMessage.substr(0, remainder - overhead + 1)); // One byte over
+
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(willFit);
+			stream.queuedLogs = [];
+		});
+
+		it('should count multi-byte characters as UTF-8 bytes', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchSize: 1024
+			});
+
+			// 3 bytes for each character, so each log event is 26 + 300 bytes.
+			var message = new Array(101).join('\u2764');
+			for (var i = 0; i < 4; i++) {
+				stream.write(message);
+			}
+
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(3);
+			stream.queuedLogs = [];
+		});
+
+		it('should not span more than 24 hours', function() {
+			var day = 24 * 60 * 60 * 1000;
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream.nextLogBatchSize([
+				{ message: 'a', timestamp: 1000 },
+				{ message: 'b', timestamp: 1000 + day },
+				{ message: 'c', timestamp: 1000 + day + 1 }
+			])).toBe(2);
+
+			// Out of order timestamps, since the batch is sorted afterwards.
+			expect(stream.nextLogBatchSize([
+				{ message: 'a', timestamp: 1000 + day },
+				{ message: 'b', timestamp: 1000 + day / 2 },
+				{ message: 'c', timestamp: 1000 },
+				{ message: 'd', timestamp: 999 }
+			])).toBe(3);
+
+			expect(stream.nextLogBatchSize([
+				{ message: 'a', timestamp: 1000 },
+				{ message: 'b', timestamp: 1000 + day * 2 }
+			])).toBe(1);
+		});
+	});
+
+	describe('CWLogsWritable#getMessageSize', function() {
+		it('should return the size in UTF-8 bytes', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream.getMessageSize('')).toBe(0);
+			expect(stream.getMessageSize('I AWS')).toBe(5);
+			expect(stream.getMessageSize('I \u2764 AWS')).toBe(9);
+			expect(stream.getMessageSize('\uD83D\uDE00')).toBe(4);
+		});
+	});
+
+	describe('CWLogsWritable#_getLogEventSize', function() {
+		it('should calculate the size once and store it with the log event', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var getMessageSizeSpy = expect.spyOn(stream, 'getMessageSize').andCallThrough();
+
+			stream.write('I \u2764 AWS');
+			expect(getMessageSizeSpy.calls.length).toBe(1);
+			expect(getMessageSizeSpy.calls[0].arguments[0]).toBe('I \u2764 AWS');
+
+			var logEvent = stream.queuedLogs[0];
+			expect(stream._getLogEventSize(logEvent)).toBe(9);
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(1);
+			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(1);
+			expect(getMessageSizeSpy.calls.length).toBe(1);
+
+			// Not included when serialized or sent to AWS.
+			expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
+			expect(JSON.parse(JSON.stringify(logEvent))).toEqual({ message: logEvent.message, timestamp: logEvent.timestamp });
+		});
+
+		it('should calculate the size again if the message changes', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var logEvent = { message: 'foo', timestamp: 100 };
+			expect(stream._getLogEventSize(logEvent)).toBe(3);
+
+			logEvent.message = '\u2764';
+			expect(stream._getLogEventSize(logEvent)).toBe(3);
+
+			logEvent.message = '\u2764\u2764';
+			expect(stream._getLogEventSize(logEvent)).toBe(6);
+		});
+	});
+
+	describe('CWLogsWritable#_scheduleSendLogs', function() {
+		it('should call process.nextTick if writeInterval is "nextTick"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				writeInterval: 'nextTick'
+			});
+
+			var nextTickSpy = expect.spyOn(process, 'nextTick').andCallThrough();
+
+			return new Promise(function(resolve) {
+				stream._sendLogs = expect.createSpy().andCall(resolve);
+				stream._scheduleSendLogs();
+				expect(nextTickSpy.calls.length).toBe(1);
+				expect(nextTickSpy.calls[0].arguments.length).toBe(1);
+				expect(nextTickSpy.calls[0].arguments[0]).toBeA('function');
+				expect(stream._sendLogs.calls.length).toBe(0);
+			})
+				.then(function() {
+					expect(nextTickSpy.calls.length).toBe(1);
+					expect(stream._sendLogs.calls.length).toBe(1);
+					expect(stream._sendLogs.calls[0].arguments.length).toBe(0);
+				});
+		});
+
+		it('should call setTimeout if writeInterval is a number', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				writeInterval: 10
+			});
+
+			var setTimeoutSpy = expect.spyOn(global, 'setTimeout').andCallThrough();
+
+			return new Promise(function(resolve) {
+				stream._sendLogs = expect.createSpy().andCall(resolve);
+				stream._scheduleSendLogs();
+				expect(setTimeoutSpy.calls.length).toBe(1);
+				expect(setTimeoutSpy.calls[0].arguments.length).toBe(2);
+				expect(setTimeoutSpy.calls[0].arguments[0]).toBeA('function');
+				expect(setTimeoutSpy.calls[0].arguments[1]).toBe(10);
+				expect(stream._sendLogs.calls.length).toBe(0);
+			})
+				.then(function() {
+					expect(setTimeoutSpy.calls.length).toBe(1);
+					expect(stream._sendLogs.calls.length).toBe(1);
+					expect(stream._sendLogs.calls[0].arguments.length).toBe(0);
+				});
+		});
+	});
+
+	describe('CWLogsWritable#filterWrite', function() {
+		it('should return true if not null/undefined', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream.filterWrite(null)).toBe(false, 'Expected filterWrite to return %s for null');
+			expect(stream.filterWrite(void 0)).toBe(false, 'Expected filterWrite to return %s for undefined');
+
+			[true, false, -1, 0, 1, '', '0', '1', Infinity, -Infinity, {}, [], NaN, noop]
+				.forEach(function(val) {
+					expect(stream.filterWrite(val)).toBe(true, 'Expected filterWrite to return %s for ' + valToStr(val));
+				});
+		});
+	});
+
+	describe('CWLogsWritable#_write', function() {
+		it('should push record to queue', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var logEventRec;
+			var cbSpy = expect.createSpy();
+			stream._scheduleSendLogs = expect.createSpy();
+			stream.createLogEvent = expect.createSpy().andCall(function(rec) {
+				return logEventRec = CWLogsWritable.prototype.createLogEvent(rec);
+			});
+
+			expect(stream.writeQueued).toBe(false);
+
+			// Write the first record.
+			stream._write('foo', null, cbSpy);
+
+			expect(stream.queuedLogs.length).toBe(1);
+			expect(stream.queuedLogs[0]).toBe(logEventRec);
+			expect(stream.queuedLogs[0].message).toBe('foo');
+			expect(stream.createLogEvent.calls.length).toBe(1);
+			expect(stream.createLogEvent.calls[0].arguments.length).toBe(1);
+			expect(stream.createLogEvent.calls[0].arguments[0]).toBe('foo');
+			expect(stream.writeQueued).toBe(true);
+			expect(stream._scheduleSendLogs.calls.length).toBe(1);
+			expect(stream._scheduleSendLogs.calls[0].arguments.length).toBe(0);
+			expect(cbSpy.calls.length).toBe(1);
+			expect(cbSpy.calls[0].arguments.length).toBe(0);
+
+			// Write a second record.
+			stream._write('bar', null, cbSpy);
+
+			// On second write, _scheduleSendLogs should NOT have been called.
+			expect(stream.queuedLogs.length).toBe(2);
+			expect(stream.queuedLogs[1]).toBe(logEventRec);
+			expect(stream.queuedLogs[0].message).toBe('foo');
+			expect(stream.queuedLogs[1].message).toBe('bar');
+			expect(stream.createLogEvent.calls.length).toBe(2);
+			expect(stream.createLogEvent.calls[1].arguments.length).toBe(1);
+			expect(stream.createLogEvent.calls[1].arguments[0]).toBe('bar');
+			expect(stream.writeQueued).toBe(true);
+			expect(stream._scheduleSendLogs.calls.length).toBe(1);
+			expect(cbSpy.calls.length).toBe(2);
+			expect(cbSpy.calls[1].arguments.length).toBe(0);
+		});
+
+		it('should call filterWrite', function() {
+			var filterWrite = expect.createSpy().andCall(function(rec) {
+				return rec === 'okay';
+			});
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				filterWrite: filterWrite
+			});
+
+			stream._scheduleSendLogs = expect.createSpy();
+
+			stream._write('excl', null, noop);
+			expect(filterWrite.calls.length).toBe(1);
+			expect(filterWrite.calls[0].context).toBe(stream);
+			expect(filterWrite.calls[0].arguments.length).toBe(1);
+			expect(filterWrite.calls[0].arguments[0]).toBe('excl');
+			expect(stream.queuedLogs.length).toBe(0);
+			expect(stream.writeQueued).toBe(false);
+			expect(stream._scheduleSendLogs.calls.length).toBe(0);
+
+			stream._write('okay', null, noop);
+			expect(filterWrite.calls.length).toBe(2);
+			expect(filterWrite.calls[1].arguments.length).toBe(1);
+			expect(filterWrite.calls[1].arguments[0]).toBe('okay');
+			expect(stream.queuedLogs.length).toBe(1);
+			expect(stream.writeQueued).toBe(true);
+			expect(stream._scheduleSendLogs.calls.length).toBe(1);
+		});
+	});
+
+	describe('CWLogsWritable#_queueLogEvent', function() {
+		var largeMessage = new Array(301).join('a');
+
+		it('should push log events that fit as-is', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			var logEvent = { message: new Array(257).join('a'), timestamp: 100 };
+			stream._queueLogEvent(logEvent);
+
+			expect(stream.queuedLogs.length).toBe(1);
+			expect(stream.queuedLogs[0]).toBe(logEvent);
+		});
+
+		it('should call truncateLogEvent if oversizedEventPolicy is "truncate"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256
+			});
+
+			var logEvent = { message: largeMessage, timestamp: 100 };
+			var expectedLogEvent = { message: 'truncated', timestamp: 100 };
+			var truncateLogEventSpy = expect.spyOn(stream, 'truncateLogEvent').andReturn(expectedLogEvent);
+
+			stream._queueLogEvent(logEvent);
+
+			expect(truncateLogEventSpy.calls.length).toBe(1);
+			expect(truncateLogEventSpy.calls[0].arguments.length).toBe(1);
+			expect(truncateLogEventSpy.calls[0].arguments[0]).toBe(logEvent);
+			expect(stream.queuedLogs.length).toBe(1);
+			expect(stream.queuedLogs[0]).toBe(expectedLogEvent);
+		});
+
+		it('should call splitLogEvent if oversizedEventPolicy is "split"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256,
+				oversizedEventPolicy: 'split'
+			});
+
+			var logEvent = { message: largeMessage, timestamp: 100 };
+			var expectedLogEvents = [{ message: 'a', timestamp: 100 }, { message: 'b', timestamp: 100 }];
+			var splitLogEventSpy = expect.spyOn(stream, 'splitLogEvent').andReturn(expectedLogEvents);
+
+			stream._write('first', null, noop);
+			stream._queueLogEvent(logEvent);
+
+			expect(splitLogEventSpy.calls.length).toBe(1);
+			expect(splitLogEventSpy.calls[0].arguments.length).toBe(1);
+			expect(splitLogEventSpy.calls[0].arguments[0]).toBe(logEvent);
+			expect(stream.queuedLogs.length).toBe(3);
+			expect(stream.queuedLogs[0].message).toBe('first');
+			expect(stream.queuedLogs[1]).toBe(expectedLogEvents[0]);
+			expect(stream.queuedLogs[2]).toBe(expectedLogEvents[1]);
+		});
+
+		it('should emit "dropLogEvents" if oversizedEventPolicy is "drop"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxMessageSize: 256,
+				oversizedEventPolicy: 'drop'
+			});
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			var logEvent = { message: largeMessage, timestamp: 100 };
+			stream._queueLogEvent(logEvent);
+
+			expect(stream.queuedLogs.length).toBe(0);
+			expect(dropLogEventsEventSpy.calls.length).toBe(1);
+			expect(dropLogEventsEventSpy.calls[0].arguments.length).toBe(2);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0]).toEqual([logEvent]);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0][0]).toBe(logEvent);
+			expect(dropLogEventsEventSpy.calls[0].arguments[1]).toBe('oversized');
+		});
+	});
+
+	describe('CWLogsWritable#_final', function() {
+		it('should not fire "finish" until all log events are sent', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream.on('finish', function() {
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(putLogEventsEventSpy.calls[0].arguments[0].length).toBe(2);
+				expect(stream.queuedLogs.length).toBe(0);
+				done();
+			});
+
+			stream.write('foo');
+			stream.end('bar');
+		});
+
+		it('should fire "finish" even if the stream is disabled', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			var errorEventSpy = expect.createSpy();
+			stream.on('error', errorEventSpy);
+
+			stream.on('finish', function() {
+				expect(errorEventSpy.calls.length).toBe(1);
+				expect(errorEventSpy.calls[0].arguments[0]).toBe(expectedError);
+				done();
+			});
+
+			stream.end('foo');
+		});
+	});
+
+	describe('CWLogsWritable#queueOverflowPolicy', function() {
+		it('should drop the oldest log events if "dropOldest"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxQueueCount: 3
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			['a', 'b', 'c'].forEach(function(msg) {
+				stream.write(msg);
+			});
+
+			var oldest = stream.queuedLogs[0];
+			expect(dropLogEventsEventSpy.calls.length).toBe(0);
+
+			stream.write('d');
+			expect(stream.queuedLogs.map(function(logEvent) {
+				return logEvent.message;
+			})).toEqual(['b', 'c', 'd']);
+			expect(stream.getQueueBytes()).toBe(27 * 3);
+			expect(dropLogEventsEventSpy.calls.length).toBe(1);
+			expect(dropLogEventsEventSpy.calls[0].arguments.length).toBe(2);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0]).toEqual([oldest]);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0][0]).toBe(oldest);
+			expect(dropLogEventsEventSpy.calls[0].arguments[1]).toBe('queueOverflow');
+		});
+
+		it('should drop as many of the oldest log events as needed to fit maxQueueBytes', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxQueueBytes: 110
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			['a', 'b', 'c'].forEach(function(msg) {
+				stream.write(msg);
+			});
+
+			stream.write(new Array(51).join('d'));
+			expect(stream.queuedLogs.map(function(logEvent) {
+				return logEvent.message.length;
+			})).toEqual([1, 50]);
+			expect(stream.getQueueBytes()).toBe(27 + 76);
+			expect(dropLogEventsEventSpy.calls.length).toBe(1);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0].length).toBe(2);
+		});
+
+		it('should drop the newest log events if "dropNewest"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxQueueCount: 3,
+				queueOverflowPolicy: 'dropNewest'
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			['a', 'b', 'c', 'd'].forEach(function(msg) {
+				stream.write(msg);
+			});
+
+			expect(stream.queuedLogs.map(function(logEvent) {
+				return logEvent.message;
+			})).toEqual(['a', 'b', 'c']);
+			expect(stream.getQueueBytes()).toBe(27 * 3);
+			expect(dropLogEventsEventSpy.calls.length).toBe(1);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0].length).toBe(1);
+			expect(dropLogEventsEventSpy.calls[0].arguments[0][0].message).toBe('d');
+			expect(dropLogEventsEventSpy.calls[0].arguments[1]).toBe('queueOverflow');
+		});
+
+		it('should hold the write callback until the queue has room if "backpressure"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxQueueCount: 2,
+				maxBatchCount: 1,
+				queueOverflowPolicy: 'backpressure'
+			});
+
+			stream._scheduleSendLogs = noop;
+			stream.sequenceToken = 'seq';
+			stream._putLogEvents = noop;
+
+			stream.on('dropLogEvents', function() {
+				throw new Error('Expected not to be called');
+			});
+
+			var cbSpyA = expect.createSpy();
+			var cbSpyB = expect.createSpy();
+
+			stream._write('a', null, cbSpyA);
+			expect(cbSpyA.calls.length).toBe(1);
+
+			stream._write('b', null, cbSpyB);
+			expect(cbSpyB.calls.length).toBe(0);
+			expect(stream.queuedLogs.length).toBe(2);
+
+			// Sending a batch makes room in the queue.
+			stream._sendLogs();
+			expect(stream.queuedLogs.length).toBe(1);
+			expect(cbSpyB.calls.length).toBe(1);
+			expect(cbSpyB.calls[0].arguments.length).toBe(0);
+		});
+
+		it('should make Writable#write return false if "backpressure"', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxQueueCount: 1,
+				queueOverflowPolicy: 'backpressure'
+			});
+
+			var writes = 0;
+			while (stream.write('foo')) {
+				writes++;
+			}
+
+			// Writable buffers up to highWaterMark while the callback is held.
+			expect(writes).toBeLessThan(100);
+
+			stream.once('drain', function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBeGreaterThanOrEqualTo(1);
+				done();
+			});
+		});
+
+		it('should release the held write callback if the queue is cleared', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxQueueCount: 1,
+				queueOverflowPolicy: 'backpressure'
+			});
+
+			stream._scheduleSendLogs = noop;
+
+			var cbSpy = expect.createSpy();
+			stream._write('a', null, cbSpy);
+			expect(cbSpy.calls.length).toBe(0);
+
+			stream.clearQueue();
+			expect(cbSpy.calls.length).toBe(1);
+		});
+	});
+
+	describe('CWLogsWritable#rotateInterval', function() {
+		function sendAll(stream, messages, cb) {
+			var putLogEventsCalls = [];
+
+			stream.cloudwatch.putLogEvents.andCall(function(params, cb) {
+				putLogEventsCalls.push([params.logStreamName, params.logEvents.length]);
+				process.nextTick(function() {
+					cb(null, { nextSequenceToken: 'next-magic-token' });
+				});
+			});
+
+			messages.forEach(function(message) {
+				stream.write(message);
+			});
+
+			stream.flush(function() {
+				cb(putLogEventsCalls);
+			});
+		}
+
+		it('should add the UTC date or hour to logStreamName', function() {
+			expect.spyOn(Date, 'now').andReturn(Date.UTC(2017, 1, 4, 9, 30));
+
+			var daily = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				rotateInterval: 'daily'
+			});
+
+			expect(daily.logStreamName).toBe('bar-2017-02-04');
+			expect(daily.baseLogStreamName).toBe('bar');
+
+			var hourly = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				rotateInterval: 'hourly'
+			});
+
+			expect(hourly.logStreamName).toBe('bar-2017-02-04-09');
+		});
+
+		it('should rotate between batches once rotateMaxEvents is reached', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				rotateMaxEvents: 2
+			});
+
+			var rotateLogStreamEventSpy = expect.createSpy();
+			stream.on('rotateLogStream', rotateLogStreamEventSpy);
+
+			sendAll(stream, ['a', 'b', 'c', 'd', 'e'], function(putLogEventsCalls) {
+				expect(putLogEventsCalls).toEqual([
+					['bar', 2],
+					['bar-1', 2],
+					['bar-2', 1]
+				]);
+
+				expect(rotateLogStreamEventSpy.calls.length).toBe(2);
+				expect(rotateLogStreamEventSpy.calls[0].arguments).toEqual(['bar', 'bar-1']);
+				expect(rotateLogStreamEventSpy.calls[1].arguments).toEqual(['bar-1', 'bar-2']);
+
+				// Sequence token is fetched for each log stream.
+				expect(stream.cloudwatch.describeLogStreams.calls.map(function(call) {
+					return call.arguments[0].logStreamNamePrefix;
+				})).toEqual(['bar', 'bar-1', 'bar-2']);
+
+				done();
+			});
+		});
+
+		it('should rotate between batches once rotateMaxBytes is reached', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				rotateMaxBytes: 60
+			});
+
+			// Each log event is 30 bytes, including the overhead.
+			sendAll(stream, ['aaaa', 'bbbb', 'cccc', new Array(51).join('d'), 'eeee'], function(putLogEventsCalls) {
+				expect(putLogEventsCalls).toEqual([
+					['bar', 2],
+					['bar-1', 1],
+					['bar-2', 1],
+					['bar-3', 1]
+				]);
+				done();
+			});
+		});
+
+		it('should rotate when the date changes and restart the counter', function(done) {
+			var now = Date.UTC(2017, 1, 4, 23, 59);
+			expect.spyOn(Date, 'now').andCall(function() {
+				return now;
+			});
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				rotateInterval: 'daily',
+				rotateMaxEvents: 1
+			});
+
+			var rotateLogStreamEventSpy = expect.createSpy();
+			stream.on('rotateLogStream', rotateLogStreamEventSpy);
+
+			sendAll(stream, ['a', 'b'], function(firstCalls) {
+				now += 2 * 60 * 1000;
+
+				sendAll(stream, ['c'], function(secondCalls) {
+					expect(firstCalls).toEqual([
+						['bar-2017-02-04', 1],
+						['bar-2017-02-04-1', 1]
+					]);
+					expect(secondCalls).toEqual([
+						['bar-2017-02-05', 1]
+					]);
+					expect(rotateLogStreamEventSpy.calls.length).toBe(2);
+					expect(rotateLogStreamEventSpy.calls[1].arguments).toEqual(['bar-2017-02-04-1', 'bar-2017-02-05']);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('CWLogsWritable#maxConcurrentPuts', function() {
+		function createStream(options) {
+			var stream = new CWLogsWritable(objectAssign({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				maxConcurrentPuts: 2,
+				maxBatchCount: 1
+			}, options));
+
+			// Hold each PutLogEvents call until the test calls it back.
+			stream.putCallbacks = [];
+			stream.cloudwatch.putLogEvents.andCall(function(params, cb) {
+				stream.putCallbacks.push(cb);
+			});
+
+			return stream;
+		}
+
+		function getMessages(logEvents) {
+			return logEvents.map(function(logEvent) {
+				return logEvent.message;
+			});
+		}
+
+		it('should send up to maxConcurrentPuts batches at once', function(done) {
+			var stream = createStream();
+			var flushSpy = expect.createSpy();
+
+			stream.write('a');
+			stream.write('b');
+			stream.write('c');
+			stream.flush(flushSpy);
+
+			setImmediate(function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(2);
+				expect(getMessages(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents)).toEqual(['a']);
+				expect(getMessages(stream.cloudwatch.putLogEvents.calls[1].arguments[0].logEvents)).toEqual(['b']);
+				expect(stream.getQueueSize()).toBe(1);
+
+				stream.putCallbacks[1](null, {});
+
+				setImmediate(function() {
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+					expect(getMessages(stream.cloudwatch.putLogEvents.calls[2].arguments[0].logEvents)).toEqual(['c']);
+
+					stream.putCallbacks[2](null, {});
+
+					setImmediate(function() {
+						expect(stream.writeQueued).toBe(true);
+						expect(flushSpy.calls.length).toBe(0);
+
+						stream.putCallbacks[0](null, {});
+						expect(stream.writeQueued).toBe(false);
+						expect(flushSpy.calls.length).toBe(1);
+						done();
+					});
+				});
+			});
+		});
+
+		it('should wait for batches in progress and call onError once with the failed log events in order', function(done) {
+			var stream = createStream({
+				maxConcurrentPuts: 3
+			});
+
+			var expectedError = new Error('first');
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream.onError = expect.createSpy().andCall(function(err, logEvents, next) {
+				expect(err).toBe(expectedError);
+				expect(getMessages(logEvents)).toEqual(['a', 'c']);
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(getMessages(putLogEventsEventSpy.calls[0].arguments[0])).toEqual(['b']);
+
+				// No more batches are sent until 'next' is called.
+				stream._sendLogs();
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+
+				next(logEvents);
+				expect(getMessages(stream.queuedLogs)).toEqual(['a', 'c', 'd']);
+
+				setImmediate(function() {
+					expect(stream.onError.calls.length).toBe(1);
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(6);
+					expect(getMessages(stream.cloudwatch.putLogEvents.calls[3].arguments[0].logEvents)).toEqual(['a']);
+					expect(getMessages(stream.cloudwatch.putLogEvents.calls[4].arguments[0].logEvents)).toEqual(['c']);
+					expect(getMessages(stream.cloudwatch.putLogEvents.calls[5].arguments[0].logEvents)).toEqual(['d']);
+					done();
+				});
+			});
+
+			stream.write('a');
+			stream.write('b');
+			stream.write('c');
+			stream.write('d');
+
+			setImmediate(function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+
+				stream.putCallbacks[2](new Error('second'));
+				stream.putCallbacks[0](expectedError);
+				expect(stream.onError.calls.length).toBe(0);
+
+				stream.putCallbacks[1](null, {});
+				expect(stream.onError.calls.length).toBe(1);
+			});
+		});
+	});
+
+	describe('CWLogsWritable#beforePutLogEvents', function() {
+		function getMessages(logEvents) {
+			return logEvents.map(function(logEvent) {
+				return logEvent.message;
+			});
+		}
+
+		it('should be called with the batch and apiParams before PutLogEvents', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				beforePutLogEvents: expect.createSpy().andCall(function(logEvents, apiParams) {
+					expect(apiParams.logGroupName).toBe('foo');
+					expect(apiParams.logStreamName).toBe('bar');
+					expect(apiParams.logEvents).toBe(logEvents);
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
+
+					logEvents[0].message = logEvents[0].message.replace('secret', '***');
+				})
+			});
+
+			stream.write({ msg: 'secret', time: 100 });
+			stream.write({ msg: 'b', time: 200 });
+
+			stream.flush(function() {
+				expect(stream.beforePutLogEvents.calls.length).toBe(1);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(getMessages(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents)).toEqual([
+					'{"msg":"***","time":100}',
+					'{"msg":"b","time":200}'
+				]);
+				done();
+			});
+		});
+
+		it('should send the returned log events and emit removed log events as dropped', function(done) {
+			var added = { message: 'added', timestamp: 50 };
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				beforePutLogEvents: function(logEvents) {
+					return logEvents.filter(function(logEvent) {
+						return logEvent.message !== 'remove';
+					}).concat(added);
+				}
+			});
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			stream.createLogEvent = function(rec) {
+				return rec;
+			};
+
+			stream.write({ message: 'keep', timestamp: 100 });
+			stream.write({ message: 'remove', timestamp: 100 });
+
+			stream.flush(function() {
+				var putLogEvents = stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents;
+				expect(putLogEvents.length).toBe(2);
+				expect(putLogEvents[0]).toBe(added);
+				expect(putLogEvents[1].message).toBe('keep');
+				expect(dropLogEventsEventSpy.calls.length).toBe(1);
+				expect(getMessages(dropLogEventsEventSpy.calls[0].arguments[0])).toEqual(['remove']);
+				expect(dropLogEventsEventSpy.calls[0].arguments[1]).toBe('beforePutLogEvents');
+				done();
+			});
+		});
+
+		it('should not call PutLogEvents if an empty array is returned', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				beforePutLogEvents: function() {
+					return [];
+				}
+			});
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			stream.write('foo');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
+				expect(dropLogEventsEventSpy.calls.length).toBe(1);
+				expect(stream.writeQueued).toBe(false);
+				done();
+			});
+		});
+
+		it('should not count a dropped batch towards log stream rotation', function(done) {
+			var dropBatch = true;
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				rotateMaxEvents: 2,
+				beforePutLogEvents: function() {
+					return dropBatch ? [] : void 0;
+				}
+			});
+
+			var rotateLogStreamEventSpy = expect.createSpy();
+			stream.on('rotateLogStream', rotateLogStreamEventSpy);
+
+			stream.write('a');
+			stream.write('b');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream._rotateEvents).toBe(0);
+				expect(stream._rotateBytes).toBe(0);
+
+				dropBatch = false;
+				stream.write('c');
+
+				stream.flush(function(err) {
+					expect(err).toNotExist();
+					expect(rotateLogStreamEventSpy.calls.length).toBe(0);
+					expect(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logStreamName).toBe('bar');
+					done();
+				});
+			});
+		});
+
+		it('should treat returned copies as dropped originals, since log events are matched by identity', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				beforePutLogEvents: function(logEvents) {
+					return logEvents.map(function(logEvent) {
+						return { message: logEvent.message, timestamp: logEvent.timestamp };
+					});
+				}
+			});
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(dropLogEventsEventSpy.calls.length).toBe(1);
+				done();
+			});
+		});
+
+		it('should hold the batch until a returned Promise resolves', function(done) {
+			var resolveHook;
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				beforePutLogEvents: function() {
+					return new Promise(function(resolve) {
+						resolveHook = resolve;
+					});
+				}
+			});
+
+			var flushSpy = expect.createSpy();
+
+			stream.write('foo');
+			stream.flush(flushSpy);
+
+			setImmediate(function() {
+				expect(resolveHook).toBeA('function');
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
+				expect(flushSpy.calls.length).toBe(0);
+
+				resolveHook([{ message: 'signed', timestamp: 100 }]);
+
+				stream.flush(function() {
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+					expect(getMessages(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents)).toEqual(['signed']);
+					expect(flushSpy.calls.length).toBe(1);
+					done();
+				});
+			});
+		});
+
+		it('should pass errors to onError with the batch', function(done) {
+			var expectedError = new Error();
+			var hookResults = [
+				function() {
+					throw expectedError;
+				},
+				function() {
+					return Promise.reject(expectedError);
+				},
+				function() {
+					return 'foo';
+				}
+			];
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				beforePutLogEvents: function() {
+					return hookResults.shift()();
+				},
+				onError: expect.createSpy().andCall(function(err, logEvents, next) {
+					expect(getMessages(logEvents)).toEqual(['foo']);
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
+
+					if (stream.onError.calls.length < 3) {
+						expect(err).toBe(expectedError);
+						next(logEvents);
+					}
+					else {
+						expect(err.message).toBe('beforePutLogEvents must return an array of log events, a Promise or undefined');
+						done();
+					}
+				})
+			});
+
+			stream.write('foo');
+		});
+	});
+
+	describe('CWLogsWritable#spool', function() {
+		var tmpDir;
+
+		beforeEach(function() {
+			tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwlogs-writable-'));
+		});
+
+		afterEach(function() {
+			removeDir(tmpDir);
+		});
+
+		function createStream(options) {
+			return new CWLogsWritable(objectAssign({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				spoolDir: tmpDir
+			}, options));
+		}
+
+		function getMessages(logEvents) {
+			return logEvents.map(function(logEvent) {
+				return logEvent.message;
+			});
+		}
+
+		it('should replay log events that were not sent by a previous stream', function(done) {
+			var stream = createStream({
+				onError: function() {
+					// Simulate the process exiting before the log events were sent.
+					stream.spool.close();
+
+					var replayStream = createStream();
+					expect(getMessages(replayStream.queuedLogs)).toEqual(['a', 'b']);
+
+					var putLogEventsEventSpy = expect.createSpy();
+					replayStream.on('putLogEvents', putLogEventsEventSpy);
+
+					replayStream.end(function() {
+						expect(putLogEventsEventSpy.calls.length).toBe(1);
+						expect(getMessages(putLogEventsEventSpy.calls[0].arguments[0])).toEqual(['a', 'b']);
+						expect(getMessages(createStream().queuedLogs)).toEqual([]);
+						done();
+					});
+				}
+			});
+
+			stream.cloudwatch.putLogEvents.andCall(function(params, cb) {
+				cb(new Error('fail'));
+			});
+
+			stream.write('a');
+			stream.write('b');
+		});
+
+		it('should not replay log events that were sent, dropped or cleared', function(done) {
+			var stream = createStream({
+				maxQueueCount: 2
+			});
+
+			stream.on('putLogEvents', function() {
+				stream._scheduleSendLogs = noop;
+
+				stream.write('b');
+				stream.write('c');
+				stream.write('d');
+				stream.clearQueue();
+				stream.write('e');
+
+				// Simulate the process exiting before 'e' was sent.
+				stream.spool.close();
+				expect(getMessages(createStream().queuedLogs)).toEqual(['e']);
+				done();
+			});
+
+			stream.write('a');
+		});
+
+		it('should emit disk errors and keep the log events in memory', function(done) {
+			var expectedError = objectAssign(new Error('no space left on device'), { code: 'ENOSPC' });
+			var stream = createStream();
+
+			expect.spyOn(stream.spool, 'append').andThrow(expectedError);
+			expect.spyOn(stream.spool, 'release').andThrow(expectedError);
+
+			var errorEventSpy = expect.createSpy();
+			stream.on('error', errorEventSpy);
+
+			expect(function() {
+				stream.write('a');
+			}).toNotThrow();
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(getMessages(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents)).toEqual(['a']);
+				expect(errorEventSpy.calls.map(function(call) {
+					return call.arguments[0];
+				})).toEqual([expectedError, expectedError]);
+				done();
+			});
+		});
+
+		it('should keep log events returned to the queue by onError and release the rest', function(done) {
+			var stream = createStream({
+				onError: function(err, logEvents, next) {
+					next([logEvents[1]]);
+				}
+			});
+
+			stream.cloudwatch.putLogEvents.andCall(function(params, cb) {
+				stream.cloudwatch.putLogEvents.andCall(function(params, cb) {
+					expect(getMessages(params.logEvents)).toEqual(['b']);
+					stream.spool.close();
+					expect(getMessages(createStream().queuedLogs)).toEqual(['b']);
+					done();
+				});
+
+				cb(new Error('fail'));
+			});
+
+			stream.write('a');
+			stream.write('b');
+		});
+	});
+
+	describe('CWLogsWritable#_sendLogs', function() {
+		it('should first call _getSequenceToken if sequence token not set', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+
+			var getSequenceTokenSpy = expect.spyOn(stream, '_getSequenceToken').andCallThrough();
+			var nextLogBatchSizeSpy = expect.spyOn(stream, 'nextLogBatchSize').andCallThrough();
+
+			stream._sendLogs();
+			expect(getSequenceTokenSpy.calls.length).toBe(1);
+			expect(getSequenceTokenSpy.calls[0].arguments.length).toBe(1);
+			expect(getSequenceTokenSpy.calls[0].arguments[0]).toBeA('function');
+			expect(nextLogBatchSizeSpy.calls.length).toBe(0);
+
+			// Intercept _sendLogs call after the sequence is fetched.
+			stream._sendLogs = expect.createSpy().andCall(function() {
+				expect(stream.sequenceToken).toBe('first-magic-token');
+				expect(getSequenceTokenSpy.calls.length).toBe(1);
+				expect(nextLogBatchSizeSpy.calls.length).toBe(0);
+				done();
+			});
+		});
+
+		it('should handle error from _getSequenceToken', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(params, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			stream.writeQueued = true;
+			var oldNextCbId = this._onErrorNextCbId;
+
+			var getSequenceTokenSpy = expect.spyOn(stream, '_getSequenceToken').andCallThrough();
+			var nextLogBatchSizeSpy = expect.spyOn(stream, 'nextLogBatchSize').andCallThrough();
+
+			stream._nextAfterError = expect.createSpy().andCall(function() {
+				expect(arguments.length).toBe(2);
+				expect(arguments[0]).toBe(this._onErrorNextCbId);
+				expect(arguments[1]).toBe('foo');
+				done();
+			});
+
+			stream.onError = expect.createSpy().andCall(function() {
+				expect(this._onErrorNextCbId).toNotBe(oldNextCbId);
+				expect(stream.sequenceToken).toBe(null);
+				expect(getSequenceTokenSpy.calls.length).toBe(1);
+				expect(nextLogBatchSizeSpy.calls.length).toBe(0);
+				expect(arguments.length).toBe(3);
+				expect(arguments[0]).toBe(expectedError);
+				expect(arguments[1]).toBe(null);
+				expect(arguments[2]).toBeA('function');
+
+				// Call 'next'
+				arguments[2]('foo');
+			});
+
+			stream._sendLogs();
+			expect(getSequenceTokenSpy.calls.length).toBe(1);
+			expect(getSequenceTokenSpy.calls[0].arguments.length).toBe(1);
+			expect(getSequenceTokenSpy.calls[0].arguments[0]).toBeA('function');
+			expect(nextLogBatchSizeSpy.calls.length).toBe(0);
+
+			// Intercept _sendLogs call after the sequence is fetched.
+			stream._sendLogs = function() {
+				throw new Error('Expected not to be called');
+			};
+		});
+
+		it('should skip if queue is empty', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'foo-token';
+
+			stream._getSequenceToken = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			stream.nextLogBatchSize = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			stream._sendLogs();
+			expect(stream.writeQueued).toBe(false);
+		});
+
+		it('should get batch size, remove it from the queue, and call _putLogEvents', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._basePutSize = 10;
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			var origQueue;
+
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream._scheduleSendLogs = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			stream._getSequenceToken = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			var nextLogBatchSizeSpy = expect.spyOn(stream, 'nextLogBatchSize').andCall(function() {
+				expect(this).toBe(stream);
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(this.queuedLogs);
+				return 2;
+			});
+
+			var putLogEventsSpy = expect.spyOn(stream, '_putLogEvents').andCall(function() {
+				expect(this).toBe(stream);
+				expect(arguments.length).toBe(2);
+				expect(arguments[0]).toBeA('object');
+				expect(Object.keys(arguments[0])).toEqual([
+					'logGroupName',
+					'logStreamName',
+					'sequenceToken',
+					'logEvents'
+				]);
+				expect(arguments[0].logGroupName).toBe('foo');
+				expect(arguments[0].logStreamName).toBe('bar');
+				expect(arguments[0].sequenceToken).toBe('seq');
+				expect(arguments[0].logEvents).toBeA('array');
+				expect(arguments[0].logEvents.length).toBe(2);
+				expect(arguments[0].logEvents[0]).toBe(origQueue[0]);
+				expect(arguments[0].logEvents[1]).toBe(origQueue[1]);
+				expect(arguments[1]).toBeA('function');
+
+				// Call callback
+				expect(putLogEventsEventSpy.calls.length).toBe(0);
+				arguments[1](null, 'next-seq');
+				expect(stream.sequenceToken === 'next-seq');
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(putLogEventsEventSpy.calls[0].arguments.length).toBe(2);
+				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(arguments[0].logEvents);
+				expect(putLogEventsEventSpy.calls[0].arguments[1]).toBe(null);
+				expect(stream.writeQueued).toBe(false);
+				done();
+			});
+
+			stream._write('foo', null, noop);
+			stream._write('bar', null, noop);
+			expect(stream.queuedLogs.length).toBe(2);
+			origQueue = stream.queuedLogs.slice(0);
+
+			stream._sendLogs();
+
+			expect(nextLogBatchSizeSpy.calls.length).toBe(1);
+			expect(putLogEventsSpy.calls.length).toBe(1);
+
+			expect(stream.queuedLogs.length).toBe(0);
+			expect(stream.writeQueued).toBe(true);
+		});
+
+		it('should sort the batch by timestamp', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream._putLogEvents = function(apiParams, cb) {
+				expect(apiParams.logEvents.map(function(logEvent) {
+					return logEvent.message;
+				})).toEqual(['b1', 'c1', 'a1', 'c2', 'a2', 'b2', 'a3']);
+
+				cb(null, 'next-seq');
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(apiParams.logEvents);
+				done();
+			};
+
+			// Interleaved writes from several producers, each with their own clock.
+			[
+				{ msg: 'a1', time: 300 },
+				{ msg: 'b1', time: 100 },
+				{ msg: 'a2', time: 400 },
+				{ msg: 'c1', time: 200 },
+				{ msg: 'b2', time: 400 },
+				{ msg: 'c2', time: 300 },
+				{ msg: 'a3', time: 500 }
+			].forEach(function(rec) {
+				stream._write(rec.msg, null, noop);
+				stream.queuedLogs[stream.queuedLogs.length - 1].timestamp = rec.time;
+			});
+
+			stream._sendLogs();
+		});
+
+		it('should sort each batch separately if the queue is split', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchCount: 3
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+			stream._scheduleSendLogs = noop;
+
+			stream._putLogEvents = function(apiParams) {
+				expect(apiParams.logEvents.map(function(logEvent) {
+					return logEvent.timestamp;
+				})).toEqual([100, 200, 300]);
+
+				expect(stream.queuedLogs.map(function(logEvent) {
+					return logEvent.timestamp;
+				})).toEqual([150, 50]);
+				done();
+			};
+
+			[300, 100, 200, 150, 50].forEach(function(time) {
+				stream._write({ time: time }, null, noop);
+			});
+
+			stream._sendLogs();
+		});
+
+		it('should send batches that span more than 24 hours in separate calls', function(done) {
+			var day = 24 * 60 * 60 * 1000;
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var putLogEventsEventSpy = expect.createSpy().andCall(function() {
+				if (putLogEventsEventSpy.calls.length < 2) {
+					return;
+				}
+
+				var putCalls = stream.cloudwatch.putLogEvents.calls;
+				expect(putCalls.length).toBe(2);
+				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(putCalls[0].arguments[0].logEvents);
+				expect(putLogEventsEventSpy.calls[1].arguments[0]).toBe(putCalls[1].arguments[0].logEvents);
+				expect(putCalls[0].arguments[0].logEvents.map(function(logEvent) {
+					return logEvent.timestamp;
+				})).toEqual([1000, 2000]);
+				expect(putCalls[1].arguments[0].logEvents.map(function(logEvent) {
+					return logEvent.timestamp;
+				})).toEqual([1000 + day * 2]);
+				done();
+			});
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream.write({ time: 2000 });
+			stream.write({ time: 1000 });
+			stream.write({ time: 1000 + day * 2 });
+		});
+
+		it('should call _checkTimestamps if timestampPolicy is set', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				timestampPolicy: 'drop'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			var checkTimestampsSpy = expect.spyOn(stream, '_checkTimestamps').andCall(function(logEvents) {
+				return logEvents.slice(1);
+			});
+
+			stream._putLogEvents = function(apiParams) {
+				expect(checkTimestampsSpy.calls.length).toBe(1);
+				expect(checkTimestampsSpy.calls[0].arguments.length).toBe(1);
+				expect(checkTimestampsSpy.calls[0].arguments[0].length).toBe(2);
+				expect(apiParams.logEvents.length).toBe(1);
+				expect(apiParams.logEvents[0].message).toBe('bar');
+				done();
+			};
+
+			stream._write('foo', null, noop);
+			stream._write('bar', null, noop);
+			stream._sendLogs();
+		});
+
+		it('should move on to the next batch if _checkTimestamps removes all log events', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				maxBatchCount: 1,
+				timestampPolicy: 'drop'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			stream._checkTimestamps = function(logEvents) {
+				return logEvents[0].message === 'foo' ? [] : logEvents;
+			};
+
+			stream._putLogEvents = function(apiParams) {
+				expect(apiParams.logEvents.length).toBe(1);
+				expect(apiParams.logEvents[0].message).toBe('bar');
+				expect(stream.queuedLogs.length).toBe(0);
+				done();
+			};
+
+			stream._write('foo', null, noop);
+			stream._write('bar', null, noop);
+			stream._sendLogs();
+		});
+
+		it('should map rejectedLogEventsInfo to the log events that were sent', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			var rejectedLogEventsEventSpy = expect.createSpy();
+			stream.on('rejectedLogEvents', rejectedLogEventsEventSpy);
+
+			stream._putLogEvents = function(apiParams, cb) {
+				var logEvents = apiParams.logEvents;
+				expect(logEvents.map(function(logEvent) {
+					return logEvent.timestamp;
+				})).toEqual([100, 200, 300, 400, 500]);
+
+				cb(null, 'next-seq', {
+					tooOldLogEventEndIndex: 2,
+					tooNewLogEventStartIndex: 4,
+					expiredLogEventEndIndex: 1
+				});
+
+				var expectedRejected = {
+					tooOldLogEvents: [logEvents[0], logEvents[1]],
+					tooNewLogEvents: [logEvents[4]],
+					expiredLogEvents: [logEvents[0]]
+				};
+
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(putLogEventsEventSpy.calls[0].arguments.length).toBe(2);
+				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(logEvents);
+				expect(putLogEventsEventSpy.calls[0].arguments[1]).toEqual(expectedRejected);
+				expect(putLogEventsEventSpy.calls[0].arguments[1].tooNewLogEvents[0]).toBe(logEvents[4]);
+
+				expect(rejectedLogEventsEventSpy.calls.length).toBe(1);
+				expect(rejectedLogEventsEventSpy.calls[0].arguments.length).toBe(1);
+				expect(rejectedLogEventsEventSpy.calls[0].arguments[0]).toBe(putLogEventsEventSpy.calls[0].arguments[1]);
+				done();
+			};
+
+			// Written out of order, so the indexes must be mapped to the sorted batch.
+			[300, 100, 500, 200, 400].forEach(function(time) {
+				stream._write({ time: time }, null, noop);
+			});
+
+			stream._sendLogs();
+		});
+
+		it('should not emit "rejectedLogEvents" if rejectedLogEventsInfo is empty', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream.on('rejectedLogEvents', function() {
+				throw new Error('Expected not to be called');
+			});
+
+			stream._putLogEvents = function(apiParams, cb) {
+				cb(null, 'next-seq', {});
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(putLogEventsEventSpy.calls[0].arguments[1]).toBe(null);
+				done();
+			};
+
+			stream._write('foo', null, noop);
+			stream._sendLogs();
+		});
+
+		it('should not get or send a sequence token if useSequenceToken is false', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				useSequenceToken: false
+			});
+
+			stream.writeQueued = true;
+			stream.queuedLogs = [{ message: 'foo', timestamp: 100 }];
+
+			stream._getSequenceToken = function() {
+				throw new Error('Expected not to be called');
+			};
+
+			stream.on('putLogEvents', function() {
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(0);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(stream.cloudwatch.putLogEvents.calls[0].arguments[0]).toExcludeKey('sequenceToken');
+				expect(stream.sequenceToken).toBe(null);
+				done();
+			});
+
+			stream._sendLogs();
+		});
+
+		it('should handle error from _putLogEvents', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			stream._scheduleSendLogs = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			stream._getSequenceToken = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			stream._putLogEvents = function(params, cb) {
+				process.nextTick(function() {
+					cb(expectedError);
+				});
+			};
+
+			stream._write('foo', null, noop);
+			var firstQueueLog = stream.queuedLogs[0];
+
+			var oldNextCbId = this._onErrorNextCbId;
+
+			stream._nextAfterError = expect.createSpy().andCall(function() {
+				expect(arguments.length).toBe(2);
+				expect(arguments[0]).toBe(this._onErrorNextCbId);
+				expect(arguments[1]).toBe('foo');
+				done();
+			});
+
+			stream.onError = expect.createSpy().andCall(function() {
+				expect(this._onErrorNextCbId).toNotBe(oldNextCbId);
+				expect(arguments.length).toBe(3);
+				expect(arguments[0]).toBe(expectedError);
+				expect(arguments[1]).toBeA('array');
+				expect(arguments[1].length).toBe(1);
+				expect(arguments[1][0]).toBe(firstQueueLog);
+				expect(arguments[2]).toBeA('function');
+
+				// Call 'next'
+				arguments[2]('foo');
+			});
+
+			stream._sendLogs();
+			expect(stream.queuedLogs.length).toBe(0);
+		});
+
+		it('should set next sequence token and call _scheduleSendLogs if queue is not empty', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream.writeQueued = true;
+			stream.sequenceToken = 'seq';
+
+			var origQueue;
+
+			var putLogEventsEventSpy = expect.createSpy();
+			stream.on('putLogEvents', putLogEventsEventSpy);
+
+			stream._scheduleSendLogs = expect.createSpy();
+
+			stream._getSequenceToken = function() {
+				throw new Error('Expected not to be called')
+			};
+
+			stream.nextLogBatchSize = function() {
+				return 1;
+			};
+
+			stream._putLogEvents = function() {
+				expect(stream.queuedLogs.length).toBe(1);
+				expect(arguments[0].logEvents.length).toBe(1);
+				expect(arguments[0].logEvents[0]).toBe(origQueue[0]);
+
+				// Call callback
+				expect(putLogEventsEventSpy.calls.length).toBe(0);
+				expect(stream._scheduleSendLogs.calls.length).toBe(0);
+				arguments[1](null, 'next-seq');
+				expect(stream.sequenceToken === 'next-seq');
+				expect(putLogEventsEventSpy.calls.length).toBe(1);
+				expect(putLogEventsEventSpy.calls[0].arguments.length).toBe(2);
+				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(arguments[0].logEvents);
+				expect(putLogEventsEventSpy.calls[0].arguments[1]).toBe(null);
+				expect(stream.writeQueued).toBe(true);
+				expect(stream._scheduleSendLogs.calls.length).toBe(1);
+				expect(stream._scheduleSendLogs.calls[0].arguments.length).toBe(0);
+				done();
+			};
+
+			stream._write('foo', null, noop);
+			stream._write('bar', null, noop);
+			expect(stream.queuedLogs.length).toBe(2);
+			origQueue = stream.queuedLogs.slice(0);
+
+			stream._sendLogs();
+
+			expect(stream.queuedLogs.length).toBe(1);
+			expect(stream.queuedLogs[0]).toBe(origQueue[1]);
+			expect(stream.writeQueued).toBe(true);
+		});
+	});
+
+	describe('CWLogsWritable#_checkTimestamps', function() {
+		var day = 24 * 60 * 60 * 1000;
+		var hour = 60 * 60 * 1000;
+
+		function createLogEvents(now) {
+			return [
+				{ message: 'old', timestamp: now - 15 * day },
+				{ message: 'ok', timestamp: now - 13 * day },
+				{ message: 'new', timestamp: now + 3 * hour },
+				{ message: 'ok', timestamp: now + hour }
+			];
+		}
+
+		it('should return the same log events if all are within the limits', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				timestampPolicy: 'drop'
+			});
+
+			var now = Date.now();
+			var logEvents = [
+				{ message: 'a', timestamp: now - 13 * day },
+				{ message: 'b', timestamp: now + hour }
+			];
+
+			expect(stream._checkTimestamps(logEvents)).toBe(logEvents);
+		});
+
+		it('should clamp timestamps if timestampPolicy is "clamp"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				timestampPolicy: 'clamp'
+			});
+
+			var now = Date.now();
+			var logEvents = createLogEvents(now);
+			var result = stream._checkTimestamps(logEvents);
+
+			expect(result).toBe(logEvents);
+			expect(result.length).toBe(4);
+			expect(result[0].timestamp).toBeGreaterThan(now - 14 * day);
+			expect(result[0].timestamp).toBeLessThan(now - 13 * day);
+			expect(result[1].timestamp).toBe(now - 13 * day);
+			expect(result[2].timestamp).toBeLessThan(now + 2 * hour);
+			expect(result[2].timestamp).toBeGreaterThan(now + hour);
+			expect(result[3].timestamp).toBe(now + hour);
+		});
+
+		it('should emit "dropLogEvents" if timestampPolicy is "drop"', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				timestampPolicy: 'drop'
+			});
+
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			var logEvents = createLogEvents(Date.now());
+			var result = stream._checkTimestamps(logEvents);
+
+			expect(result).toEqual([logEvents[1], logEvents[3]]);
+			expect(dropLogEventsEventSpy.calls.length).toBe(2);
+			expect(dropLogEventsEventSpy.calls[0].arguments).toEqual([[logEvents[0]], 'tooOld']);
+			expect(dropLogEventsEventSpy.calls[1].arguments).toEqual([[logEvents[2]], 'tooNew']);
+		});
+
+		it('should call timestampPolicy if it is a function', function() {
+			var timestampPolicy = expect.createSpy();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				timestampPolicy: timestampPolicy
+			});
+
+			var logEvents = createLogEvents(Date.now());
+			var result = stream._checkTimestamps(logEvents);
+
+			expect(result).toEqual([logEvents[1], logEvents[3]]);
+			expect(timestampPolicy.calls.length).toBe(2);
+			expect(timestampPolicy.calls[0].context).toBe(stream);
+			expect(timestampPolicy.calls[0].arguments).toEqual([[logEvents[0]], 'tooOld']);
+			expect(timestampPolicy.calls[1].context).toBe(stream);
+			expect(timestampPolicy.calls[1].arguments).toEqual([[logEvents[2]], 'tooNew']);
+		});
+
+		it('should use maxEventAge', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				timestampPolicy: 'drop',
+				maxEventAge: 7 * day
+			});
+
+			var now = Date.now();
+			var logEvents = [
+				{ message: 'old', timestamp: now - 8 * day },
+				{ message: 'ok', timestamp: now - 6 * day }
+			];
+
+			expect(stream._checkTimestamps(logEvents)).toEqual([logEvents[1]]);
+		});
+	});
+
+	describe('CWLogsWritable#_sendLogsComplete', function() {
+		it('should set writeQueued to false and call flush callbacks', function() {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var flushSpyA = expect.createSpy();
+			var flushSpyB = expect.createSpy();
+
+			stream.writeQueued = true;
+			stream.flush(flushSpyA);
+			stream.flush(flushSpyB);
+
+			stream._sendLogsComplete(expectedError);
+
+			expect(stream.writeQueued).toBe(false);
+			expect(flushSpyA.calls.length).toBe(1);
+			expect(flushSpyA.calls[0].arguments).toEqual([expectedError]);
+			expect(flushSpyB.calls.length).toBe(1);
+			expect(flushSpyB.calls[0].arguments).toEqual([expectedError]);
+
+			// Callbacks are only called once.
+			stream._sendLogsComplete();
+			expect(flushSpyA.calls.length).toBe(1);
+			expect(flushSpyB.calls.length).toBe(1);
+		});
+	});
+
+	describe('CWLogsWritable#_nextAfterError', function() {
+		it('should abort if nextCbId doesn\'t match', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			stream._handleError = function() {
+				throw new Error('Expected not to be called');
+			};
+
+			stream._scheduleSendLogs = function() {
+				throw new Error('Expected not to be called');
+			};
+
+			expect(stream._onErrorNextCbId).toBeA('number');
+
+			stream._nextAfterError(stream._onErrorNextCbId + 1);
+		});
+
+		it('should increment nextCbId, reset sequence token, and call _scheduleSendLogs', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream._onErrorNextCbId).toBeA('number');
+			stream.sequenceToken = 'seq';
+
+			stream._handleError = function() {
+				throw new Error('Expected not to be called');
+			};
+
+			var scheduleSendLogsSpy = expect.spyOn(stream, '_scheduleSendLogs');
+
+			var oldNextCbId = stream._onErrorNextCbId;
+			expect(scheduleSendLogsSpy.calls.length).toBe(0);
+			stream._nextAfterError(stream._onErrorNextCbId);
+
+			expect(stream.sequenceToken).toBe(null);
+			expect(stream._onErrorNextCbId).toNotBe(oldNextCbId);
+			expect(scheduleSendLogsSpy.calls.length).toBe(1);
+			expect(scheduleSendLogsSpy.calls[0].arguments.length).toBe(0);
+		});
+
+		it('should return log events to the head of the queue, if supplied', function() {
+			var expectedRecA = { message: 'a', timestamp: 100 };
+			var expectedRecB = { message: 'b', timestamp: 100 };
+			var expectedRecC = { message: 'c', timestamp: 100 };
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			expect(stream._onErrorNextCbId).toBeA('number');
+			stream.sequenceToken = 'seq';
+
+			stream._handleError = function() {
+				throw new Error('Expected not to be called');
+			};
+
+			var scheduleSendLogsSpy = expect.spyOn(stream, '_scheduleSendLogs').andCall(function() {
+				expect(stream.queuedLogs.length).toBe(1);
+				expect(stream.queuedLogs[0]).toBe(expectedRecA);
+			});
+
+			expect(stream.queuedLogs.length).toBe(0);
+
+			stream._nextAfterError(++stream._onErrorNextCbId, [expectedRecA]);
+
+			expect(scheduleSendLogsSpy.calls.length).toBe(1);
+
+			scheduleSendLogsSpy.restore();
+			scheduleSendLogsSpy = expect.spyOn(stream, '_scheduleSendLogs').andCall(function() {
+				expect(stream.queuedLogs.length).toBe(3);
+				expect(stream.queuedLogs[0]).toBe(expectedRecB);
+				expect(stream.queuedLogs[1]).toBe(expectedRecC);
+				expect(stream.queuedLogs[2]).toBe(expectedRecA);
+			});
+
+			stream._nextAfterError(++stream._onErrorNextCbId, [expectedRecB, expectedRecC]);
+			expect(scheduleSendLogsSpy.calls.length).toBe(1);
+		});
+
+		it('should call _handleError if err arg is provided', function() {
+			var expectedErr = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var handleErrorSpy = expect.spyOn(stream, '_handleError');
+
+			stream._scheduleSendLogs = function() {
+				throw new Error('Expected not to be called');
+			};
+
+			expect(stream._onErrorNextCbId).toBeA('number');
+
+			var oldNextCbId = stream._onErrorNextCbId;
+			expect(handleErrorSpy.calls.length).toBe(0);
+			stream._nextAfterError(stream._onErrorNextCbId, expectedErr);
+
+			expect(stream.sequenceToken).toBe(null);
+			expect(stream._onErrorNextCbId).toNotBe(oldNextCbId);
+			expect(handleErrorSpy.calls.length).toBe(1);
+			expect(handleErrorSpy.calls[0].arguments.length).toBe(1);
+			expect(handleErrorSpy.calls[0].arguments[0]).toBe(expectedErr);
+		});
+	});
+
+	describe('CWLogsWritable#_putLogEvents', function() {
+		it('should call cloudwatch.putLogEvents and return next sequence token', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
+
+			var apiParams = {};
+
+			stream._putLogEvents(apiParams, function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(arguments.length).toBe(3);
+				expect(arguments[0]).toBe(null);
+				expect(arguments[1]).toBe('next-magic-token');
+				expect(arguments[2]).toBe(null);
+				done();
+			});
+
+			expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+			expect(stream.cloudwatch.putLogEvents.calls[0].arguments.length).toBe(2);
+			expect(stream.cloudwatch.putLogEvents.calls[0].arguments[0]).toBe(apiParams);
+			expect(stream.cloudwatch.putLogEvents.calls[0].arguments[1]).toBeA('function');
+		});
+
+		it('should return rejectedLogEventsInfo', function(done) {
+			var rejectedLogEventsInfo = { tooNewLogEventStartIndex: 1 };
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(null, {
+								nextSequenceToken: 'next-magic-token',
+								rejectedLogEventsInfo: rejectedLogEventsInfo
+							});
+						});
+					}
+				}
+			});
+
+			stream._putLogEvents({}, function() {
+				expect(arguments.length).toBe(3);
+				expect(arguments[0]).toBe(null);
+				expect(arguments[1]).toBe('next-magic-token');
+				expect(arguments[2]).toBe(rejectedLogEventsInfo);
+				done();
+			});
+		});
+
+		it('should retry up to retryableMax on AWS errors that are "retryable"', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				retryable: true
+			});
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableDelay: 1,
+				retryableMax: 5,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			var setTimeoutSpy = expect.spyOn(global, 'setTimeout').andCallThrough();
+
+			stream._putLogEvents({}, function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(6);
+				expect(setTimeoutSpy.calls.length).toBe(5);
+
+				// Just check first setTimeout call
+				expect(setTimeoutSpy.calls[0].arguments.length).toBe(2);
+				expect(setTimeoutSpy.calls[0].arguments[1]).toBe(1);
+
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
+		});
+
+		it('should retry up using process.nextTick if retryableDelay is "nextTick"', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				retryable: true
+			});
+
+			var nextTickNoSpy = process.nextTick.bind(process);
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableDelay: 'nextTick',
+				retryableMax: 5,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						nextTickNoSpy(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			var nextTickSpy = expect.spyOn(process, 'nextTick').andCallThrough();
+
+			stream._putLogEvents({}, function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(6);
+				expect(nextTickSpy.calls.length).toBe(5);
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
+		});
+
+		it('should get the delay from retryableDelay if it is a function and emit "retry" events', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				retryable: true
+			});
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableDelay: expect.createSpy().andCall(function(attempt) {
+					return attempt < 3 ? attempt * 2 : false;
+				}),
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
 			});
 
-			var now = Date.now();
-			var logEvent = stream.createLogEvent('foo');
+			var retryEventSpy = expect.createSpy();
+			stream.on('retry', retryEventSpy);
 
-			expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
-			expect(logEvent.message).toBe('foo');
-			expect(logEvent.timestamp).toBeA('number');
-			expect(logEvent.timestamp).toBeGreaterThanOrEqualTo(now);
-			expect(logEvent.timestamp).toBeLessThan(now + 10);
+			var setTimeoutSpy = expect.spyOn(global, 'setTimeout').andCallThrough();
+
+			stream._putLogEvents({}, function(err) {
+				expect(err).toBe(expectedError);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+				expect(stream.retryableDelay.calls.map(function(call) {
+					return call.arguments;
+				})).toEqual([
+					[1, expectedError, 0],
+					[2, expectedError, 2],
+					[3, expectedError, 4]
+				]);
+				expect(setTimeoutSpy.calls.map(function(call) {
+					return call.arguments[1];
+				})).toEqual([2, 4]);
+				expect(retryEventSpy.calls.map(function(call) {
+					return call.arguments;
+				})).toEqual([
+					[expectedError, 1, 2, 'putLogEvents'],
+					[expectedError, 2, 4, 'putLogEvents']
+				]);
+				done();
+			});
 		});
 
-		it('should stringify non-string log records', function() {
+		it('should wait for the "putLogEvents" rate limiter before each attempt', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				retryable: true
+			});
+
+			var putCount = 0;
+			var rateLimiter = new CWLogsWritable.RateLimiter({ rate: 5 });
+			var acquireSpy = expect.spyOn(rateLimiter, 'acquire').andCall(function(cb) {
+				process.nextTick(cb);
+			});
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				retryableDelay: 'nextTick',
+				rateLimiters: {
+					putLogEvents: rateLimiter
+				},
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							if (putCount++) {
+								cb(null, { nextSequenceToken: 'next-magic-token' });
+							}
+							else {
+								cb(expectedError);
+							}
+						});
+					}
+				}
 			});
 
-			var now = Date.now();
-			var logEvent = stream.createLogEvent({ foo: 'bar' });
+			stream._putLogEvents({}, function(err) {
+				expect(err).toBe(null);
+				expect(acquireSpy.calls.length).toBe(2);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(2);
+				done();
+			});
 
-			expect(Object.keys(logEvent).sort()).toEqual(['message', 'timestamp']);
-			expect(logEvent.message).toBe('{"foo":"bar"}');
+			expect(acquireSpy.calls.length).toBe(1);
+			expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
 		});
 
-		it('should get timestamp from "time" prop on object log records', function() {
+		it('should not use a retry delay longer than setTimeout allows', function() {
+			var retryableError = objectAssign(new Error(), {
+				retryable: true
+			});
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				retryableDelay: CWLogsWritable.retryStrategies.exponential({ maxDelay: Infinity })
 			});
 
-			var logEventA = stream.createLogEvent({ foo: 'bar', time: 100 });
-			expect(Object.keys(logEventA).sort()).toEqual(['message', 'timestamp']);
-			expect(logEventA.message).toBe('{"foo":"bar","time":100}');
-			expect(logEventA.timestamp).toBe(100);
+			expect(stream._getRetryDelay(26, retryableError, 0)).toBe(2147483647);
+			expect(stream._getRetryDelay(100, retryableError, 0)).toBe(2147483647);
 
-			var logEventB = stream.createLogEvent({ foo: 'bar', time: '2017-02-13T16:57:51.344Z' });
-			expect(Object.keys(logEventB).sort()).toEqual(['message', 'timestamp']);
-			expect(logEventB.message).toBe('{"foo":"bar","time":"2017-02-13T16:57:51.344Z"}');
-			expect(logEventB.timestamp).toBe(1487005071344);
+			stream.retryableDelay = 1e12;
+			expect(stream._getRetryDelay(1, retryableError, 0)).toBe(2147483647);
 		});
-	});
 
-	describe('CWLogsWritable#onError', function() {
-		it('should call "next" callback with the error', function() {
+		it('should not retry more than retryableMax, whatever retryableDelay returns', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				retryable: true
+			});
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				retryableMax: 2,
+				retryableDelay: function() {
+					return 'nextTick';
+				},
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
 			});
 
-			var expectedErr = new Error();
-			var spy = expect.createSpy();
+			stream._putLogEvents({}, function(err) {
+				expect(err).toBe(expectedError);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+				done();
+			});
+		});
 
-			stream.onError(expectedErr, null, spy);
+		it('should retry with the expected sequence token on InvalidSequenceTokenException', function(done) {
+			var sentTokens = [];
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						sentTokens.push(apiParams.sequenceToken);
+						process.nextTick(function() {
+							if (sentTokens.length === 1) {
+								cb(objectAssign(new Error('The given sequenceToken is invalid.'), {
+									name: 'InvalidSequenceTokenException',
+									expectedSequenceToken: 'expected-token'
+								}));
+							}
+							else if (sentTokens.length === 2) {
+								cb(objectAssign(new Error('The given sequenceToken is invalid. The next expected sequenceToken is: message-token'), {
+									name: 'InvalidSequenceTokenException'
+								}));
+							}
+							else if (sentTokens.length === 3) {
+								cb(objectAssign(new Error('The given sequenceToken is invalid. The next expected sequenceToken is: null'), {
+									name: 'InvalidSequenceTokenException'
+								}));
+							}
+							else {
+								cb(null, { nextSequenceToken: 'next-magic-token' });
+							}
+						});
+					}
+				}
+			});
 
-			expect(spy.calls.length).toBe(1);
-			expect(spy.calls[0].arguments.length).toBe(1);
-			expect(spy.calls[0].arguments[0]).toBe(expectedErr);
+			var invalidSequenceTokenEventSpy = expect.createSpy();
+			stream.on('invalidSequenceToken', invalidSequenceTokenEventSpy);
+
+			stream._putLogEvents({ sequenceToken: 'stale-token' }, function(err, sequenceToken) {
+				expect(err).toBe(null);
+				expect(sequenceToken).toBe('next-magic-token');
+				expect(sentTokens).toEqual(['stale-token', 'expected-token', 'message-token', null]);
+				expect(invalidSequenceTokenEventSpy.calls.map(function(call) {
+					return call.arguments;
+				})).toEqual([
+					['stale-token', 'expected-token'],
+					['expected-token', 'message-token'],
+					['message-token', null]
+				]);
+				done();
+			});
+		});
+
+		it('should get the sequence token on InvalidSequenceTokenException if the error does not include it', function(done) {
+			var sentTokens = [];
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						sentTokens.push(apiParams.sequenceToken);
+						process.nextTick(function() {
+							if (sentTokens.length === 1) {
+								cb(objectAssign(new Error('The given sequenceToken is invalid.'), {
+									name: 'InvalidSequenceTokenException'
+								}));
+							}
+							else {
+								cb(null, { nextSequenceToken: 'next-magic-token' });
+							}
+						});
+					}
+				}
+			});
+
+			stream._putLogEvents({ sequenceToken: 'stale-token' }, function(err, sequenceToken) {
+				expect(err).toBe(null);
+				expect(sequenceToken).toBe('next-magic-token');
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(1);
+				expect(sentTokens).toEqual(['stale-token', 'first-magic-token']);
+				done();
+			});
+		});
+
+		it('should pass InvalidSequenceTokenException to the callback after retryableMax attempts', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				name: 'InvalidSequenceTokenException',
+				expectedSequenceToken: 'expected-token'
+			});
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableMax: 2,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			stream._putLogEvents({}, function(err) {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+				expect(arguments.length).toBe(1);
+				expect(err).toBe(expectedError);
+				done();
+			});
+		});
+
+		it('should treat the batch as sent on DataAlreadyAcceptedException', function(done) {
+			var logEvents = [{ message: 'foo', timestamp: 100 }];
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error('The given batch of log events has already been accepted. The next batch can be sent with sequenceToken: accepted-token'), {
+								name: 'DataAlreadyAcceptedException'
+							}));
+						});
+					}
+				}
+			});
+
+			var dataAlreadyAcceptedEventSpy = expect.createSpy();
+			stream.on('dataAlreadyAccepted', dataAlreadyAcceptedEventSpy);
+
+			stream._putLogEvents({ logEvents: logEvents }, function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(arguments.length).toBe(3);
+				expect(arguments[0]).toBe(null);
+				expect(arguments[1]).toBe('accepted-token');
+				expect(arguments[2]).toBe(null);
+				expect(dataAlreadyAcceptedEventSpy.calls.length).toBe(1);
+				expect(dataAlreadyAcceptedEventSpy.calls[0].arguments.length).toBe(1);
+				expect(dataAlreadyAcceptedEventSpy.calls[0].arguments[0]).toBe(logEvents);
+				done();
+			});
+		});
+
+		it('should return a null sequence token on DataAlreadyAcceptedException if the error does not include it', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error('Already accepted.'), {
+								name: 'DataAlreadyAcceptedException'
+							}));
+						});
+					}
+				}
+			});
+
+			stream._putLogEvents({ logEvents: [] }, function(err, sequenceToken) {
+				expect(err).toBe(null);
+				expect(sequenceToken).toBe(null);
+				done();
+			});
+		});
+
+		it('should not retry non-"retryable" AWS errors', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
+
+			stream._putLogEvents({}, function() {
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
 		});
 	});
 
-	describe('CWLogsWritable#nextLogBatchSize', function() {
-		var overhead = 26;
-		var max = 1048576;
-		var maxMessageSize = 256 * 1024 - overhead;
+	describe('CWLogsWritable#useSequenceToken', function() {
+		function createResourceNotFoundError() {
+			return objectAssign(new Error('The specified log stream does not exist.'), {
+				name: 'ResourceNotFoundException'
+			});
+		}
 
-		// Large message that leaves a bit of room left to test batch limit.
-		// i.e. 1048576 / 200000 = 5.24288 then 1048576 - (5 * 200000) = 48576 bytes for the last message
-		var largeMessage = new Array(200000 - overhead + 1).join('0');
+		it('should call _createMissingLogStream on "ResourceNotFoundException" and send the batch again', function(done) {
+			var putCount = 0;
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							if (putCount++) {
+								cb(null, { nextSequenceToken: 'next-magic-token' });
+							}
+							else {
+								cb(createResourceNotFoundError());
+							}
+						});
+					}
+				}
+			});
 
-		it('should be all logs if small', function() {
+			var createMissingLogStreamSpy = expect.spyOn(stream, '_createMissingLogStream').andCallThrough();
+
+			stream._putLogEvents({}, function(err) {
+				expect(err).toBe(null);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(2);
+				expect(createMissingLogStreamSpy.calls.length).toBe(1);
+				done();
+			});
+		});
+
+		it('should only call _createMissingLogStream once per batch', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(createResourceNotFoundError());
+						});
+					}
+				}
 			});
 
-			stream.write(new Array(maxMessageSize + 1).join('0'));
-			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(1);
+			var createMissingLogStreamSpy = expect.spyOn(stream, '_createMissingLogStream').andCallThrough();
+
+			stream._putLogEvents({}, function(err) {
+				expect(err.name).toBe('ResourceNotFoundException');
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(2);
+				expect(createMissingLogStreamSpy.calls.length).toBe(1);
+				done();
+			});
+		});
+
+		it('should pass through error from _createMissingLogStream', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(createResourceNotFoundError());
+						});
+					}
+				}
+			});
+
+			stream._createMissingLogStream = function(cb) {
+				process.nextTick(function() {
+					cb(expectedError);
+				});
+			};
+
+			stream._putLogEvents({}, function(err) {
+				expect(arguments.length).toBe(1);
+				expect(err).toBe(expectedError);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				done();
+			});
 		});
 
-		it('should be all logs if exactly enough', function() {
+		it('should not create the log stream on "ResourceNotFoundException" if useSequenceToken is true', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(createResourceNotFoundError());
+						});
+					}
+				}
 			});
 
-			var willFit = Math.floor(max / (overhead + largeMessage.length));
-			var remainder = max - willFit * (overhead + largeMessage.length);
-
-			// Sanity check
-			expect(remainder).toBe(48576);
-
-			for (var i = 0; i < willFit; i++) {
-				stream.write(largeMessage);
-			}
-
-			stream.write(largeMessage.substr(0, remainder - overhead));
+			stream._createMissingLogStream = function() {
+				throw new Error('Expected not to be called');
+			};
 
-			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(willFit + 1);
-			stream.queuedLogs = [];
+			stream._putLogEvents({}, function(err) {
+				expect(err.name).toBe('ResourceNotFoundException');
+				done();
+			});
 		});
 
-		it('should be part of queue if too large for one batch', function() {
+		it('should not retry "InvalidSequenceTokenException" if useSequenceToken is false', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error(), {
+								name: 'InvalidSequenceTokenException'
+							}));
+						});
+					}
+				}
 			});
 
-			var willFit = Math.floor(max / (overhead + largeMessage.length));
-			var remainder = max - willFit * (overhead + largeMessage.length);
-
-			// Sanity check
-			expect(remainder).toBe(48576);
-
-			for (var i = 0; i < willFit; i++) {
-				stream.write(largeMessage);
-			}
-
-			stream.write(largeMessage.substr(0, remainder - overhead + 1)); // One byte over
-
-			expect(stream.queuedLogs.length).toBe(willFit + 1);
-			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(willFit);
-			stream.queuedLogs = [];
+			stream._putLogEvents({}, function(err) {
+				expect(err.name).toBe('InvalidSequenceTokenException');
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(0);
+				done();
+			});
 		});
+	});
 
-		it('should use maxBatchCount option', function() {
+	describe('CWLogsWritable#_createMissingLogStream', function() {
+		it('should call _createLogStream and emit event', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar',
-				maxBatchCount: 10
+				logStreamName: 'bar'
 			});
 
-			for (var i = 0; i < 15; i++) {
-				stream.write('---');
-			}
+			var createLogGroupEventSpy = expect.createSpy();
+			stream.on('createLogGroup', createLogGroupEventSpy);
 
-			expect(stream.queuedLogs.length).toBe(15);
-			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(10);
-			stream.queuedLogs = [];
+			var createLogStreamEventSpy = expect.createSpy();
+			stream.on('createLogStream', createLogStreamEventSpy);
+
+			stream._createMissingLogStream(function() {
+				expect(arguments.length).toBe(0);
+				expect(stream.cloudwatch.createLogStream.calls.length).toBe(1);
+				expect(stream.cloudwatch.createLogGroup.calls.length).toBe(0);
+				expect(createLogStreamEventSpy.calls.length).toBe(1);
+				expect(createLogGroupEventSpy.calls.length).toBe(0);
+				done();
+			});
 		});
 
-		it('should use maxBatchSize option', function() {
-			var maxSize = (largeMessage.length + overhead) * 3 + 1000;
+		it('should create the log group if it does not exist and then create the log stream', function(done) {
+			var createLogStreamCount = 0;
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				maxBatchSize: maxSize
+				cloudWatchLogsOptions: {
+					createLogStream: function(params, cb) {
+						process.nextTick(function() {
+							if (createLogStreamCount++) {
+								cb();
+							}
+							else {
+								cb(objectAssign(new Error(), {
+									name: 'ResourceNotFoundException'
+								}));
+							}
+						});
+					}
+				}
 			});
 
-			var willFit = Math.floor(maxSize / (overhead + largeMessage.length));
-			var remainder = maxSize - willFit * (overhead + largeMessage.length);
-
-			// Sanity check
-			expect(remainder).toBe(1000);
-
-			for (var i = 0; i < willFit; i++) {
-				stream.write(largeMessage);
-			}
+			var createLogGroupEventSpy = expect.createSpy();
+			stream.on('createLogGroup', createLogGroupEventSpy);
 
-			stream.write(largeMessage.substr(0, remainder - overhead + 1)); // One byte over
+			var createLogStreamEventSpy = expect.createSpy();
+			stream.on('createLogStream', createLogStreamEventSpy);
 
-			expect(stream.nextLogBatchSize(stream.queuedLogs)).toBe(willFit);
-			stream.queuedLogs = [];
+			stream._createMissingLogStream(function() {
+				expect(arguments.length).toBe(0);
+				expect(stream.cloudwatch.createLogStream.calls.length).toBe(2);
+				expect(stream.cloudwatch.createLogGroup.calls.length).toBe(1);
+				expect(createLogGroupEventSpy.calls.length).toBe(1);
+				expect(createLogStreamEventSpy.calls.length).toBe(1);
+				done();
+			});
 		});
-	});
 
-	describe('CWLogsWritable#_scheduleSendLogs', function() {
-		it('should call process.nextTick if writeInterval is "nextTick"', function() {
+		it('should ignore "ResourceAlreadyExistsException" errors without emitting events', function(done) {
+			var createLogStreamCount = 0;
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				writeInterval: 'nextTick'
+				cloudWatchLogsOptions: {
+					createLogGroup: function(params, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error(), {
+								name: 'ResourceAlreadyExistsException'
+							}));
+						});
+					},
+					createLogStream: function(params, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error(), {
+								name: createLogStreamCount++ ? 'ResourceAlreadyExistsException' : 'ResourceNotFoundException'
+							}));
+						});
+					}
+				}
 			});
 
-			var nextTickSpy = expect.spyOn(process, 'nextTick').andCallThrough();
+			var createLogGroupEventSpy = expect.createSpy();
+			stream.on('createLogGroup', createLogGroupEventSpy);
 
-			return new Promise(function(resolve) {
-				stream._sendLogs = expect.createSpy().andCall(resolve);
-				stream._scheduleSendLogs();
-				expect(nextTickSpy.calls.length).toBe(1);
-				expect(nextTickSpy.calls[0].arguments.length).toBe(1);
-				expect(nextTickSpy.calls[0].arguments[0]).toBeA('function');
-				expect(stream._sendLogs.calls.length).toBe(0);
-			})
-				.then(function() {
-					expect(nextTickSpy.calls.length).toBe(1);
-					expect(stream._sendLogs.calls.length).toBe(1);
-					expect(stream._sendLogs.calls[0].arguments.length).toBe(0);
-				});
+			var createLogStreamEventSpy = expect.createSpy();
+			stream.on('createLogStream', createLogStreamEventSpy);
+
+			stream._createMissingLogStream(function() {
+				expect(arguments.length).toBe(0);
+				expect(stream.cloudwatch.createLogStream.calls.length).toBe(2);
+				expect(createLogGroupEventSpy.calls.length).toBe(0);
+				expect(createLogStreamEventSpy.calls.length).toBe(0);
+				done();
+			});
 		});
 
-		it('should call setTimeout if writeInterval is a number', function() {
+		it('should pass through other errors', function(done) {
+			var expectedError = new Error();
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				writeInterval: 10
+				cloudWatchLogsOptions: {
+					createLogStream: function(params, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error(), {
+								name: 'ResourceNotFoundException'
+							}));
+						});
+					},
+					createLogGroup: function(params, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
 			});
 
-			var setTimeoutSpy = expect.spyOn(global, 'setTimeout').andCallThrough();
-
-			return new Promise(function(resolve) {
-				stream._sendLogs = expect.createSpy().andCall(resolve);
-				stream._scheduleSendLogs();
-				expect(setTimeoutSpy.calls.length).toBe(1);
-				expect(setTimeoutSpy.calls[0].arguments.length).toBe(2);
-				expect(setTimeoutSpy.calls[0].arguments[0]).toBeA('function');
-				expect(setTimeoutSpy.calls[0].arguments[1]).toBe(10);
-				expect(stream._sendLogs.calls.length).toBe(0);
-			})
-				.then(function() {
-					expect(setTimeoutSpy.calls.length).toBe(1);
-					expect(stream._sendLogs.calls.length).toBe(1);
-					expect(stream._sendLogs.calls[0].arguments.length).toBe(0);
-				});
+			stream._createMissingLogStream(function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				expect(stream.cloudwatch.createLogStream.calls.length).toBe(1);
+				done();
+			});
 		});
 	});
 
-	describe('CWLogsWritable#filterWrite', function() {
-		it('should return true if not null/undefined', function() {
+	describe('CWLogsWritable#_getSequenceToken', function() {
+		it('should return next sequence token', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar'
 			});
 
-			expect(stream.filterWrite(null)).toBe(false, 'Expected filterWrite to return %s for null');
-			expect(stream.filterWrite(void 0)).toBe(false, 'Expected filterWrite to return %s for undefined');
+			stream._getSequenceToken(function(err, seq) {
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(1);
 
-			[true, false, -1, 0, 1, '', '0', '1', Infinity, -Infinity, {}, [], NaN, noop]
-				.forEach(function(val) {
-					expect(stream.filterWrite(val)).toBe(true, 'Expected filterWrite to return %s for ' + valToStr(val));
-				});
+				var calls0 = stream.cloudwatch.describeLogStreams.calls[0];
+				expect(calls0.arguments.length).toBe(2);
+				expect(calls0.arguments[0]).toBeA('object');
+				expect(Object.keys(calls0.arguments[0])).toEqual(['logGroupName', 'logStreamNamePrefix']);
+				expect(calls0.arguments[0].logGroupName).toBe('foo');
+				expect(calls0.arguments[0].logStreamNamePrefix).toBe('bar');
+				expect(calls0.arguments[1]).toBeA('function');
+
+				expect(arguments.length).toBe(2);
+				expect(arguments[0]).toBe(null);
+				expect(arguments[1]).toBe('first-magic-token');
+				done();
+			});
 		});
-	});
 
-	describe('CWLogsWritable#_write', function() {
-		it('should push record to queue', function() {
+		it('should call _createLogGroupAndStream for "ResourceNotFoundException" errors and call _getSequenceToken again', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error(), {
+								name: 'ResourceNotFoundException'
+							}));
+						});
+					}
+				}
 			});
 
-			var logEventRec;
-			var cbSpy = expect.createSpy();
-			stream._scheduleSendLogs = expect.createSpy();
-			stream.createLogEvent = expect.createSpy().andCall(function(rec) {
-				return logEventRec = CWLogsWritable.prototype.createLogEvent(rec);
-			});
+			var cb = function() {
+				throw new Error('Expected not to be called');
+			};
 
-			expect(stream.writeQueued).toBe(false);
+			var createLogGroupAndStreamSpy = expect.spyOn(stream, '_createLogGroupAndStream').andCall(function(cb) {
+				process.nextTick(function() {
+					cb();
+				});
+			});
 
-			// Write the first record.
-			stream._write('foo', null, cbSpy);
+			stream._getSequenceToken = function() {
+				// Override _getSequenceToken for the second call.
+				stream._getSequenceToken = function() {
+					expect(createLogGroupAndStreamSpy.calls.length).toBe(1);
+					expect(createLogGroupAndStreamSpy.calls[0].arguments.length).toBe(1);
+					expect(createLogGroupAndStreamSpy.calls[0].arguments[0]).toBeA('function');
 
-			expect(stream.queuedLogs.length).toBe(1);
-			expect(stream.queuedLogs[0]).toBe(logEventRec);
-			expect(stream.queuedLogs[0].message).toBe('foo');
-			expect(stream.createLogEvent.calls.length).toBe(1);
-			expect(stream.createLogEvent.calls[0].arguments.length).toBe(1);
-			expect(stream.createLogEvent.calls[0].arguments[0]).toBe('foo');
-			expect(stream.writeQueued).toBe(true);
-			expect(stream._scheduleSendLogs.calls.length).toBe(1);
-			expect(stream._scheduleSendLogs.calls[0].arguments.length).toBe(0);
-			expect(cbSpy.calls.length).toBe(1);
-			expect(cbSpy.calls[0].arguments.length).toBe(0);
+					expect(arguments.length).toBe(1);
+					expect(arguments[0]).toBe(cb);
+					done();
+				};
 
-			// Write a second record.
-			stream._write('bar', null, cbSpy);
+				// Call through on the first call.
+				return CWLogsWritable.prototype._getSequenceToken.apply(this, arguments);
+			};
 
-			// On second write, _scheduleSendLogs should NOT have been called.
-			expect(stream.queuedLogs.length).toBe(2);
-			expect(stream.queuedLogs[1]).toBe(logEventRec);
-			expect(stream.queuedLogs[0].message).toBe('foo');
-			expect(stream.queuedLogs[1].message).toBe('bar');
-			expect(stream.createLogEvent.calls.length).toBe(2);
-			expect(stream.createLogEvent.calls[1].arguments.length).toBe(1);
-			expect(stream.createLogEvent.calls[1].arguments[0]).toBe('bar');
-			expect(stream.writeQueued).toBe(true);
-			expect(stream._scheduleSendLogs.calls.length).toBe(1);
-			expect(cbSpy.calls.length).toBe(2);
-			expect(cbSpy.calls[1].arguments.length).toBe(0);
+			stream._getSequenceToken(cb);
 		});
 
-		it('should call filterWrite', function() {
-			var filterWrite = expect.createSpy().andCall(function(rec) {
-				return rec === 'okay';
-			});
-
+		it('should call _createLogStream and emit event if no streams for group and call _getSequenceToken again', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				filterWrite: filterWrite
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(null, {
+								logStreams: []
+							});
+						});
+					}
+				}
 			});
 
-			stream._scheduleSendLogs = expect.createSpy();
+			var cb = function() {
+				throw new Error('Expected not to be called');
+			};
 
-			stream._write('excl', null, noop);
-			expect(filterWrite.calls.length).toBe(1);
-			expect(filterWrite.calls[0].context).toBe(stream);
-			expect(filterWrite.calls[0].arguments.length).toBe(1);
-			expect(filterWrite.calls[0].arguments[0]).toBe('excl');
-			expect(stream.queuedLogs.length).toBe(0);
-			expect(stream.writeQueued).toBe(false);
-			expect(stream._scheduleSendLogs.calls.length).toBe(0);
+			var createLogStreamSpy = expect.spyOn(stream, '_createLogStream').andCall(function(cb) {
+				process.nextTick(function() {
+					cb();
+				});
+			});
 
-			stream._write('okay', null, noop);
-			expect(filterWrite.calls.length).toBe(2);
-			expect(filterWrite.calls[1].arguments.length).toBe(1);
-			expect(filterWrite.calls[1].arguments[0]).toBe('okay');
-			expect(stream.queuedLogs.length).toBe(1);
-			expect(stream.writeQueued).toBe(true);
-			expect(stream._scheduleSendLogs.calls.length).toBe(1);
-		});
-	});
+			var createLogStreamEventSpy = expect.createSpy();
+			stream.on('createLogStream', createLogStreamEventSpy);
 
-	describe('CWLogsWritable#_sendLogs', function() {
-		it('should first call _getSequenceToken if sequence token not set', function(done) {
-			var stream = new CWLogsWritable({
-				logGroupName: 'foo',
-				logStreamName: 'bar'
-			});
+			stream._getSequenceToken = function() {
+				// Override _getSequenceToken for the second call.
+				stream._getSequenceToken = function() {
+					expect(createLogStreamSpy.calls.length).toBe(1);
+					expect(createLogStreamSpy.calls[0].arguments.length).toBe(1);
+					expect(createLogStreamSpy.calls[0].arguments[0]).toBeA('function');
+					expect(createLogStreamEventSpy.calls.length).toBe(1);
+					expect(createLogStreamEventSpy.calls[0].arguments.length).toBe(0);
 
-			stream.writeQueued = true;
+					expect(arguments.length).toBe(1);
+					expect(arguments[0]).toBe(cb);
+					done();
+				};
 
-			var getSequenceTokenSpy = expect.spyOn(stream, '_getSequenceToken').andCallThrough();
-			var nextLogBatchSizeSpy = expect.spyOn(stream, 'nextLogBatchSize').andCallThrough();
+				expect(createLogStreamEventSpy.calls.length).toBe(0);
 
-			stream._sendLogs();
-			expect(getSequenceTokenSpy.calls.length).toBe(1);
-			expect(getSequenceTokenSpy.calls[0].arguments.length).toBe(1);
-			expect(getSequenceTokenSpy.calls[0].arguments[0]).toBeA('function');
-			expect(nextLogBatchSizeSpy.calls.length).toBe(0);
+				// Call through on the first call.
+				return CWLogsWritable.prototype._getSequenceToken.apply(this, arguments);
+			};
 
-			// Intercept _sendLogs call after the sequence is fetched.
-			stream._sendLogs = expect.createSpy().andCall(function() {
-				expect(stream.sequenceToken).toBe('first-magic-token');
-				expect(getSequenceTokenSpy.calls.length).toBe(1);
-				expect(nextLogBatchSizeSpy.calls.length).toBe(0);
-				done();
-			});
+			stream._getSequenceToken(cb);
 		});
 
-		it('should handle error from _getSequenceToken', function(done) {
+		it('should pass through error from cloudwatch.describeLogStreams', function(done) {
 			var expectedError = new Error();
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
 				cloudWatchLogsOptions: {
-					describeLogStreams: function(params, cb) {
+					describeLogStreams: function(apiParams, cb) {
 						process.nextTick(function() {
 							cb(expectedError);
 						});
@@ -751,848 +4381,1114 @@ describe('CWLogsWritable', function() {
 				}
 			});
 
-			stream.writeQueued = true;
-			var oldNextCbId = this._onErrorNextCbId;
+			stream._createLogGroupAndStream = function() {
+				throw new Error('Expected not to be called');
+			};
 
-			var getSequenceTokenSpy = expect.spyOn(stream, '_getSequenceToken').andCallThrough();
-			var nextLogBatchSizeSpy = expect.spyOn(stream, 'nextLogBatchSize').andCallThrough();
+			stream._createLogStream = function() {
+				throw new Error('Expected not to be called');
+			};
 
-			stream._nextAfterError = expect.createSpy().andCall(function() {
-				expect(arguments.length).toBe(2);
-				expect(arguments[0]).toBe(this._onErrorNextCbId);
-				expect(arguments[1]).toBe('foo');
+			stream._getSequenceToken(function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
 				done();
 			});
+		});
 
-			stream.onError = expect.createSpy().andCall(function() {
-				expect(this._onErrorNextCbId).toNotBe(oldNextCbId);
-				expect(stream.sequenceToken).toBe(null);
-				expect(getSequenceTokenSpy.calls.length).toBe(1);
-				expect(nextLogBatchSizeSpy.calls.length).toBe(0);
-				expect(arguments.length).toBe(3);
-				expect(arguments[0]).toBe(expectedError);
-				expect(arguments[1]).toBe(null);
-				expect(arguments[2]).toBeA('function');
-
-				// Call 'next'
-				arguments[2]('foo');
+		it('should pass through error from _createLogGroupAndStream', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(objectAssign(new Error(), {
+								name: 'ResourceNotFoundException'
+							}));
+						});
+					}
+				}
 			});
 
-			stream._sendLogs();
-			expect(getSequenceTokenSpy.calls.length).toBe(1);
-			expect(getSequenceTokenSpy.calls[0].arguments.length).toBe(1);
-			expect(getSequenceTokenSpy.calls[0].arguments[0]).toBeA('function');
-			expect(nextLogBatchSizeSpy.calls.length).toBe(0);
+			stream._createLogGroupAndStream = function(cb) {
+				process.nextTick(function() {
+					cb(expectedError);
+				});
+			};
 
-			// Intercept _sendLogs call after the sequence is fetched.
-			stream._sendLogs = function() {
+			stream._createLogStream = function() {
 				throw new Error('Expected not to be called');
 			};
+
+			stream._getSequenceToken(function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
 		});
 
-		it('should skip if queue is empty', function() {
+		it('should pass through error from _createLogStream', function() {
+			var expectedError = new Error();
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(apiParams, cb) {
+						process.nextTick(function() {
+							cb(null, {
+								logStreams: []
+							});
+						});
+					}
+				}
 			});
 
-			stream.writeQueued = true;
-			stream.sequenceToken = 'foo-token';
-
-			stream._getSequenceToken = function() {
-				throw new Error('Expected not to be called')
+			stream._createLogGroupAndStream = function(cb) {
+				throw new Error('Expected not to be called');
 			};
 
-			stream.nextLogBatchSize = function() {
-				throw new Error('Expected not to be called')
+			stream._createLogStream = function() {
+				process.nextTick(function() {
+					cb(expectedError);
+				});
 			};
 
-			stream._sendLogs();
-			expect(stream.writeQueued).toBe(false);
+			stream._getSequenceToken(function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
 		});
+	});
 
-		it('should get batch size, remove it from the queue, and call _putLogEvents', function(done) {
+	describe('CWLogsWritable#_createLogGroupAndStream', function() {
+		it('should call _createLogGroup then _createLogStream and emit events', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar'
 			});
 
-			stream._basePutSize = 10;
-			stream.writeQueued = true;
-			stream.sequenceToken = 'seq';
-
-			var origQueue;
-
-			var putLogEventsEventSpy = expect.createSpy();
-			stream.on('putLogEvents', putLogEventsEventSpy);
-
-			stream._scheduleSendLogs = function() {
-				throw new Error('Expected not to be called')
-			};
+			var createLogGroupEventSpy = expect.createSpy();
+			stream.on('createLogGroup', createLogGroupEventSpy);
 
-			stream._getSequenceToken = function() {
-				throw new Error('Expected not to be called')
-			};
+			var createLogStreamEventSpy = expect.createSpy();
+			stream.on('createLogStream', createLogStreamEventSpy);
 
-			var nextLogBatchSizeSpy = expect.spyOn(stream, 'nextLogBatchSize').andCall(function() {
-				expect(this).toBe(stream);
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(this.queuedLogs);
-				return 2;
+			var createLogGroupSpy = expect.spyOn(stream, '_createLogGroup').andCall(function(cb) {
+				expect(createLogGroupSpy.calls.length).toBe(1);
+				expect(createLogStreamSpy.calls.length).toBe(0);
+				expect(createLogGroupEventSpy.calls.length).toBe(0);
+				process.nextTick(function() {
+					cb();
+				});
 			});
 
-			var putLogEventsSpy = expect.spyOn(stream, '_putLogEvents').andCall(function() {
-				expect(this).toBe(stream);
-				expect(arguments.length).toBe(2);
-				expect(arguments[0]).toBeA('object');
-				expect(Object.keys(arguments[0])).toEqual([
-					'logGroupName',
-					'logStreamName',
-					'sequenceToken',
-					'logEvents'
-				]);
-				expect(arguments[0].logGroupName).toBe('foo');
-				expect(arguments[0].logStreamName).toBe('bar');
-				expect(arguments[0].sequenceToken).toBe('seq');
-				expect(arguments[0].logEvents).toBeA('array');
-				expect(arguments[0].logEvents.length).toBe(2);
-				expect(arguments[0].logEvents[0]).toBe(origQueue[0]);
-				expect(arguments[0].logEvents[1]).toBe(origQueue[1]);
-				expect(arguments[1]).toBeA('function');
+			var createLogStreamSpy = expect.spyOn(stream, '_createLogStream').andCall(function(cb) {
+				expect(createLogGroupSpy.calls.length).toBe(1);
+				expect(createLogStreamSpy.calls.length).toBe(1);
+				expect(createLogGroupEventSpy.calls.length).toBe(1);
+				expect(createLogGroupEventSpy.calls[0].arguments.length).toBe(0);
+				process.nextTick(function() {
+					cb();
+				});
+			});
 
-				// Call callback
-				expect(putLogEventsEventSpy.calls.length).toBe(0);
-				arguments[1](null, 'next-seq');
-				expect(stream.sequenceToken === 'next-seq');
-				expect(putLogEventsEventSpy.calls.length).toBe(1);
-				expect(putLogEventsEventSpy.calls[0].arguments.length).toBe(1);
-				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(arguments[0].logEvents);
-				expect(stream.writeQueued).toBe(false);
+			stream._createLogGroupAndStream(function() {
+				expect(arguments.length).toBe(0);
+				expect(createLogGroupSpy.calls.length).toBe(1);
+				expect(createLogStreamSpy.calls.length).toBe(1);
+				expect(createLogStreamEventSpy.calls.length).toBe(1);
+				expect(createLogStreamEventSpy.calls[0].arguments.length).toBe(0);
 				done();
 			});
+		});
 
-			stream._write('foo', null, noop);
-			stream._write('bar', null, noop);
-			expect(stream.queuedLogs.length).toBe(2);
-			origQueue = stream.queuedLogs.slice(0);
+		it('should pass through error from _createLogGroup', function(done) {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
 
-			stream._sendLogs();
+			stream._createLogGroup = function(cb) {
+				process.nextTick(function() {
+					cb(expectedError);
+				});
+			};
 
-			expect(nextLogBatchSizeSpy.calls.length).toBe(1);
-			expect(putLogEventsSpy.calls.length).toBe(1);
+			stream._createLogStream = function() {
+				throw new Error('Expected to not be called');
+			};
 
-			expect(stream.queuedLogs.length).toBe(0);
-			expect(stream.writeQueued).toBe(true);
+			stream._createLogGroupAndStream(function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
 		});
 
-		it('should handle error from _putLogEvents', function(done) {
+		it('should pass through error from _createLogStream', function(done) {
 			var expectedError = new Error();
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar'
 			});
 
-			stream.writeQueued = true;
-			stream.sequenceToken = 'seq';
-
-			stream._scheduleSendLogs = function() {
-				throw new Error('Expected not to be called')
-			};
-
-			stream._getSequenceToken = function() {
-				throw new Error('Expected not to be called')
+			stream._createLogGroup = function(cb) {
+				process.nextTick(function() {
+					cb();
+				});
 			};
 
-			stream._putLogEvents = function(params, cb) {
+			stream._createLogStream = function(cb) {
 				process.nextTick(function() {
 					cb(expectedError);
 				});
 			};
 
-			stream._write('foo', null, noop);
-			var firstQueueLog = stream.queuedLogs[0];
+			stream._createLogGroupAndStream(function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				done();
+			});
+		});
+	});
 
-			var oldNextCbId = this._onErrorNextCbId;
+	describe('CWLogsWritable#_createLogGroup', function() {
+		it('should call cloudwatch.createLogGroup', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
 
-			stream._nextAfterError = expect.createSpy().andCall(function() {
-				expect(arguments.length).toBe(2);
-				expect(arguments[0]).toBe(this._onErrorNextCbId);
-				expect(arguments[1]).toBe('foo');
+			var cb = function() {
 				done();
-			});
+			};
 
-			stream.onError = expect.createSpy().andCall(function() {
-				expect(this._onErrorNextCbId).toNotBe(oldNextCbId);
-				expect(arguments.length).toBe(3);
-				expect(arguments[0]).toBe(expectedError);
-				expect(arguments[1]).toBeA('array');
-				expect(arguments[1].length).toBe(1);
-				expect(arguments[1][0]).toBe(firstQueueLog);
-				expect(arguments[2]).toBeA('function');
+			var callServiceSpy = expect.spyOn(stream, '_callService').andCallThrough();
 
-				// Call 'next'
-				arguments[2]('foo');
-			});
+			stream._createLogGroup(cb);
 
-			stream._sendLogs();
-			expect(stream.queuedLogs.length).toBe(0);
+			expect(callServiceSpy.calls.length).toBe(1);
+			expect(callServiceSpy.calls[0].arguments[0]).toBe('createLogGroup');
+			expect(callServiceSpy.calls[0].arguments[2]).toBe(cb);
+			expect(stream.cloudwatch.createLogGroup.calls.length).toBe(1);
+			expect(stream.cloudwatch.createLogGroup.calls[0].arguments.length).toBe(2);
+			expect(stream.cloudwatch.createLogGroup.calls[0].arguments[0]).toBeA('object');
+			expect(Object.keys(stream.cloudwatch.createLogGroup.calls[0].arguments[0])).toEqual(['logGroupName']);
+			expect(stream.cloudwatch.createLogGroup.calls[0].arguments[0].logGroupName).toBe('foo');
+			expect(stream.cloudwatch.createLogGroup.calls[0].arguments[1]).toBeA('function');
 		});
+	});
 
-		it('should set next sequence token and call _scheduleSendLogs if queue is not empty', function(done) {
+	describe('CWLogsWritable#_createLogStream', function() {
+		it('should call cloudwatch.createLogStream', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar'
 			});
 
-			stream.writeQueued = true;
-			stream.sequenceToken = 'seq';
-
-			var origQueue;
+			var cb = function() {
+				done();
+			};
 
-			var putLogEventsEventSpy = expect.createSpy();
-			stream.on('putLogEvents', putLogEventsEventSpy);
+			var callServiceSpy = expect.spyOn(stream, '_callService').andCallThrough();
 
-			stream._scheduleSendLogs = expect.createSpy();
+			stream._createLogStream(cb);
 
-			stream._getSequenceToken = function() {
-				throw new Error('Expected not to be called')
-			};
+			expect(callServiceSpy.calls.length).toBe(1);
+			expect(callServiceSpy.calls[0].arguments[0]).toBe('createLogStream');
+			expect(callServiceSpy.calls[0].arguments[2]).toBe(cb);
+			expect(stream.cloudwatch.createLogStream.calls.length).toBe(1);
+			expect(stream.cloudwatch.createLogStream.calls[0].arguments.length).toBe(2);
+			expect(stream.cloudwatch.createLogStream.calls[0].arguments[0]).toBeA('object');
+			expect(Object.keys(stream.cloudwatch.createLogStream.calls[0].arguments[0])).toEqual(['logGroupName', 'logStreamName']);
+			expect(stream.cloudwatch.createLogStream.calls[0].arguments[0].logGroupName).toBe('foo');
+			expect(stream.cloudwatch.createLogStream.calls[0].arguments[0].logStreamName).toBe('bar');
+			expect(stream.cloudwatch.createLogStream.calls[0].arguments[1]).toBeA('function');
+		});
+	});
 
-			stream.nextLogBatchSize = function() {
-				return 1;
-			};
+	describe('CWLogsWritable#_callService', function() {
+		it('should call the cloudwatch method and pass through the result', function(done) {
+			var expectedData = {};
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					createLogStream: function(params, cb) {
+						process.nextTick(function() {
+							cb(null, expectedData);
+						});
+					}
+				}
+			});
 
-			stream._putLogEvents = function() {
-				expect(stream.queuedLogs.length).toBe(1);
-				expect(arguments[0].logEvents.length).toBe(1);
-				expect(arguments[0].logEvents[0]).toBe(origQueue[0]);
+			var params = {};
 
-				// Call callback
-				expect(putLogEventsEventSpy.calls.length).toBe(0);
-				expect(stream._scheduleSendLogs.calls.length).toBe(0);
-				arguments[1](null, 'next-seq');
-				expect(stream.sequenceToken === 'next-seq');
-				expect(putLogEventsEventSpy.calls.length).toBe(1);
-				expect(putLogEventsEventSpy.calls[0].arguments.length).toBe(1);
-				expect(putLogEventsEventSpy.calls[0].arguments[0]).toBe(arguments[0].logEvents);
-				expect(stream.writeQueued).toBe(true);
-				expect(stream._scheduleSendLogs.calls.length).toBe(1);
-				expect(stream._scheduleSendLogs.calls[0].arguments.length).toBe(0);
+			stream._callService('createLogStream', params, function() {
+				expect(arguments.length).toBe(2);
+				expect(arguments[0]).toBe(null);
+				expect(arguments[1]).toBe(expectedData);
+				expect(stream.cloudwatch.createLogStream.calls.length).toBe(1);
+				expect(stream.cloudwatch.createLogStream.calls[0].arguments[0]).toBe(params);
 				done();
-			};
+			});
+		});
 
-			stream._write('foo', null, noop);
-			stream._write('bar', null, noop);
-			expect(stream.queuedLogs.length).toBe(2);
-			origQueue = stream.queuedLogs.slice(0);
+		it('should retry "retryable" errors and emit "retry" events', function(done) {
+			var expectedError = objectAssign(new Error(), {
+				retryable: true
+			});
 
-			stream._sendLogs();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableDelay: 'nextTick',
+				retryableMax: 3,
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(params, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
+			});
 
-			expect(stream.queuedLogs.length).toBe(1);
-			expect(stream.queuedLogs[0]).toBe(origQueue[1]);
-			expect(stream.writeQueued).toBe(true);
+			var retryEventSpy = expect.createSpy();
+			stream.on('retry', retryEventSpy);
+
+			stream._callService('describeLogStreams', {}, function() {
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(4);
+				expect(retryEventSpy.calls.length).toBe(3);
+				expect(retryEventSpy.calls[2].arguments).toEqual([expectedError, 3, 'nextTick', 'describeLogStreams']);
+				done();
+			});
 		});
-	});
 
-	describe('CWLogsWritable#_nextAfterError', function() {
-		it('should abort if nextCbId doesn\'t match', function() {
+		it('should wait for the rate limiter for the method', function(done) {
+			var rateLimiter = new CWLogsWritable.RateLimiter({ rate: 5 });
+			var acquireSpy = expect.spyOn(rateLimiter, 'acquire').andCall(function(cb) {
+				process.nextTick(cb);
+			});
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				rateLimiters: {
+					describeLogStreams: rateLimiter
+				}
 			});
 
-			stream._handleError = function() {
-				throw new Error('Expected not to be called');
-			};
+			stream._callService('describeLogStreams', {}, function(err) {
+				expect(err).toBe(null);
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(1);
 
-			stream._scheduleSendLogs = function() {
-				throw new Error('Expected not to be called');
-			};
+				stream._callService('createLogStream', {}, function() {
+					expect(acquireSpy.calls.length).toBe(1);
+					done();
+				});
 
-			expect(stream._onErrorNextCbId).toBeA('number');
+				expect(stream.cloudwatch.createLogStream.calls.length).toBe(1);
+			});
 
-			stream._nextAfterError(stream._onErrorNextCbId + 1);
+			expect(acquireSpy.calls.length).toBe(1);
+			expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(0);
 		});
 
-		it('should increment nextCbId, reset sequence token, and call _scheduleSendLogs', function() {
+		it('should not retry non-"retryable" errors', function(done) {
+			var expectedError = new Error();
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				cloudWatchLogsOptions: {
+					createLogGroup: function(params, cb) {
+						process.nextTick(function() {
+							cb(expectedError);
+						});
+					}
+				}
 			});
 
-			expect(stream._onErrorNextCbId).toBeA('number');
-			stream.sequenceToken = 'seq';
+			stream._callService('createLogGroup', {}, function(err) {
+				expect(err).toBe(expectedError);
+				expect(stream.cloudwatch.createLogGroup.calls.length).toBe(1);
+				done();
+			});
+		});
+	});
 
-			stream._handleError = function() {
-				throw new Error('Expected not to be called');
-			};
+	describe('CWLogsWritable#_handleError', function() {
+		it('should emit "error" event, call clearQueue, and replace filterWrite', function() {
+			var expectedError = new Error();
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
+			});
 
-			var scheduleSendLogsSpy = expect.spyOn(stream, '_scheduleSendLogs');
+			var clearQueueSpy = expect.spyOn(stream, 'clearQueue');
 
-			var oldNextCbId = stream._onErrorNextCbId;
-			expect(scheduleSendLogsSpy.calls.length).toBe(0);
-			stream._nextAfterError(stream._onErrorNextCbId);
+			var errorEventSpy = expect.createSpy().andCall(function() {
+				expect(clearQueueSpy.calls.length).toBe(0);
+				expect(arguments.length).toBe(1);
+				expect(arguments[0]).toBe(expectedError);
+			});
+			stream.on('error', errorEventSpy);
 
-			expect(stream.sequenceToken).toBe(null);
-			expect(stream._onErrorNextCbId).toNotBe(oldNextCbId);
-			expect(scheduleSendLogsSpy.calls.length).toBe(1);
-			expect(scheduleSendLogsSpy.calls[0].arguments.length).toBe(0);
+			var flushSpy = expect.createSpy();
+			stream.writeQueued = true;
+			stream.flush(flushSpy);
+
+			stream._handleError(expectedError);
+			expect(errorEventSpy.calls.length).toBe(1);
+			expect(clearQueueSpy.calls.length).toBe(1);
+			expect(stream.filterWrite).toBe(CWLogsWritable._falseFilterWrite);
+			expect(stream.writeQueued).toBe(false);
+			expect(flushSpy.calls.length).toBe(1);
+			expect(flushSpy.calls[0].arguments).toEqual([expectedError]);
+			expect(stream.isDisabled()).toBe(true);
 		});
 
-		it('should return log events to the head of the queue, if supplied', function() {
-			var expectedRecA = {};
-			var expectedRecB = {};
-			var expectedRecC = {};
+		it('should call reset after recoveryDelay', function() {
+			var timer = { unref: expect.createSpy() };
+			var setTimeoutSpy = expect.spyOn(global, 'setTimeout').andReturn(timer);
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				recoveryDelay: 5000
 			});
 
-			expect(stream._onErrorNextCbId).toBeA('number');
-			stream.sequenceToken = 'seq';
-
-			stream._handleError = function() {
-				throw new Error('Expected not to be called');
-			};
+			stream.on('error', noop);
 
-			var scheduleSendLogsSpy = expect.spyOn(stream, '_scheduleSendLogs').andCall(function() {
-				expect(stream.queuedLogs.length).toBe(1);
-				expect(stream.queuedLogs[0]).toBe(expectedRecA);
-			});
+			var resetSpy = expect.spyOn(stream, 'reset');
 
-			expect(stream.queuedLogs.length).toBe(0);
+			stream._handleError(new Error());
+			stream._handleError(new Error());
+			expect.restoreSpies();
 
-			stream._nextAfterError(++stream._onErrorNextCbId, [expectedRecA]);
+			expect(setTimeoutSpy.calls.length).toBe(1);
+			expect(setTimeoutSpy.calls[0].arguments[1]).toBe(5000);
+			expect(timer.unref.calls.length).toBe(1);
+			expect(resetSpy.calls.length).toBe(0);
 
-			expect(scheduleSendLogsSpy.calls.length).toBe(1);
+			setTimeoutSpy.calls[0].arguments[0]();
+			expect(resetSpy.calls.length).toBe(1);
+		});
+	});
 
-			scheduleSendLogsSpy.restore();
-			scheduleSendLogsSpy = expect.spyOn(stream, '_scheduleSendLogs').andCall(function() {
-				expect(stream.queuedLogs.length).toBe(3);
-				expect(stream.queuedLogs[0]).toBe(expectedRecB);
-				expect(stream.queuedLogs[1]).toBe(expectedRecC);
-				expect(stream.queuedLogs[2]).toBe(expectedRecA);
+	describe('CWLogsWritable#circuitBreaker', function() {
+		function getMessages(logEvents) {
+			return logEvents.map(function(logEvent) {
+				return logEvent.message;
 			});
+		}
 
-			stream._nextAfterError(++stream._onErrorNextCbId, [expectedRecB, expectedRecC]);
-			expect(scheduleSendLogsSpy.calls.length).toBe(1);
-		});
+		function createTransientError() {
+			return objectAssign(new Error(), { code: 'ServiceUnavailableException', statusCode: 503 });
+		}
+
+		it('should stop calling AWS after failureThreshold failures and resume after a successful probe', function(done) {
+			var putResults = [createTransientError(), createTransientError(), createTransientError()];
 
-		it('should call _handleError if err arg is provided', function() {
-			var expectedErr = new Error();
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				circuitBreaker: { failureThreshold: 2, resetTimeout: 10, retryDelay: 0 },
+				onError: expect.createSpy().andCall(function(err, logEvents, next) {
+					next(logEvents);
+				}),
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, putResults.shift() || null, {});
+					}
+				}
 			});
 
-			var handleErrorSpy = expect.spyOn(stream, '_handleError');
+			var circuitStateChangeEventSpy = expect.createSpy().andCall(function(state) {
+				if (state === 'open' && circuitStateChangeEventSpy.calls.length === 1) {
+					expect(stream.getStats().circuitState).toBe('open');
 
-			stream._scheduleSendLogs = function() {
-				throw new Error('Expected not to be called');
-			};
+					// Queued while the circuit is open, then sent with the probe.
+					stream.write('bar');
+				}
+			});
+			stream.on('circuitStateChange', circuitStateChangeEventSpy);
 
-			expect(stream._onErrorNextCbId).toBeA('number');
+			stream.write('foo');
 
-			var oldNextCbId = stream._onErrorNextCbId;
-			expect(handleErrorSpy.calls.length).toBe(0);
-			stream._nextAfterError(stream._onErrorNextCbId, expectedErr);
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.onError.calls.length).toBe(0);
+
+				var putCalls = stream.cloudwatch.putLogEvents.calls;
+				expect(putCalls.length).toBe(4);
+				expect(getMessages(putCalls[1].arguments[0].logEvents)).toEqual(['foo']);
+				expect(getMessages(putCalls[2].arguments[0].logEvents)).toEqual(['foo', 'bar']);
+				expect(getMessages(putCalls[3].arguments[0].logEvents)).toEqual(['foo', 'bar']);
+
+				expect(circuitStateChangeEventSpy.calls.map(function(call) {
+					return call.arguments;
+				})).toEqual([
+					['open', 'closed'],
+					['halfOpen', 'open'],
+					['open', 'halfOpen'],
+					['halfOpen', 'open'],
+					['closed', 'halfOpen']
+				]);
 
-			expect(stream.sequenceToken).toBe(null);
-			expect(stream._onErrorNextCbId).toNotBe(oldNextCbId);
-			expect(handleErrorSpy.calls.length).toBe(1);
-			expect(handleErrorSpy.calls[0].arguments.length).toBe(1);
-			expect(handleErrorSpy.calls[0].arguments[0]).toBe(expectedErr);
+				expect(stream.getStats().circuitState).toBe('closed');
+				done();
+			});
 		});
-	});
 
-	describe('CWLogsWritable#_putLogEvents', function() {
-		it('should call cloudwatch.putLogEvents and return next sequence token', function(done) {
+		it('should return batches that failed with a transient error to the queue instead of calling the default onError', function(done) {
+			var putResults = [createTransientError(), createTransientError(), createTransientError()];
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				circuitBreaker: { failureThreshold: 3, resetTimeout: 10, retryDelay: 0 },
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, putResults.shift() || null, {});
+					}
+				}
 			});
 
-			var apiParams = {};
+			var errorEventSpy = expect.createSpy();
+			var circuitStateChangeEventSpy = expect.createSpy();
+			stream.on('error', errorEventSpy);
+			stream.on('circuitStateChange', circuitStateChangeEventSpy);
 
-			stream._putLogEvents(apiParams, function() {
-				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
-				expect(arguments.length).toBe(2);
-				expect(arguments[0]).toBe(null);
-				expect(arguments[1]).toBe('next-magic-token');
-				done();
-			});
+			stream.write('foo');
 
-			expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
-			expect(stream.cloudwatch.putLogEvents.calls[0].arguments.length).toBe(2);
-			expect(stream.cloudwatch.putLogEvents.calls[0].arguments[0]).toBe(apiParams);
-			expect(stream.cloudwatch.putLogEvents.calls[0].arguments[1]).toBeA('function');
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(errorEventSpy.calls.length).toBe(0);
+				expect(stream.isDisabled()).toBe(false);
+				expect(circuitStateChangeEventSpy.calls.map(function(call) {
+					return call.arguments[0];
+				})).toEqual(['open', 'halfOpen', 'closed']);
+
+				// The probe is the fourth call.
+				var putCalls = stream.cloudwatch.putLogEvents.calls;
+				expect(putCalls.length).toBe(4);
+				expect(getMessages(putCalls[3].arguments[0].logEvents)).toEqual(['foo']);
+
+				stream.write('bar');
+
+				stream.flush(function(err) {
+					expect(err).toNotExist();
+					expect(putCalls.length).toBe(5);
+					expect(getMessages(putCalls[4].arguments[0].logEvents)).toEqual(['bar']);
+					done();
+				});
+			});
 		});
 
-		it('should retry up to retryableMax on AWS errors that are "retryable"', function(done) {
-			var expectedError = objectAssign(new Error(), {
-				retryable: true
-			});
+		it('should pass other errors to onError', function(done) {
+			var expectedError = objectAssign(new Error(), { code: 'InvalidParameterException', statusCode: 400 });
 
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				retryableDelay: 1,
-				retryableMax: 5,
+				useSequenceToken: false,
+				circuitBreaker: { failureThreshold: 3, resetTimeout: 10, retryDelay: 0 },
 				cloudWatchLogsOptions: {
-					putLogEvents: function(apiParams, cb) {
-						process.nextTick(function() {
-							cb(expectedError);
-						});
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, expectedError);
 					}
 				}
 			});
 
-			var setTimeoutSpy = expect.spyOn(global, 'setTimeout').andCallThrough();
-
-			stream._putLogEvents({}, function() {
-				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(6);
-				expect(setTimeoutSpy.calls.length).toBe(5);
-
-				// Just check first setTimeout call
-				expect(setTimeoutSpy.calls[0].arguments.length).toBe(2);
-				expect(setTimeoutSpy.calls[0].arguments[1]).toBe(1);
-
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
+			stream.on('error', function(err) {
+				expect(err).toBe(expectedError);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
 				done();
 			});
-		});
 
-		it('should retry up using process.nextTick if retryableDelay is "nextTick"', function(done) {
-			var expectedError = objectAssign(new Error(), {
-				retryable: true
-			});
+			stream.write('foo');
+		});
 
-			var nextTickNoSpy = process.nextTick.bind(process);
+		it('should wait for retryDelay before sending a failed batch again while closed', function(done) {
+			var putResults = [createTransientError()];
+			var putTimes = [];
 
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				retryableDelay: 'nextTick',
-				retryableMax: 5,
+				useSequenceToken: false,
+				circuitBreaker: { failureThreshold: 3, resetTimeout: 10, retryDelay: 50 },
 				cloudWatchLogsOptions: {
-					putLogEvents: function(apiParams, cb) {
-						nextTickNoSpy(function() {
-							cb(expectedError);
-						});
+					putLogEvents: function(params, cb) {
+						putTimes.push(Date.now());
+						process.nextTick(cb, putResults.shift() || null, {});
 					}
 				}
 			});
 
-			var nextTickSpy = expect.spyOn(process, 'nextTick').andCallThrough();
+			stream.write('foo');
 
-			stream._putLogEvents({}, function() {
-				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(6);
-				expect(nextTickSpy.calls.length).toBe(5);
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(putTimes.length).toBe(2);
+				expect(putTimes[1] - putTimes[0]).toBeGreaterThanOrEqualTo(45);
+				expect(stream.getStats().circuitState).toBe('closed');
 				done();
 			});
 		});
 
-		it('should not retry non-"retryable" AWS errors', function(done) {
-			var expectedError = new Error();
+		it('should open when PutLogEvents keeps failing even if DescribeLogStreams succeeds', function(done) {
+			var putResults = [createTransientError(), createTransientError()];
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
+				circuitBreaker: { failureThreshold: 2, resetTimeout: 10, retryDelay: 0 },
 				cloudWatchLogsOptions: {
-					putLogEvents: function(apiParams, cb) {
-						process.nextTick(function() {
-							cb(expectedError);
-						});
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, putResults.shift() || null, {});
 					}
 				}
 			});
 
-			stream._putLogEvents({}, function() {
-				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
+			var circuitStateChangeEventSpy = expect.createSpy();
+			stream.on('circuitStateChange', circuitStateChangeEventSpy);
+
+			stream.write('foo');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(3);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(3);
+				expect(circuitStateChangeEventSpy.calls.map(function(call) {
+					return call.arguments[0];
+				})).toEqual(['open', 'halfOpen', 'closed']);
 				done();
 			});
 		});
-	});
 
-	describe('CWLogsWritable#_getSequenceToken', function() {
-		it('should return next sequence token', function(done) {
+		it('should send one batch at a time while half-open', function(done) {
+			var putResults = [createTransientError(), createTransientError()];
+			var inFlightPuts = [];
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				maxConcurrentPuts: 2,
+				maxBatchCount: 1,
+				circuitBreaker: { failureThreshold: 1, resetTimeout: 10 },
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						inFlightPuts.push(stream.circuitBreaker.state + ':' + stream._inFlightPuts);
+						process.nextTick(cb, putResults.shift() || null, {});
+					}
+				}
 			});
 
-			stream._getSequenceToken(function(err, seq) {
-				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(1);
-
-				var calls0 = stream.cloudwatch.describeLogStreams.calls[0];
-				expect(calls0.arguments.length).toBe(2);
-				expect(calls0.arguments[0]).toBeA('object');
-				expect(Object.keys(calls0.arguments[0])).toEqual(['logGroupName', 'logStreamNamePrefix']);
-				expect(calls0.arguments[0].logGroupName).toBe('foo');
-				expect(calls0.arguments[0].logStreamNamePrefix).toBe('bar');
-				expect(calls0.arguments[1]).toBeA('function');
+			stream.write('a');
+			stream.write('b');
 
-				expect(arguments.length).toBe(2);
-				expect(arguments[0]).toBe(null);
-				expect(arguments[1]).toBe('first-magic-token');
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.cloudwatch.putLogEvents.calls.map(function(call) {
+					return call.arguments[0].logEvents[0].message;
+				})).toEqual(['a', 'b', 'a', 'b']);
+				expect(inFlightPuts).toEqual(['closed:1', 'closed:2', 'halfOpen:1', 'closed:1']);
 				done();
 			});
 		});
 
-		it('should call _createLogGroupAndStream for "ResourceNotFoundException" errors and call _getSequenceToken again', function(done) {
+		it('should count DescribeLogStreams failures and not call onError while open', function(done) {
+			var describeErr = createTransientError();
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
+				circuitBreaker: { failureThreshold: 1, resetTimeout: 10 },
+				onError: expect.createSpy(),
 				cloudWatchLogsOptions: {
-					describeLogStreams: function(apiParams, cb) {
+					describeLogStreams: function(params, cb) {
+						var err = describeErr;
+						describeErr = null;
+
 						process.nextTick(function() {
-							cb(objectAssign(new Error(), {
-								name: 'ResourceNotFoundException'
-							}));
+							if (err) {
+								cb(err);
+							}
+							else {
+								cb(null, { logStreams: [{ uploadSequenceToken: 'first-magic-token' }] });
+							}
 						});
 					}
 				}
 			});
 
-			var cb = function() {
-				throw new Error('Expected not to be called');
-			};
-
-			var createLogGroupAndStreamSpy = expect.spyOn(stream, '_createLogGroupAndStream').andCall(function(cb) {
-				process.nextTick(function() {
-					cb();
-				});
-			});
+			var circuitStateChangeEventSpy = expect.createSpy();
+			stream.on('circuitStateChange', circuitStateChangeEventSpy);
 
-			stream._getSequenceToken = function() {
-				// Override _getSequenceToken for the second call.
-				stream._getSequenceToken = function() {
-					expect(createLogGroupAndStreamSpy.calls.length).toBe(1);
-					expect(createLogGroupAndStreamSpy.calls[0].arguments.length).toBe(1);
-					expect(createLogGroupAndStreamSpy.calls[0].arguments[0]).toBeA('function');
+			stream.write('foo');
 
-					expect(arguments.length).toBe(1);
-					expect(arguments[0]).toBe(cb);
-					done();
-				};
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.onError.calls.length).toBe(0);
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(2);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(circuitStateChangeEventSpy.calls.length).toBe(3);
+				done();
+			});
+		});
+	});
 
-				// Call through on the first call.
-				return CWLogsWritable.prototype._getSequenceToken.apply(this, arguments);
-			};
+	describe('CWLogsWritable#deadLetter', function() {
+		function getMessages(logEvents) {
+			return logEvents.map(function(logEvent) {
+				return logEvent.message;
+			});
+		}
 
-			stream._getSequenceToken(cb);
-		});
+		it('should receive failed log events that onError does not return to the queue', function(done) {
+			var expectedError = new Error();
 
-		it('should call _createLogStream and emit event if no streams for group and call _getSequenceToken again', function(done) {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
+				onError: function(err, logEvents, next) {
+					next();
+				},
+				deadLetter: expect.createSpy().andCall(function(logEvents, err, info) {
+					expect(getMessages(logEvents)).toEqual(['a', 'b']);
+					expect(err).toBe(expectedError);
+					expect(info).toEqual({ logGroupName: 'foo', logStreamName: 'bar', reason: 'onError' });
+				}),
 				cloudWatchLogsOptions: {
-					describeLogStreams: function(apiParams, cb) {
-						process.nextTick(function() {
-							cb(null, {
-								logStreams: []
-							});
-						});
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, expectedError);
 					}
 				}
 			});
 
-			var cb = function() {
-				throw new Error('Expected not to be called');
-			};
+			stream.write('a');
+			stream.write('b');
 
-			var createLogStreamSpy = expect.spyOn(stream, '_createLogStream').andCall(function(cb) {
-				process.nextTick(function() {
-					cb();
-				});
+			stream.flush(function() {
+				expect(stream.deadLetter.calls.length).toBe(1);
+				done();
 			});
+		});
 
-			var createLogStreamEventSpy = expect.createSpy();
-			stream.on('createLogStream', createLogStreamEventSpy);
+		it('should not receive failed log events that are returned to the queue', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				deadLetter: expect.createSpy()
+			});
 
-			stream._getSequenceToken = function() {
-				// Override _getSequenceToken for the second call.
-				stream._getSequenceToken = function() {
-					expect(createLogStreamSpy.calls.length).toBe(1);
-					expect(createLogStreamSpy.calls[0].arguments.length).toBe(1);
-					expect(createLogStreamSpy.calls[0].arguments[0]).toBeA('function');
-					expect(createLogStreamEventSpy.calls.length).toBe(1);
-					expect(createLogStreamEventSpy.calls[0].arguments.length).toBe(0);
+			stream._scheduleSendLogs = noop;
+			stream._failedLogEvents = [{ message: 'a', timestamp: 100 }];
+			stream._nextAfterError(++stream._onErrorNextCbId, stream._failedLogEvents);
 
-					expect(arguments.length).toBe(1);
-					expect(arguments[0]).toBe(cb);
-					done();
-				};
+			expect(stream.deadLetter.calls.length).toBe(0);
+		});
 
-				expect(createLogStreamEventSpy.calls.length).toBe(0);
+		it('should not receive log events removed by beforePutLogEvents or clearQueue', function(done) {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				deadLetter: expect.createSpy(),
+				beforePutLogEvents: function(logEvents) {
+					return logEvents.filter(function(logEvent) {
+						return logEvent.message.indexOf('password') === -1;
+					});
+				}
+			});
 
-				// Call through on the first call.
-				return CWLogsWritable.prototype._getSequenceToken.apply(this, arguments);
-			};
+			var dropLogEventsEventSpy = expect.createSpy();
+			stream.on('dropLogEvents', dropLogEventsEventSpy);
+
+			stream.write('password=x');
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(dropLogEventsEventSpy.calls.length).toBe(1);
+				expect(dropLogEventsEventSpy.calls[0].arguments[1]).toBe('beforePutLogEvents');
+
+				stream._scheduleSendLogs = noop;
+				stream.write('b');
+				expect(getMessages(stream.clearQueue())).toEqual(['b']);
 
-			stream._getSequenceToken(cb);
+				expect(stream.deadLetter.calls.length).toBe(0);
+				done();
+			});
 		});
 
-		it('should pass through error from cloudwatch.describeLogStreams', function(done) {
-			var expectedError = new Error();
+		it('should receive failed and queued log events when the stream is disabled', function() {
+			var putError = new Error();
+			var disableError = new Error();
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				cloudWatchLogsOptions: {
-					describeLogStreams: function(apiParams, cb) {
-						process.nextTick(function() {
-							cb(expectedError);
-						});
-					}
-				}
+				deadLetter: expect.createSpy()
 			});
 
-			stream._createLogGroupAndStream = function() {
-				throw new Error('Expected not to be called');
-			};
+			stream.on('error', noop);
 
-			stream._createLogStream = function() {
-				throw new Error('Expected not to be called');
-			};
+			stream._failedLogEvents = [{ message: 'a', timestamp: 100 }];
+			stream._failedError = putError;
+			stream.queuedLogs = [{ message: 'b', timestamp: 200 }];
+			stream._nextAfterError(++stream._onErrorNextCbId, disableError);
 
-			stream._getSequenceToken(function() {
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
-				done();
-			});
+			expect(stream.deadLetter.calls.length).toBe(2);
+			expect(getMessages(stream.deadLetter.calls[0].arguments[0])).toEqual(['a']);
+			expect(stream.deadLetter.calls[0].arguments[1]).toBe(putError);
+			expect(stream.deadLetter.calls[0].arguments[2].reason).toBe('onError');
+			expect(getMessages(stream.deadLetter.calls[1].arguments[0])).toEqual(['b']);
+			expect(stream.deadLetter.calls[1].arguments[1]).toBe(disableError);
+			expect(stream.deadLetter.calls[1].arguments[2].reason).toBe('disabled');
+			expect(stream.getQueueSize()).toBe(0);
 		});
 
-		it('should pass through error from _createLogGroupAndStream', function(done) {
-			var expectedError = new Error();
+		it('should receive dropped and rejected log events', function() {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				cloudWatchLogsOptions: {
-					describeLogStreams: function(apiParams, cb) {
-						process.nextTick(function() {
-							cb(objectAssign(new Error(), {
-								name: 'ResourceNotFoundException'
-							}));
-						});
-					}
-				}
+				maxMessageSize: 256,
+				oversizedEventPolicy: 'drop',
+				deadLetter: expect.createSpy()
 			});
 
-			stream._createLogGroupAndStream = function(cb) {
-				process.nextTick(function() {
-					cb(expectedError);
+			stream.sequenceToken = 'seq';
+			stream._putLogEvents = function(apiParams, cb) {
+				cb(null, 'next-seq', {
+					tooOldLogEventEndIndex: 1,
+					expiredLogEventEndIndex: 2,
+					tooNewLogEventStartIndex: 3
 				});
 			};
 
-			stream._createLogStream = function() {
-				throw new Error('Expected not to be called');
-			};
+			stream.write(new Array(300).join('x'));
+			expect(stream.deadLetter.calls.length).toBe(1);
+			expect(stream.deadLetter.calls[0].arguments[1]).toBe(null);
+			expect(stream.deadLetter.calls[0].arguments[2].reason).toBe('oversized');
 
-			stream._getSequenceToken(function() {
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
-				done();
+			[100, 200, 300, 400].forEach(function(time) {
+				stream._write({ time: time }, null, noop);
 			});
+
+			stream._sendLogs();
+			expect(stream.deadLetter.calls.length).toBe(2);
+			expect(stream.deadLetter.calls[1].arguments[0].map(function(logEvent) {
+				return logEvent.timestamp;
+			})).toEqual([100, 200, 400]);
+			expect(stream.deadLetter.calls[1].arguments[1]).toBe(null);
+			expect(stream.deadLetter.calls[1].arguments[2].reason).toBe('rejected');
 		});
 
-		it('should pass through error from _createLogStream', function() {
+		it('should emit errors thrown by the dead-letter target', function() {
 			var expectedError = new Error();
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar',
-				cloudWatchLogsOptions: {
-					describeLogStreams: function(apiParams, cb) {
-						process.nextTick(function() {
-							cb(null, {
-								logStreams: []
-							});
-						});
-					}
+				maxMessageSize: 256,
+				oversizedEventPolicy: 'drop',
+				deadLetter: function() {
+					throw expectedError;
 				}
 			});
 
-			stream._createLogGroupAndStream = function(cb) {
-				throw new Error('Expected not to be called');
-			};
-
-			stream._createLogStream = function() {
-				process.nextTick(function() {
-					cb(expectedError);
-				});
-			};
+			var errorEventSpy = expect.createSpy();
+			stream.on('error', errorEventSpy);
 
-			stream._getSequenceToken(function() {
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
-				done();
-			});
+			stream.write(new Array(300).join('x'));
+			expect(errorEventSpy.calls.length).toBe(1);
+			expect(errorEventSpy.calls[0].arguments).toEqual([expectedError]);
 		});
 	});
 
-	describe('CWLogsWritable#_createLogGroupAndStream', function() {
-		it('should call _createLogGroup then _createLogStream and emit events', function(done) {
+	describe('CWLogsWritable#reset', function() {
+		it('should re-enable a stream disabled by an error and count the writes it discarded', function(done) {
+			var expectedError = new Error();
+			var filterWrite = function(rec) {
+				return rec !== 'skip';
+			};
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				filterWrite: filterWrite
 			});
 
-			var createLogGroupEventSpy = expect.createSpy();
-			stream.on('createLogGroup', createLogGroupEventSpy);
+			var resetEventSpy = expect.createSpy();
+			stream.on('reset', resetEventSpy);
+			stream.on('error', noop);
 
-			var createLogStreamEventSpy = expect.createSpy();
-			stream.on('createLogStream', createLogStreamEventSpy);
+			stream.sequenceToken = 'old-token';
+			stream._handleError(expectedError);
 
-			var createLogGroupSpy = expect.spyOn(stream, '_createLogGroup').andCall(function(cb) {
-				expect(createLogGroupSpy.calls.length).toBe(1);
-				expect(createLogStreamSpy.calls.length).toBe(0);
-				expect(createLogGroupEventSpy.calls.length).toBe(0);
-				process.nextTick(function() {
-					cb();
-				});
-			});
+			stream.write('foo');
+			stream.write('bar');
 
-			var createLogStreamSpy = expect.spyOn(stream, '_createLogStream').andCall(function(cb) {
-				expect(createLogGroupSpy.calls.length).toBe(1);
-				expect(createLogStreamSpy.calls.length).toBe(1);
-				expect(createLogGroupEventSpy.calls.length).toBe(1);
-				expect(createLogGroupEventSpy.calls[0].arguments.length).toBe(0);
-				process.nextTick(function() {
-					cb();
-				});
-			});
+			expect(stream.isDisabled()).toBe(true);
+			expect(stream.getQueueSize()).toBe(0);
+			expect(stream.getStats().writesWhileDisabled).toBe(2);
+			expect(stream.getStats().eventsFiltered).toBe(0);
+			expect(stream.getStats().disabled).toBe(true);
 
-			stream._createLogGroupAndStream(function() {
-				expect(arguments.length).toBe(0);
-				expect(createLogGroupSpy.calls.length).toBe(1);
-				expect(createLogStreamSpy.calls.length).toBe(1);
-				expect(createLogStreamEventSpy.calls.length).toBe(1);
-				expect(createLogStreamEventSpy.calls[0].arguments.length).toBe(0);
+			stream.reset();
+
+			expect(stream.isDisabled()).toBe(false);
+			expect(stream.filterWrite).toBe(filterWrite);
+			expect(stream.sequenceToken).toBe(null);
+			expect(resetEventSpy.calls.length).toBe(1);
+			expect(resetEventSpy.calls[0].arguments).toEqual([expectedError, 2]);
+
+			stream.write('skip');
+			stream.write('baz');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(1);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+				expect(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents.length).toBe(1);
+				expect(stream.cloudwatch.putLogEvents.calls[0].arguments[0].logEvents[0].message).toBe('baz');
+				expect(stream.getStats().eventsFiltered).toBe(1);
+				expect(stream.getStats().disabled).toBe(false);
 				done();
 			});
 		});
 
-		it('should pass through error from _createLogGroup', function(done) {
-			var expectedError = new Error();
+		it('should only clear the sequence token if the stream is not disabled', function() {
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
 				logStreamName: 'bar'
 			});
 
-			stream._createLogGroup = function(cb) {
-				process.nextTick(function() {
-					cb(expectedError);
-				});
-			};
+			var resetEventSpy = expect.createSpy();
+			stream.on('reset', resetEventSpy);
 
-			stream._createLogStream = function() {
-				throw new Error('Expected to not be called');
-			};
+			stream.sequenceToken = 'old-token';
+			stream.reset();
 
-			stream._createLogGroupAndStream(function() {
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
-				done();
-			});
+			expect(stream.sequenceToken).toBe(null);
+			expect(stream.filterWrite).toBe(CWLogsWritable.prototype.filterWrite);
+			expect(resetEventSpy.calls.length).toBe(0);
 		});
 
-		it('should pass through error from _createLogStream', function(done) {
-			var expectedError = new Error();
+		it('should clear the recoveryDelay timer', function() {
+			var timer = {};
+			expect.spyOn(global, 'setTimeout').andReturn(timer);
+			var clearTimeoutSpy = expect.spyOn(global, 'clearTimeout');
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				recoveryDelay: 5000
 			});
 
-			stream._createLogGroup = function(cb) {
-				process.nextTick(function() {
-					cb();
-				});
-			};
+			stream.on('error', noop);
+			stream._handleError(new Error());
+			stream.reset();
+			expect.restoreSpies();
 
-			stream._createLogStream = function(cb) {
-				process.nextTick(function() {
-					cb(expectedError);
-				});
+			expect(clearTimeoutSpy.calls.length).toBe(1);
+			expect(clearTimeoutSpy.calls[0].arguments).toEqual([timer]);
+		});
+	});
+
+	describe('CWLogsWritable#fallback', function() {
+		function createFallbackTarget() {
+			var text = [];
+
+			return {
+				text: text,
+				write: function(chunk) {
+					text.push(chunk);
+				}
 			};
+		}
 
-			stream._createLogGroupAndStream(function() {
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
-				done();
+		it('should format log events with the time, log group and log stream', function() {
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar'
 			});
+
+			expect(stream.formatFallbackLogEvent({ message: 'baz', timestamp: 0 }))
+				.toBe('1970-01-01T00:00:00.000Z foo bar baz\n');
 		});
-	});
 
-	describe('CWLogsWritable#_createLogGroup', function() {
-		it('should call cloudwatch.createLogGroup', function(done) {
+		it('should receive failed and queued log events instead of onError, and resume once AWS succeeds', function(done) {
+			var expectedError = new Error();
+			var putResults = [expectedError];
+			var target = createFallbackTarget();
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				fallback: target,
+				onError: expect.createSpy(),
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, putResults.shift() || null, { nextSequenceToken: 'next-magic-token' });
+					}
+				}
 			});
 
-			var cb = function() {
-				done();
+			stream.formatFallbackLogEvent = function(logEvent) {
+				return logEvent.message + '\n';
 			};
 
-			stream._createLogGroup(cb);
+			var fallbackStartEventSpy = expect.createSpy();
+			var fallbackEndEventSpy = expect.createSpy();
+			stream.on('fallbackStart', fallbackStartEventSpy);
+			stream.on('fallbackEnd', fallbackEndEventSpy);
 
-			expect(stream.cloudwatch.createLogGroup.calls.length).toBe(1);
-			expect(stream.cloudwatch.createLogGroup.calls[0].arguments.length).toBe(2);
-			expect(stream.cloudwatch.createLogGroup.calls[0].arguments[0]).toBeA('object');
-			expect(Object.keys(stream.cloudwatch.createLogGroup.calls[0].arguments[0])).toEqual(['logGroupName']);
-			expect(stream.cloudwatch.createLogGroup.calls[0].arguments[0].logGroupName).toBe('foo');
-			expect(stream.cloudwatch.createLogGroup.calls[0].arguments[1]).toBe(cb);
+			stream.write('a');
+			stream.write('b');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.onError.calls.length).toBe(0);
+				expect(target.text).toEqual(['a\nb\n']);
+				expect(stream.sequenceToken).toBe(null);
+				expect(fallbackStartEventSpy.calls.length).toBe(1);
+				expect(fallbackStartEventSpy.calls[0].arguments).toEqual([expectedError]);
+				expect(fallbackEndEventSpy.calls.length).toBe(0);
+				expect(stream.getStats().eventsFallback).toBe(2);
+
+				stream.write('c');
+
+				stream.flush(function(err) {
+					expect(err).toNotExist();
+					expect(target.text).toEqual(['a\nb\n']);
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(2);
+					expect(stream.cloudwatch.putLogEvents.calls[1].arguments[0].logEvents.length).toBe(1);
+					expect(stream.cloudwatch.putLogEvents.calls[1].arguments[0].logEvents[0].message).toBe('c');
+					expect(fallbackStartEventSpy.calls.length).toBe(1);
+					expect(fallbackEndEventSpy.calls.length).toBe(1);
+					done();
+				});
+			});
 		});
-	});
 
-	describe('CWLogsWritable#_createLogStream', function() {
-		it('should call cloudwatch.createLogStream', function(done) {
+		it('should keep using the fallback until PutLogEvents succeeds', function(done) {
+			var putResults = [new Error(), new Error()];
+			var target = createFallbackTarget();
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				fallback: target,
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, putResults.shift() || null, { nextSequenceToken: 'next-magic-token' });
+					}
+				}
 			});
 
-			var cb = function() {
-				done();
+			stream.formatFallbackLogEvent = function(logEvent) {
+				return logEvent.message + '\n';
 			};
 
-			stream._createLogStream(cb);
+			var fallbackEndEventSpy = expect.createSpy();
+			stream.on('fallbackEnd', fallbackEndEventSpy);
 
-			expect(stream.cloudwatch.createLogStream.calls.length).toBe(1);
-			expect(stream.cloudwatch.createLogStream.calls[0].arguments.length).toBe(2);
-			expect(stream.cloudwatch.createLogStream.calls[0].arguments[0]).toBeA('object');
-			expect(Object.keys(stream.cloudwatch.createLogStream.calls[0].arguments[0])).toEqual(['logGroupName', 'logStreamName']);
-			expect(stream.cloudwatch.createLogStream.calls[0].arguments[0].logGroupName).toBe('foo');
-			expect(stream.cloudwatch.createLogStream.calls[0].arguments[0].logStreamName).toBe('bar');
-			expect(stream.cloudwatch.createLogStream.calls[0].arguments[1]).toBe(cb);
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+
+				// DescribeLogStreams succeeds, but PutLogEvents fails again.
+				stream.write('b');
+
+				stream.flush(function(err) {
+					expect(err).toNotExist();
+					expect(stream.cloudwatch.describeLogStreams.calls.length).toBe(2);
+					expect(target.text).toEqual(['a\n', 'b\n']);
+					expect(fallbackEndEventSpy.calls.length).toBe(0);
+
+					stream.write('c');
+
+					stream.flush(function(err) {
+						expect(err).toNotExist();
+						expect(target.text).toEqual(['a\n', 'b\n']);
+						expect(fallbackEndEventSpy.calls.length).toBe(1);
+						done();
+					});
+				});
+			});
 		});
-	});
 
-	describe('CWLogsWritable#_handleError', function() {
-		it('should emit "error" event, call clearQueue, and replace filterWrite', function() {
-			var expectedError = new Error();
+		it('should receive queued log events when DescribeLogStreams fails', function(done) {
+			var target = createFallbackTarget();
+
 			var stream = new CWLogsWritable({
 				logGroupName: 'foo',
-				logStreamName: 'bar'
+				logStreamName: 'bar',
+				fallback: target,
+				onError: expect.createSpy(),
+				cloudWatchLogsOptions: {
+					describeLogStreams: function(params, cb) {
+						process.nextTick(cb, new Error());
+					}
+				}
 			});
 
-			var clearQueueSpy = expect.spyOn(stream, 'clearQueue');
+			stream.write('a');
 
-			var errorEventSpy = expect.createSpy().andCall(function() {
-				expect(clearQueueSpy.calls.length).toBe(0);
-				expect(arguments.length).toBe(1);
-				expect(arguments[0]).toBe(expectedError);
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.onError.calls.length).toBe(0);
+				expect(stream.cloudwatch.putLogEvents.calls.length).toBe(0);
+				expect(target.text.length).toBe(1);
+				expect(target.text[0]).toMatch(/ foo bar a\n$/);
+				done();
 			});
-			stream.on('error', errorEventSpy);
+		});
 
-			stream._handleError(expectedError);
-			expect(errorEventSpy.calls.length).toBe(1);
-			expect(clearQueueSpy.calls.length).toBe(1);
-			expect(stream.filterWrite).toBe(CWLogsWritable._falseFilterWrite);
+		it('should receive queued log events without calling AWS while the circuit breaker is open', function(done) {
+			var target = createFallbackTarget();
+
+			var stream = new CWLogsWritable({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				useSequenceToken: false,
+				fallback: target,
+				circuitBreaker: { failureThreshold: 1, resetTimeout: 60000 },
+				cloudWatchLogsOptions: {
+					putLogEvents: function(params, cb) {
+						process.nextTick(cb, new Error());
+					}
+				}
+			});
+
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(stream.getStats().circuitState).toBe('open');
+
+				stream.write('b');
+
+				stream.flush(function(err) {
+					expect(err).toNotExist();
+					expect(stream.cloudwatch.putLogEvents.calls.length).toBe(1);
+					expect(target.text.length).toBe(2);
+					expect(target.text[1]).toMatch(/ foo bar b\n$/);
+					done();
+				});
+			});
 		});
 	});
 });
@@ -1650,6 +5546,21 @@ function createAWSStub() {
 	};
 }
 
+function removeDir(dir) {
+	fs.readdirSync(dir).forEach(function(filename) {
+		var filePath = path.join(dir, filename);
+
+		if (fs.statSync(filePath).isDirectory()) {
+			removeDir(filePath);
+		}
+		else {
+			fs.unlinkSync(filePath);
+		}
+	});
+
+	fs.rmdirSync(dir);
+}
+
 function valToStr(val) {
 	return typeof val === 'function'
 		? 'function'
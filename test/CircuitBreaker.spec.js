@@ -0,0 +1,129 @@
+var expect = require('expect');
+var CircuitBreaker = require('../lib/circuit-breaker');
+
+describe('CircuitBreaker', function() {
+	var now;
+
+	beforeEach(function() {
+		now = 1000;
+
+		expect.spyOn(Date, 'now').andCall(function() {
+			return now;
+		});
+	});
+
+	afterEach(function () {
+		expect.restoreSpies();
+	});
+
+	describe('CircuitBreaker()', function() {
+		it('should validate options', function() {
+			expect(function() {
+				new CircuitBreaker();
+				new CircuitBreaker({});
+				new CircuitBreaker({ failureThreshold: 1, resetTimeout: 0, retryDelay: 0 });
+			}).toNotThrow();
+
+			[void 0, null, 0, 0.5, -1, '', '1', Infinity, NaN, {}]
+				.forEach(function(val) {
+					expect(function() {
+						new CircuitBreaker({ failureThreshold: val });
+					}).toThrowWithProps(Error, { message: 'failureThreshold option must be a number that is 1 or more, if specified' }, val);
+				});
+
+			[void 0, null, -1, '', '1', Infinity, NaN, {}]
+				.forEach(function(val) {
+					expect(function() {
+						new CircuitBreaker({ resetTimeout: val });
+					}).toThrowWithProps(Error, { message: 'resetTimeout option must be a positive number, if specified' }, val);
+				});
+
+			[void 0, null, -1, '', '1', Infinity, NaN, {}]
+				.forEach(function(val) {
+					expect(function() {
+						new CircuitBreaker({ retryDelay: val });
+					}).toThrowWithProps(Error, { message: 'retryDelay option must be a positive number, if specified' }, val);
+				});
+		});
+
+		it('should set defaults', function() {
+			var circuitBreaker = new CircuitBreaker();
+			expect(circuitBreaker.failureThreshold).toBe(5);
+			expect(circuitBreaker.resetTimeout).toBe(30000);
+			expect(circuitBreaker.retryDelay).toBe(1000);
+			expect(circuitBreaker.state).toBe('closed');
+		});
+	});
+
+	describe('CircuitBreaker#recordFailure', function() {
+		it('should open after failureThreshold failures in a row', function() {
+			var circuitBreaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 500 });
+			var stateChangeEventSpy = expect.createSpy();
+			circuitBreaker.on('stateChange', stateChangeEventSpy);
+
+			circuitBreaker.recordFailure();
+			circuitBreaker.recordFailure();
+			circuitBreaker.recordSuccess();
+			circuitBreaker.recordFailure();
+			circuitBreaker.recordFailure();
+			expect(circuitBreaker.state).toBe('closed');
+			expect(circuitBreaker.allowRequest()).toBe(true);
+			expect(stateChangeEventSpy.calls.length).toBe(0);
+
+			circuitBreaker.recordFailure();
+			expect(circuitBreaker.state).toBe('open');
+			expect(circuitBreaker.allowRequest()).toBe(false);
+			expect(circuitBreaker.getRemainingTimeout()).toBe(500);
+			expect(stateChangeEventSpy.calls.length).toBe(1);
+			expect(stateChangeEventSpy.calls[0].arguments).toEqual(['open', 'closed']);
+		});
+
+		it('should restart the timeout for failures while open', function() {
+			var circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 500 });
+
+			circuitBreaker.recordFailure();
+			now += 400;
+			expect(circuitBreaker.getRemainingTimeout()).toBe(100);
+
+			circuitBreaker.recordFailure();
+			expect(circuitBreaker.state).toBe('open');
+			expect(circuitBreaker.getRemainingTimeout()).toBe(500);
+		});
+	});
+
+	describe('CircuitBreaker#allowRequest', function() {
+		it('should be half-open after resetTimeout, and close or open again based on the probe', function() {
+			var circuitBreaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 500 });
+			var stateChangeEventSpy = expect.createSpy();
+			circuitBreaker.on('stateChange', stateChangeEventSpy);
+
+			circuitBreaker.recordFailure();
+			now += 499;
+			expect(circuitBreaker.allowRequest()).toBe(false);
+
+			now += 1;
+			expect(circuitBreaker.allowRequest()).toBe(true);
+			expect(circuitBreaker.state).toBe('halfOpen');
+			expect(circuitBreaker.getRemainingTimeout()).toBe(0);
+
+			circuitBreaker.recordFailure();
+			expect(circuitBreaker.state).toBe('open');
+			expect(circuitBreaker.allowRequest()).toBe(false);
+
+			now += 500;
+			expect(circuitBreaker.allowRequest()).toBe(true);
+			circuitBreaker.recordSuccess();
+			expect(circuitBreaker.state).toBe('closed');
+
+			expect(stateChangeEventSpy.calls.map(function(call) {
+				return call.arguments;
+			})).toEqual([
+				['open', 'closed'],
+				['halfOpen', 'open'],
+				['open', 'halfOpen'],
+				['halfOpen', 'open'],
+				['closed', 'halfOpen']
+			]);
+		});
+	});
+});
@@ -0,0 +1,121 @@
+var expect = require('expect');
+var RateLimiter = require('../lib/rate-limiter');
+
+describe('RateLimiter', function() {
+	var now;
+	var timers;
+
+	beforeEach(function() {
+		now = 1000;
+		timers = [];
+
+		expect.spyOn(Date, 'now').andCall(function() {
+			return now;
+		});
+
+		expect.spyOn(global, 'setTimeout').andCall(function(fn, delay) {
+			var timer = { fn: fn, delay: delay };
+			timers.push(timer);
+			return timer;
+		});
+	});
+
+	afterEach(function () {
+		expect.restoreSpies();
+	});
+
+	function runTimer(index) {
+		now += timers[index].delay;
+		timers[index].fn();
+	}
+
+	describe('RateLimiter()', function() {
+		it('should be exported as CWLogsWritable.RateLimiter', function() {
+			expect(require('../lib/index').RateLimiter).toBe(RateLimiter);
+		});
+
+		it('should validate options', function() {
+			expect(function() {
+				new RateLimiter();
+			}).toThrowWithProps(Error, { message: 'options must be an object' });
+
+			[void 0, null, -1, 0, '1', Infinity, NaN].forEach(function(val) {
+				expect(function() {
+					new RateLimiter({ rate: val });
+				}).toThrowWithProps(Error, { message: 'rate option must be a non-zero positive number' }, val);
+			});
+
+			[void 0, null, -1, 0, 0.5, '1', Infinity, NaN].forEach(function(val) {
+				expect(function() {
+					new RateLimiter({ rate: 1, burst: val });
+				}).toThrowWithProps(Error, { message: 'burst option must be a number that is 1 or more, if specified' }, val);
+			});
+		});
+
+		it('should set props from options', function() {
+			var limiter = new RateLimiter({ rate: 5 });
+			expect(limiter.rate).toBe(5);
+			expect(limiter.burst).toBe(5);
+
+			expect(new RateLimiter({ rate: 0.5 }).burst).toBe(1);
+			expect(new RateLimiter({ rate: 5, burst: 2 }).burst).toBe(2);
+			expect(RateLimiter({ rate: 5 })).toBeA(RateLimiter);
+		});
+	});
+
+	describe('RateLimiter#acquire', function() {
+		it('should call back synchronously while there are tokens', function() {
+			var limiter = new RateLimiter({ rate: 1, burst: 2 });
+			var cb = expect.createSpy();
+
+			limiter.acquire(cb);
+			limiter.acquire(cb);
+			expect(cb.calls.length).toBe(2);
+			expect(timers.length).toBe(0);
+			expect(limiter.getState()).toEqual({ tokens: 0, waiting: 0, acquired: 2, delayed: 0 });
+		});
+
+		it('should wait for tokens to be added, in order', function() {
+			var limiter = new RateLimiter({ rate: 2, burst: 1 });
+			var order = [];
+
+			['a', 'b', 'c'].forEach(function(name) {
+				limiter.acquire(function() {
+					order.push(name);
+				});
+			});
+
+			expect(order).toEqual(['a']);
+			expect(timers.length).toBe(1);
+			expect(timers[0].delay).toBe(500);
+			expect(limiter.getState()).toEqual({ tokens: 0, waiting: 2, acquired: 1, delayed: 2 });
+
+			runTimer(0);
+			expect(order).toEqual(['a', 'b']);
+			expect(timers.length).toBe(2);
+
+			// Calls made while others are waiting wait behind them, even if a token is added.
+			now += 500;
+			limiter.acquire(function() {
+				order.push('d');
+			});
+			expect(order).toEqual(['a', 'b']);
+
+			timers[1].fn();
+			expect(order).toEqual(['a', 'b', 'c']);
+
+			runTimer(2);
+			expect(order).toEqual(['a', 'b', 'c', 'd']);
+			expect(timers.length).toBe(3);
+			expect(limiter.getState()).toEqual({ tokens: 0, waiting: 0, acquired: 4, delayed: 3 });
+		});
+
+		it('should not add more than burst tokens', function() {
+			var limiter = new RateLimiter({ rate: 10, burst: 3 });
+
+			limiter.acquire(function() {});
+			now += 60000;
+			expect(limiter.getState().tokens).toBe(3);
+		});
+	});
+});
@@ -0,0 +1,207 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('expect');
+var Spool = require('../lib/spool');
+
+describe('Spool', function() {
+	var tmpDir;
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwlogs-spool-'));
+	});
+
+	afterEach(function() {
+		removeDir(tmpDir);
+	});
+
+	function readSegments(spool) {
+		return fs.readdirSync(spool.dir).sort();
+	}
+
+	describe('Spool()', function() {
+		it('should use a subdirectory for the log group and stream', function() {
+			var spool = new Spool(tmpDir, '/aws/foo', 'bar');
+			expect(spool.dir).toBe(path.join(tmpDir, '%2Faws%2Ffoo%3Abar'));
+			expect(spool.segmentSize).toBe(1048576);
+			expect(new Spool(tmpDir, 'foo', 'bar', { segmentSize: 100 }).segmentSize).toBe(100);
+		});
+	});
+
+	describe('Spool#load', function() {
+		it('should create the directory and return an empty array if there is nothing spooled', function() {
+			var spool = new Spool(path.join(tmpDir, 'a', 'b'), 'foo', 'bar');
+			expect(spool.load()).toEqual([]);
+			expect(fs.statSync(spool.dir).isDirectory()).toBe(true);
+		});
+
+		it('should return log events that were not released, in the order they were spooled', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+
+			var logEvents = ['a', 'b', 'c', 'd'].map(function(message, i) {
+				var logEvent = { message: message, timestamp: 100 + i };
+				spool.append(logEvent);
+				return logEvent;
+			});
+
+			spool.release([logEvents[0], logEvents[2]]);
+			spool.close();
+
+			var reloaded = new Spool(tmpDir, 'foo', 'bar');
+			var loaded = reloaded.load();
+			expect(loaded).toEqual([
+				{ message: 'b', timestamp: 101 },
+				{ message: 'd', timestamp: 103 }
+			]);
+			expect(Object.keys(loaded[0])).toEqual(['message', 'timestamp']);
+			expect(reloaded.isSpooled(loaded[0])).toBe(true);
+
+			reloaded.release(loaded);
+			reloaded.close();
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load()).toEqual([]);
+		});
+
+		it('should ignore incomplete lines and other files', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+			spool.append({ message: 'a', timestamp: 100 });
+			spool.close();
+
+			fs.appendFileSync(path.join(spool.dir, '0000000001.ndjson'), '{"id":2,"mess');
+			fs.writeFileSync(path.join(spool.dir, 'other.txt'), '{"id":3,"message":"c","timestamp":100}\n');
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load()).toEqual([
+				{ message: 'a', timestamp: 100 }
+			]);
+		});
+
+		it('should not use the same IDs as log events already spooled', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+			spool.append({ message: 'a', timestamp: 100 });
+			spool.close();
+
+			var reloaded = new Spool(tmpDir, 'foo', 'bar');
+			var loaded = reloaded.load();
+			var logEvent = { message: 'b', timestamp: 100 };
+			reloaded.append(logEvent);
+			reloaded.release([logEvent]);
+			reloaded.close();
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load()).toEqual(loaded);
+		});
+	});
+
+	describe('Spool#append', function() {
+		it('should not write log events that are already spooled', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+
+			var logEvent = { message: 'a', timestamp: 100 };
+			expect(spool.isSpooled(logEvent)).toBe(false);
+
+			spool.append(logEvent);
+			expect(spool.isSpooled(logEvent)).toBe(true);
+
+			spool.append(logEvent);
+			spool.close();
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load().length).toBe(1);
+		});
+
+		it('should spool log events again once they are released', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+
+			var logEvent = { message: 'a', timestamp: 100 };
+			spool.append(logEvent);
+			spool.release([logEvent]);
+			expect(spool.isSpooled(logEvent)).toBe(false);
+
+			spool.append(logEvent);
+			expect(spool.isSpooled(logEvent)).toBe(true);
+			spool.close();
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load()).toEqual([logEvent]);
+		});
+
+		it('should start a new segment once the current one reaches segmentSize', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar', { segmentSize: 30 });
+			spool.load();
+
+			spool.append({ message: 'a', timestamp: 100 });
+			expect(readSegments(spool)).toEqual(['0000000001.ndjson']);
+
+			spool.append({ message: 'b', timestamp: 100 });
+			expect(readSegments(spool)).toEqual(['0000000001.ndjson', '0000000002.ndjson']);
+			spool.close();
+		});
+	});
+
+	describe('Spool#release', function() {
+		it('should ignore log events that are not spooled', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+			spool.release([{ message: 'a', timestamp: 100 }]);
+			expect(readSegments(spool)).toEqual([]);
+		});
+
+		it('should not release log events in keepLogEvents', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar');
+			spool.load();
+
+			var logEventA = { message: 'a', timestamp: 100 };
+			var logEventB = { message: 'b', timestamp: 100 };
+			spool.append(logEventA);
+			spool.append(logEventB);
+
+			spool.release([logEventA, logEventB], [logEventB]);
+			expect(spool.isSpooled(logEventA)).toBe(false);
+			expect(spool.isSpooled(logEventB)).toBe(true);
+			spool.close();
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load()).toEqual([logEventB]);
+		});
+
+		it('should only remove segments once they and all older segments are released', function() {
+			var spool = new Spool(tmpDir, 'foo', 'bar', { segmentSize: 30 });
+			spool.load();
+
+			var logEvents = ['a', 'b', 'c'].map(function(message) {
+				var logEvent = { message: message, timestamp: 100 };
+				spool.append(logEvent);
+				return logEvent;
+			});
+
+			expect(readSegments(spool)).toEqual(['0000000001.ndjson', '0000000002.ndjson', '0000000003.ndjson']);
+
+			spool.release([logEvents[1]]);
+			expect(readSegments(spool)).toEqual(['0000000001.ndjson', '0000000002.ndjson', '0000000003.ndjson', '0000000004.ndjson']);
+
+			spool.release([logEvents[0]]);
+			expect(readSegments(spool)).toEqual(['0000000003.ndjson', '0000000004.ndjson']);
+
+			spool.release([logEvents[2]]);
+			expect(readSegments(spool)).toEqual([]);
+
+			expect(new Spool(tmpDir, 'foo', 'bar').load()).toEqual([]);
+		});
+	});
+});
+
+function removeDir(dir) {
+	fs.readdirSync(dir).forEach(function(filename) {
+		var filePath = path.join(dir, filename);
+
+		if (fs.statSync(filePath).isDirectory()) {
+			removeDir(filePath);
+		}
+		else {
+			fs.unlinkSync(filePath);
+		}
+	});
+
+	fs.rmdirSync(dir);
+}
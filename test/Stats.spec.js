@@ -0,0 +1,93 @@
+var expect = require('expect');
+var objectAssign = require('object-assign');
+var Stats = require('../lib/stats');
+
+describe('Stats', function() {
+	afterEach(function () {
+		expect.restoreSpies();
+	});
+
+	it('should start with empty counters', function() {
+		expect(new Stats().toJSON()).toEqual({
+			eventsWritten: 0,
+			bytesWritten: 0,
+			eventsFiltered: 0,
+			writesWhileDisabled: 0,
+			eventsSent: 0,
+			bytesSent: 0,
+			eventsDropped: 0,
+			eventsDroppedByReason: {},
+			eventsRequeued: 0,
+			eventsFallback: 0,
+			putLogEventsCalls: 0,
+			retries: 0,
+			errorsByCode: {},
+			lastSuccessTime: null,
+			lastError: null,
+			lastErrorTime: null,
+			putLatency: { count: 0, p50: null, p90: null, p99: null, max: null }
+		});
+	});
+
+	it('should count events, errors and times', function() {
+		expect.spyOn(Date, 'now').andReturn(5000);
+
+		var stats = new Stats();
+		var throttled = objectAssign(new Error(), { code: 'ThrottlingException' });
+		var invalid = objectAssign(new Error(), { name: 'InvalidParameterException' });
+
+		stats.recordWritten(30);
+		stats.recordWritten(40);
+		stats.recordFiltered();
+		stats.recordDisabledWrite();
+		stats.recordSent(2, 70);
+		stats.recordDropped(1, 'oversized');
+		stats.recordDropped(2, 'queueOverflow');
+		stats.recordDropped(3, 'queueOverflow');
+		stats.recordRequeued(4);
+		stats.recordFallback(3);
+		stats.recordRetry();
+		stats.recordError(throttled);
+		stats.recordError(throttled);
+		stats.recordError(invalid);
+
+		var json = stats.toJSON();
+		expect(json.eventsWritten).toBe(2);
+		expect(json.bytesWritten).toBe(70);
+		expect(json.eventsFiltered).toBe(1);
+		expect(json.writesWhileDisabled).toBe(1);
+		expect(json.eventsSent).toBe(2);
+		expect(json.bytesSent).toBe(70);
+		expect(json.eventsDropped).toBe(6);
+		expect(json.eventsDroppedByReason).toEqual({ oversized: 1, queueOverflow: 5 });
+		expect(json.eventsRequeued).toBe(4);
+		expect(json.eventsFallback).toBe(3);
+		expect(json.retries).toBe(1);
+		expect(json.errorsByCode).toEqual({ ThrottlingException: 2, InvalidParameterException: 1 });
+		expect(json.lastSuccessTime).toBe(5000);
+		expect(json.lastError).toBe(invalid);
+		expect(json.lastErrorTime).toBe(5000);
+
+		// Copies are returned so they do not change.
+		json.errorsByCode.ThrottlingException = 100;
+		expect(stats.toJSON().errorsByCode.ThrottlingException).toBe(2);
+	});
+
+	it('should calculate percentiles from the last 1000 PutLogEvents latencies', function() {
+		var stats = new Stats();
+
+		for (var i = 1; i <= 100; i++) {
+			stats.recordPutLogEvents(i);
+		}
+
+		expect(stats.putLogEventsCalls).toBe(100);
+		expect(stats.getPutLatency()).toEqual({ count: 100, p50: 50, p90: 90, p99: 99, max: 100 });
+
+		for (i = 0; i < 1000; i++) {
+			stats.recordPutLogEvents(5);
+		}
+
+		expect(stats.putLogEventsCalls).toBe(1100);
+		expect(stats.getPutLatency()).toEqual({ count: 1000, p50: 5, p90: 5, p99: 5, max: 5 });
+	});
+});
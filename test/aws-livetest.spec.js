@@ -112,10 +112,41 @@ describe('AWS Live Test', function() {
 			throw new Error('Expected not to succeed');
 		});
 
+		// Bypass oversizedEventPolicy so the log event is sent as-is.
+		stream.getMessageSize = function() {
+			return 0;
+		};
+
 		var largeMessage = new Array(maxSize + 2).join('0');
 		stream.write(largeMessage);
 	});
 
+	it('should truncate messages over 262118 bytes (256 KB - 26 bytes) by default', function(done) {
+		var stream = new CWLogsWritable({
+			logGroupName: logGroupName,
+			logStreamName: logStreamName,
+			cloudWatchLogsOptions: {
+				region: region,
+				accessKeyId: accessKeyId,
+				secretAccessKey: secretAccessKey
+			}
+		});
+
+		stream.on('error', function(err) {
+			throw err;
+		});
+
+		stream.on('putLogEvents', function(logEvents) {
+			expect(logEvents.length).toBe(1);
+			expect(logEvents[0].message.length).toBe(262118);
+			expect(logEvents[0].message.substr(-11)).toBe('[TRUNCATED]');
+			done();
+		});
+
+		var largeMessage = new Array(262118 + 2).join('0');
+		stream.write(largeMessage);
+	});
+
 	it('should send up to 10000 messages in one PutLogEvents', function(done) {
 		var stream = new CWLogsWritable({
 			logGroupName: logGroupName,
@@ -0,0 +1,292 @@
+var expect = require('expect');
+var proxyquire = require('proxyquire');
+var objectAssign = require('object-assign');
+
+describe('awsClient', function() {
+	var commands = { '@noCallThru': true };
+
+	['CreateLogGroupCommand', 'CreateLogStreamCommand', 'DescribeLogStreamsCommand', 'PutLogEventsCommand']
+		.forEach(function(name) {
+			commands[name] = function(input) {
+				this.commandName = name;
+				this.input = input;
+			};
+		});
+
+	var awsClient = proxyquire('../lib/aws-client', {
+		'@aws-sdk/client-cloudwatch-logs': commands
+	});
+
+	function createV3Error(name, props) {
+		var err = new Error(name);
+		err.name = name;
+		return objectAssign(err, { $fault: 'client', $metadata: { httpStatusCode: 400 } }, props);
+	}
+
+	function createV3Client(send) {
+		return {
+			config: {},
+			send: expect.createSpy().andCall(send || function() {
+				return Promise.resolve({});
+			})
+		};
+	}
+
+	describe('awsClient.isClient', function() {
+		it('should allow AWS SDK v2 services and AWS SDK v3 clients', function() {
+			expect(awsClient.isClient({ putLogEvents: function() {} })).toBe(true);
+			expect(awsClient.isClient(createV3Client())).toBe(true);
+
+			[void 0, null, '', 0, 1, true, {}, [], function() {}].forEach(function(val) {
+				expect(awsClient.isClient(val)).toBe(false, 'Expected ' + JSON.stringify(val) + ' to not be a client');
+			});
+		});
+	});
+
+	describe('awsClient.wrap', function() {
+		it('should return AWS SDK v2 services as is', function() {
+			var service = { putLogEvents: function() {} };
+
+			expect(awsClient.wrap(service)).toBe(service);
+		});
+
+		it('should send AWS SDK v3 commands and call back with the response', function(done) {
+			var expectedData = { nextSequenceToken: 'next-magic-token' };
+			var client = createV3Client(function() {
+				return Promise.resolve(expectedData);
+			});
+			var service = awsClient.wrap(client);
+			var params = { logGroupName: 'foo', logStreamName: 'bar', logEvents: [] };
+
+			expect(service.client).toBe(client);
+
+			service.putLogEvents(params, function(err, data) {
+				expect(err).toBe(null);
+				expect(data).toBe(expectedData);
+				expect(client.send.calls.length).toBe(1);
+				expect(client.send.calls[0].context).toBe(client);
+				expect(client.send.calls[0].arguments[0]).toBeA(commands.PutLogEventsCommand);
+				expect(client.send.calls[0].arguments[0].input).toBe(params);
+
+				service.createLogGroup({}, function() {
+					service.createLogStream({}, function() {
+						service.describeLogStreams({}, function() {
+							expect(client.send.calls.map(function(call) {
+								return call.arguments[0].commandName;
+							})).toEqual([
+								'PutLogEventsCommand',
+								'CreateLogGroupCommand',
+								'CreateLogStreamCommand',
+								'DescribeLogStreamsCommand'
+							]);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should call back with normalized errors', function(done) {
+			var expectedError = createV3Error('ThrottlingException');
+			var service = awsClient.wrap(createV3Client(function() {
+				return Promise.reject(expectedError);
+			}));
+
+			service.describeLogStreams({}, function(err) {
+				expect(err).toBe(expectedError);
+				expect(err.code).toBe('ThrottlingException');
+				expect(err.retryable).toBe(true);
+				done();
+			});
+		});
+	});
+
+	describe('awsClient.normalizeError', function() {
+		it('should set code to the name if it is not set', function() {
+			expect(awsClient.normalizeError(createV3Error('ResourceNotFoundException')).code).toBe('ResourceNotFoundException');
+			expect(awsClient.normalizeError(createV3Error('Error', { code: 'ECONNRESET' })).code).toBe('ECONNRESET');
+		});
+
+		it('should mark retryable errors', function() {
+			[
+				createV3Error('SomeException', { $retryable: {} }),
+				createV3Error('ServiceUnavailableException', { $fault: 'server' }),
+				createV3Error('InternalFailure', { $metadata: { httpStatusCode: 500 } }),
+				createV3Error('ThrottlingException'),
+				createV3Error('TimeoutError', { $metadata: void 0 }),
+				createV3Error('Error', { code: 'ECONNRESET', $metadata: void 0 })
+			].forEach(function(err) {
+				expect(awsClient.normalizeError(err).retryable).toBe(true, 'Expected ' + err.name + ' to be retryable');
+			});
+
+			[
+				createV3Error('ResourceNotFoundException'),
+				createV3Error('InvalidParameterException'),
+				createV3Error('InvalidSequenceTokenException', { expectedSequenceToken: 'abc' })
+			].forEach(function(err) {
+				expect(awsClient.normalizeError(err).retryable).toBe(false, 'Expected ' + err.name + ' to not be retryable');
+			});
+		});
+
+		it('should not change AWS SDK v2 errors', function() {
+			var err = objectAssign(new Error(), { name: 'ThrottlingException', code: 'ThrottlingException', retryable: false });
+
+			awsClient.normalizeError(err);
+			expect(err.code).toBe('ThrottlingException');
+			expect(err.retryable).toBe(false);
+		});
+	});
+
+	describe('awsClient.isTransientError', function() {
+		it('should allow throttling, server and network errors', function() {
+			[
+				objectAssign(new Error(), { retryable: true }),
+				objectAssign(new Error(), { code: 'InternalFailure', statusCode: 500 }),
+				objectAssign(new Error(), { code: 'ThrottlingException' }),
+				objectAssign(new Error(), { code: 'ETIMEDOUT' }),
+				awsClient.normalizeError(createV3Error('ServiceUnavailableException', { $fault: 'server' }))
+			].forEach(function(err) {
+				expect(awsClient.isTransientError(err)).toBe(true, 'Expected ' + err.code + ' to be transient');
+			});
+
+			[
+				void 0,
+				null,
+				objectAssign(new Error(), { code: 'InvalidParameterException', statusCode: 400, retryable: false }),
+				objectAssign(new Error(), { code: 'AccessDeniedException', statusCode: 400 }),
+				awsClient.normalizeError(createV3Error('ResourceNotFoundException')),
+				new Error()
+			].forEach(function(err) {
+				expect(awsClient.isTransientError(err)).toBe(false, 'Expected ' + (err && err.code) + ' to not be transient');
+			});
+		});
+	});
+
+	describe('CWLogsWritable with an AWS SDK v3 client', function() {
+		var CWLogsWritable = proxyquire('../lib/index', {
+			'./aws-client': awsClient
+		});
+
+		function createStream(client, options) {
+			return new CWLogsWritable(objectAssign({
+				logGroupName: 'foo',
+				logStreamName: 'bar',
+				retryableDelay: 'nextTick',
+				cloudWatchLogsClient: client
+			}, options));
+		}
+
+		function getCommandNames(client) {
+			return client.send.calls.map(function(call) {
+				return call.arguments[0].commandName;
+			});
+		}
+
+		it('should get the sequence token and send log events', function(done) {
+			var client = createV3Client(function(command) {
+				return Promise.resolve(command.commandName === 'DescribeLogStreamsCommand'
+					? { logStreams: [{ uploadSequenceToken: 'first-magic-token' }] }
+					: { nextSequenceToken: 'next-magic-token' });
+			});
+			var stream = createStream(client);
+
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(getCommandNames(client)).toEqual(['DescribeLogStreamsCommand', 'PutLogEventsCommand']);
+				expect(client.send.calls[1].arguments[0].input.sequenceToken).toBe('first-magic-token');
+				expect(client.send.calls[1].arguments[0].input.logEvents[0].message).toBe('a');
+				expect(stream.sequenceToken).toBe('next-magic-token');
+				done();
+			});
+		});
+
+		it('should retry throttling errors', function(done) {
+			var errors = [createV3Error('ThrottlingException')];
+			var client = createV3Client(function() {
+				return errors.length ? Promise.reject(errors.shift()) : Promise.resolve({});
+			});
+			var stream = createStream(client, { useSequenceToken: false });
+
+			var retryEventSpy = expect.createSpy();
+			stream.on('retry', retryEventSpy);
+
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(getCommandNames(client)).toEqual(['PutLogEventsCommand', 'PutLogEventsCommand']);
+				expect(retryEventSpy.calls.length).toBe(1);
+				expect(retryEventSpy.calls[0].arguments[3]).toBe('putLogEvents');
+				done();
+			});
+		});
+
+		it('should create the log group and stream after a ResourceNotFoundException', function(done) {
+			var errors = {
+				PutLogEventsCommand: [createV3Error('ResourceNotFoundException')],
+				CreateLogStreamCommand: [createV3Error('ResourceNotFoundException')]
+			};
+			var client = createV3Client(function(command) {
+				var queue = errors[command.commandName];
+				return queue && queue.length ? Promise.reject(queue.shift()) : Promise.resolve({});
+			});
+			var stream = createStream(client, { useSequenceToken: false });
+
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(getCommandNames(client)).toEqual([
+					'PutLogEventsCommand',
+					'CreateLogStreamCommand',
+					'CreateLogGroupCommand',
+					'CreateLogStreamCommand',
+					'PutLogEventsCommand'
+				]);
+				done();
+			});
+		});
+
+		it('should use the expected sequence token from an InvalidSequenceTokenException', function(done) {
+			var errors = [createV3Error('InvalidSequenceTokenException', { expectedSequenceToken: 'expected-token' })];
+			var client = createV3Client(function(command) {
+				if (command.commandName === 'DescribeLogStreamsCommand') {
+					return Promise.resolve({ logStreams: [{ uploadSequenceToken: 'first-magic-token' }] });
+				}
+
+				return errors.length ? Promise.reject(errors.shift()) : Promise.resolve({ nextSequenceToken: 'next-magic-token' });
+			});
+			var stream = createStream(client);
+
+			stream.write('a');
+
+			stream.flush(function(err) {
+				expect(err).toNotExist();
+				expect(getCommandNames(client)).toEqual(['DescribeLogStreamsCommand', 'PutLogEventsCommand', 'PutLogEventsCommand']);
+				expect(client.send.calls[2].arguments[0].input.sequenceToken).toBe('expected-token');
+				done();
+			});
+		});
+
+		it('should pass errors that are not retryable to onError', function(done) {
+			var expectedError = createV3Error('InvalidParameterException');
+			var client = createV3Client(function() {
+				return Promise.reject(expectedError);
+			});
+			var stream = createStream(client, {
+				useSequenceToken: false,
+				onError: function(err, logEvents, next) {
+					expect(err).toBe(expectedError);
+					expect(err.code).toBe('InvalidParameterException');
+					expect(client.send.calls.length).toBe(1);
+					next();
+					done();
+				}
+			});
+
+			stream.write('a');
+		});
+	});
+});
@@ -0,0 +1,76 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('expect');
+var Writable = require('stream').Writable;
+var objectAssign = require('object-assign');
+var deadLetter = require('../lib/dead-letter');
+
+describe('deadLetter', function() {
+	var noop = function() {};
+	var info = { logGroupName: 'foo', logStreamName: 'bar', reason: 'onError' };
+	var logEvents = [
+		{ message: 'a', timestamp: 100 },
+		{ message: 'b', timestamp: 200 }
+	];
+
+	describe('deadLetter.isTarget', function() {
+		it('should allow file paths, Writables and functions', function() {
+			expect(deadLetter.isTarget('/tmp/dead-letter.ndjson')).toBe(true);
+			expect(deadLetter.isTarget(new Writable())).toBe(true);
+			expect(deadLetter.isTarget(noop)).toBe(true);
+
+			[void 0, null, '', 0, 1, true, {}, []].forEach(function(val) {
+				expect(deadLetter.isTarget(val)).toBe(false, 'Expected ' + JSON.stringify(val) + ' to not be a target');
+			});
+		});
+	});
+
+	describe('deadLetter.formatLines', function() {
+		it('should format a NDJSON line for each log event with the error and destination', function() {
+			var err = objectAssign(new Error('denied'), { code: 'AccessDeniedException' });
+
+			expect(deadLetter.formatLines(logEvents, err, info)).toEqual([
+				'{"logGroupName":"foo","logStreamName":"bar","reason":"onError","error":{"name":"Error","code":"AccessDeniedException","message":"denied"},"timestamp":100,"message":"a"}\n',
+				'{"logGroupName":"foo","logStreamName":"bar","reason":"onError","error":{"name":"Error","code":"AccessDeniedException","message":"denied"},"timestamp":200,"message":"b"}\n'
+			]);
+
+			expect(JSON.parse(deadLetter.formatLines(logEvents, null, info)[0]).error).toBe(null);
+		});
+	});
+
+	describe('deadLetter.create', function() {
+		it('should return functions as is', function() {
+			expect(deadLetter.create(noop)).toBe(noop);
+		});
+
+		it('should append NDJSON lines to a file', function() {
+			var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwlogs-dead-letter-'));
+			var filePath = path.join(tmpDir, 'dead-letter.ndjson');
+			var send = deadLetter.create(filePath);
+
+			send(logEvents, null, info);
+			send(logEvents.slice(1), null, info);
+
+			var lines = fs.readFileSync(filePath, 'utf8').split('\n');
+			expect(lines.length).toBe(4);
+			expect(lines[3]).toBe('');
+			expect(lines.slice(0, 3).map(function(line) {
+				return JSON.parse(line).message;
+			})).toEqual(['a', 'b', 'b']);
+
+			fs.unlinkSync(filePath);
+			fs.rmdirSync(tmpDir);
+		});
+
+		it('should write NDJSON lines to a Writable', function() {
+			var writable = { write: expect.createSpy() };
+
+			deadLetter.create(writable)(logEvents, null, info);
+
+			expect(writable.write.calls.length).toBe(2);
+			expect(writable.write.calls[0].arguments).toEqual([deadLetter.formatLines(logEvents, null, info)[0]]);
+			expect(writable.write.calls[1].arguments).toEqual([deadLetter.formatLines(logEvents, null, info)[1]]);
+		});
+	});
+});
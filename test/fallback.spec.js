@@ -0,0 +1,55 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('expect');
+var Writable = require('stream').Writable;
+var fallback = require('../lib/fallback');
+
+describe('fallback', function() {
+	describe('fallback.isTarget', function() {
+		it('should allow "stderr", file paths and Writables', function() {
+			expect(fallback.isTarget('stderr')).toBe(true);
+			expect(fallback.isTarget('/tmp/fallback.log')).toBe(true);
+			expect(fallback.isTarget(new Writable())).toBe(true);
+
+			[void 0, null, '', 0, 1, true, {}, [], function() {}].forEach(function(val) {
+				expect(fallback.isTarget(val)).toBe(false, 'Expected ' + JSON.stringify(val) + ' to not be a target');
+			});
+		});
+	});
+
+	describe('fallback.create', function() {
+		it('should write to process.stderr', function() {
+			var writeSpy = expect.spyOn(process.stderr, 'write');
+
+			fallback.create('stderr')('foo\n');
+			expect.restoreSpies();
+
+			expect(writeSpy.calls.length).toBe(1);
+			expect(writeSpy.calls[0].arguments).toEqual(['foo\n']);
+		});
+
+		it('should append to a file', function() {
+			var tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwlogs-fallback-'));
+			var filePath = path.join(tmpDir, 'fallback.log');
+			var write = fallback.create(filePath);
+
+			write('foo\n');
+			write('bar\n');
+
+			expect(fs.readFileSync(filePath, 'utf8')).toBe('foo\nbar\n');
+
+			fs.unlinkSync(filePath);
+			fs.rmdirSync(tmpDir);
+		});
+
+		it('should write to a Writable', function() {
+			var writable = { write: expect.createSpy() };
+
+			fallback.create(writable)('foo\n');
+
+			expect(writable.write.calls.length).toBe(1);
+			expect(writable.write.calls[0].arguments).toEqual(['foo\n']);
+		});
+	});
+});
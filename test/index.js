@@ -1 +1,12 @@
 require('./CWLogsWritable.spec');
+require('./CWLogsRouter.spec');
+require('./Spool.spec');
+require('./template.spec');
+require('./retry.spec');
+require('./RateLimiter.spec');
+require('./Stats.spec');
+require('./CircuitBreaker.spec');
+require('./deadLetter.spec');
+require('./replay.spec');
+require('./fallback.spec');
+require('./awsClient.spec');
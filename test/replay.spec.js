@@ -0,0 +1,267 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var expect = require('expect');
+var proxyquire = require('proxyquire');
+var objectAssign = require('object-assign');
+
+describe('replay', function() {
+	var tmpDir;
+	var putLogEventsStub;
+	var CWLogsWritable = proxyquire('../lib/index', {
+		'aws-sdk': {
+			CloudWatchLogs: function() {
+				this.describeLogStreams = function(params, cb) {
+					process.nextTick(cb, null, { logStreams: [{ uploadSequenceToken: 'first-magic-token' }] });
+				};
+				this.putLogEvents = function(params, cb) {
+					putLogEventsStub(params, cb);
+				};
+			}
+		}
+	});
+	var replay = proxyquire('../lib/replay', {
+		'./index': CWLogsWritable
+	});
+
+	beforeEach(function() {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cwlogs-replay-'));
+		putLogEventsStub = expect.createSpy().andCall(function(params, cb) {
+			process.nextTick(cb, null, { nextSequenceToken: 'next-magic-token' });
+		});
+	});
+
+	afterEach(function() {
+		removeDir(tmpDir);
+	});
+
+	function removeDir(dir) {
+		fs.readdirSync(dir).forEach(function(filename) {
+			var filePath = path.join(dir, filename);
+
+			if (fs.statSync(filePath).isDirectory()) {
+				removeDir(filePath);
+			}
+			else {
+				fs.unlinkSync(filePath);
+			}
+		});
+
+		fs.rmdirSync(dir);
+	}
+
+	function writeFile(filename, records) {
+		var filePath = path.join(tmpDir, filename);
+
+		fs.writeFileSync(filePath, records.map(function(record) {
+			return typeof record === 'string' ? record : JSON.stringify(record);
+		}).join('\n') + '\n');
+
+		return filePath;
+	}
+
+	function createOptions(options) {
+		return objectAssign({
+			logGroupName: 'foo',
+			logStreamName: 'bar'
+		}, options);
+	}
+
+	function getSentMessages() {
+		return Array.prototype.concat.apply([], putLogEventsStub.calls.map(function(call) {
+			return call.arguments[0].logEvents.map(function(logEvent) {
+				return logEvent.message;
+			});
+		}));
+	}
+
+	it('should be exported as CWLogsWritable.replay', function() {
+		expect(require('../lib/index').replay).toBe(require('../lib/replay'));
+	});
+
+	it('should validate options', function(done) {
+		var file = writeFile('a.ndjson', []);
+		var cases = [
+			[null, 'options must be an object'],
+			[createOptions(), 'files option must be a non-empty string or array of non-empty strings'],
+			[createOptions({ files: [] }), 'files option must be a non-empty string or array of non-empty strings'],
+			[createOptions({ files: [file, ''] }), 'files option must be a non-empty string or array of non-empty strings'],
+			[createOptions({ files: file, checkpointFile: '' }), 'checkpointFile option must be a non-empty string, if specified'],
+			[createOptions({ files: file, chunkSize: 0 }), 'chunkSize option must be a positive number, if specified'],
+			[createOptions({ files: file, onProgress: true }), 'onProgress option must be a function, if specified'],
+			[{ files: file }, 'logGroupName option must be a string']
+		];
+
+		(function next() {
+			if (!cases.length) {
+				done();
+				return;
+			}
+
+			var testCase = cases.shift();
+
+			replay(testCase[0], function(err) {
+				expect(err).toBeA(Error);
+				expect(err.message).toBe(testCase[1]);
+				next();
+			});
+		})();
+	});
+
+	it('should send log events with their timestamps, skipping other lines and dropping ones AWS would reject', function(done) {
+		var now = Date.now();
+		var file = writeFile('dead-letter.ndjson', [
+			{ logGroupName: 'x', logStreamName: 'y', reason: 'onError', error: null, timestamp: now - 3000, message: 'a' },
+			'not json',
+			{ message: 'no timestamp' },
+			{ timestamp: now - 15 * 24 * 60 * 60 * 1000, message: 'too old' },
+			{ timestamp: now - 1000, message: 'b' },
+			''
+		]);
+
+		replay(createOptions({ files: file }), function(err, progress) {
+			expect(err).toNotExist();
+			expect(putLogEventsStub.calls[0].arguments[0].logGroupName).toBe('foo');
+			expect(putLogEventsStub.calls[0].arguments[0].logStreamName).toBe('bar');
+
+			// Batches cannot span more than 24 hours, so the log event that is too old starts a new batch.
+			expect(Array.prototype.concat.apply([], putLogEventsStub.calls.map(function(call) {
+				return call.arguments[0].logEvents;
+			}))).toEqual([
+				{ timestamp: now - 3000, message: 'a' },
+				{ timestamp: now - 1000, message: 'b' }
+			]);
+			expect(progress).toEqual({
+				file: file,
+				line: 6,
+				linesRead: 6,
+				linesSkipped: 3,
+				eventsSent: 2,
+				eventsDropped: 1
+			});
+			expect(JSON.parse(fs.readFileSync(file + '.checkpoint', 'utf8'))).toEqual({
+				files: [file],
+				fileIndex: 1,
+				line: 0
+			});
+			done();
+		});
+	});
+
+	it('should skip spooled log events that were already sent', function(done) {
+		var now = Date.now();
+		var segment1 = writeFile('1.ndjson', [
+			{ id: 1, message: 'a', timestamp: now },
+			{ id: 2, message: 'b', timestamp: now }
+		]);
+		var segment2 = writeFile('2.ndjson', [
+			{ id: 3, message: 'c', timestamp: now },
+			{ ack: [1, 3] }
+		]);
+
+		replay(createOptions({ files: [segment1, segment2] }), function(err, progress) {
+			expect(err).toNotExist();
+			expect(getSentMessages()).toEqual(['b']);
+			expect(progress.linesSkipped).toBe(3);
+			expect(progress.eventsSent).toBe(1);
+			done();
+		});
+	});
+
+	it('should only skip spooled log events acked in the same spool directory', function(done) {
+		var now = Date.now();
+
+		fs.mkdirSync(path.join(tmpDir, 'spool-a'));
+		fs.mkdirSync(path.join(tmpDir, 'spool-b'));
+
+		var segmentA = writeFile(path.join('spool-a', '1.ndjson'), [
+			{ id: 1, message: 'a', timestamp: now },
+			{ ack: [1] }
+		]);
+		var segmentB = writeFile(path.join('spool-b', '1.ndjson'), [
+			{ id: 1, message: 'b', timestamp: now }
+		]);
+
+		replay(createOptions({ files: [segmentA, segmentB] }), function(err, progress) {
+			expect(err).toNotExist();
+			expect(getSentMessages()).toEqual(['b']);
+			expect(progress.eventsSent).toBe(1);
+			done();
+		});
+	});
+
+	it('should send chunks, report progress and resume from the checkpoint', function(done) {
+		var now = Date.now();
+		var file = writeFile('a.ndjson', ['a', 'b', 'c', 'd', 'e'].map(function(message) {
+			return { message: message, timestamp: now };
+		}));
+		var checkpointFile = path.join(tmpDir, 'replay.checkpoint');
+		var expectedError = new Error();
+
+		var putCount = 0;
+		putLogEventsStub.andCall(function(params, cb) {
+			// Fail the second chunk the first time it is sent.
+			process.nextTick(cb, ++putCount === 2 ? expectedError : null, {});
+		});
+
+		var onProgress = expect.createSpy();
+		var options = createOptions({
+			files: [file],
+			checkpointFile: checkpointFile,
+			chunkSize: 2,
+			onProgress: onProgress
+		});
+
+		replay(options, function(err, progress) {
+			expect(err).toBe(expectedError);
+			expect(getSentMessages()).toEqual(['a', 'b', 'c', 'd']);
+			expect(onProgress.calls.length).toBe(1);
+			expect(onProgress.calls[0].arguments[0]).toEqual({
+				file: file,
+				line: 2,
+				linesRead: 2,
+				linesSkipped: 0,
+				eventsSent: 2,
+				eventsDropped: 0
+			});
+			expect(progress.line).toBe(2);
+			expect(JSON.parse(fs.readFileSync(checkpointFile, 'utf8')).line).toBe(2);
+
+			putLogEventsStub.reset();
+			onProgress.reset();
+
+			replay(options).then(function(progress) {
+				expect(getSentMessages()).toEqual(['c', 'd', 'e']);
+				expect(onProgress.calls.map(function(call) {
+					return call.arguments[0].line;
+				})).toEqual([4, 5]);
+				expect(progress.linesRead).toBe(3);
+				expect(progress.eventsSent).toBe(3);
+
+				// Nothing is left to send.
+				putLogEventsStub.reset();
+				return replay(options);
+			}).then(function(progress) {
+				expect(putLogEventsStub.calls.length).toBe(0);
+				expect(progress.linesRead).toBe(0);
+				done();
+			}).catch(done);
+		});
+	});
+
+	it('should not use a checkpoint for different files', function(done) {
+		var fileA = writeFile('a.ndjson', []);
+		var fileB = writeFile('b.ndjson', []);
+		var checkpointFile = path.join(tmpDir, 'replay.checkpoint');
+
+		replay(createOptions({ files: [fileA], checkpointFile: checkpointFile }), function(err) {
+			expect(err).toNotExist();
+
+			replay(createOptions({ files: [fileB], checkpointFile: checkpointFile }), function(err) {
+				expect(err).toBeA(Error);
+				expect(err.message).toBe('checkpointFile is for different files: ' + checkpointFile);
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,87 @@
+var expect = require('expect');
+var retry = require('../lib/retry');
+
+describe('retry', function() {
+	var err = new Error();
+
+	afterEach(function () {
+		expect.restoreSpies();
+	});
+
+	it('should be exported as CWLogsWritable.retryStrategies', function() {
+		expect(require('../lib/index').retryStrategies).toBe(retry);
+	});
+
+	describe('retry.exponential', function() {
+		it('should multiply the delay for each attempt', function() {
+			var strategy = retry.exponential();
+			expect([1, 2, 3, 4].map(function(attempt) {
+				return strategy(attempt, err, 0);
+			})).toEqual([100, 200, 400, 800]);
+
+			strategy = retry.exponential({ baseDelay: 10, factor: 3, maxDelay: 100 });
+			expect([1, 2, 3, 4].map(function(attempt) {
+				return strategy(attempt, err, 0);
+			})).toEqual([10, 30, 90, 100]);
+		});
+
+		it('should not go over maxDelay, which defaults to 20000', function() {
+			expect(retry.exponential()(26, err, 0)).toBe(20000);
+			expect(retry.exponential()(1000, err, 0)).toBe(20000);
+			expect(retry.exponential({ maxDelay: Infinity })(26, err, 0)).toBe(3355443200);
+		});
+
+		it('should validate options', function() {
+			['baseDelay', 'factor', 'maxDelay'].forEach(function(key) {
+				[-1, '1', true, NaN].forEach(function(val) {
+					var options = {};
+					options[key] = val;
+
+					expect(function() {
+						retry.exponential(options);
+					}).toThrowWithProps(Error, { message: key + ' option must be a positive number, if specified' }, val);
+				});
+			});
+		});
+	});
+
+	describe('retry.decorrelatedJitter', function() {
+		it('should pick a delay between baseDelay and three times the previous delay', function() {
+			var strategy = retry.decorrelatedJitter({ baseDelay: 100, maxDelay: 1000 });
+
+			expect.spyOn(Math, 'random').andReturn(0);
+			expect(strategy(1, err, 0)).toBe(100);
+			expect(strategy(2, err, 200)).toBe(100);
+
+			Math.random.andReturn(0.5);
+			expect(strategy(1, err, 0)).toBe(200);
+			expect(strategy(2, err, 200)).toBe(350);
+
+			Math.random.andReturn(0.999);
+			expect(strategy(3, err, 600)).toBe(1000);
+			expect(strategy(2, err, 'nextTick')).toBe(300);
+		});
+	});
+
+	describe('retry.capped', function() {
+		it('should limit the delay and number of attempts', function() {
+			var inner = expect.createSpy().andCall(function(attempt) {
+				return attempt === 2 ? 'nextTick' : attempt * 100;
+			});
+			var strategy = retry.capped(inner, { maxDelay: 250, maxAttempts: 3 });
+
+			expect(strategy(1, err, 0)).toBe(100);
+			expect(strategy(2, err, 100)).toBe('nextTick');
+			expect(strategy(3, err, 'nextTick')).toBe(250);
+			expect(strategy(4, err, 250)).toBe(false);
+			expect(inner.calls.length).toBe(3);
+			expect(inner.calls[2].arguments).toEqual([3, err, 'nextTick']);
+		});
+
+		it('should throw if strategy is not a function', function() {
+			expect(function() {
+				retry.capped(null, {});
+			}).toThrowWithProps(Error, { message: 'strategy must be a function' });
+		});
+	});
+});
@@ -0,0 +1,117 @@
+var os = require('os');
+var expect = require('expect');
+var template = require('../lib/template');
+
+describe('template', function() {
+	var context = {
+		hostname: 'my-host',
+		pid: 1234,
+		startTime: Date.UTC(2017, 1, 4, 9, 5, 7),
+		uuid: '11111111-2222-4333-8444-555555555555'
+	};
+
+	afterEach(function () {
+		expect.restoreSpies();
+	});
+
+	describe('template.createContext', function() {
+		it('should return the values used by built-in placeholders', function() {
+			expect.spyOn(Date, 'now').andReturn(1000);
+
+			var first = template.createContext();
+			expect(first.hostname).toBe(os.hostname());
+			expect(first.pid).toBe(process.pid);
+			expect(first.startTime).toBe(1000);
+			expect(first.uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+			expect(template.createContext().uuid).toNotBe(first.uuid);
+		});
+	});
+
+	describe('template.expand', function() {
+		it('should return names without placeholders as-is', function() {
+			expect(template.expand('', context, null, 'logStreamName')).toBe('');
+			expect(template.expand('my-stream', context, null, 'logStreamName')).toBe('my-stream');
+		});
+
+		it('should expand built-in placeholders', function() {
+			expect(template.expand('{hostname}/{pid}/{date:YYYY-MM-DD}/{uuid}', context, null, 'logStreamName'))
+				.toBe('my-host/1234/2017-02-04/11111111-2222-4333-8444-555555555555');
+			expect(template.expand('{date}', context, null, 'logStreamName')).toBe('2017-02-04');
+			expect(template.expand('{date:YYYYMMDD-HHmmss}', context, null, 'logStreamName')).toBe('20170204-090507');
+		});
+
+		it('should expand environment variables', function() {
+			process.env.CWLOGS_TEMPLATE_TEST = 'prod';
+
+			try {
+				expect(template.expand('api-{env:CWLOGS_TEMPLATE_TEST}', context, null, 'logStreamName')).toBe('api-prod');
+
+				delete process.env.CWLOGS_TEMPLATE_TEST;
+
+				expect(function() {
+					template.expand('api-{env:CWLOGS_TEMPLATE_TEST}', context, null, 'logGroupName');
+				}).toThrowWithProps(Error, { message: 'logGroupName option placeholder "{env:CWLOGS_TEMPLATE_TEST}" refers to an environment variable that is not set' });
+			}
+			finally {
+				delete process.env.CWLOGS_TEMPLATE_TEST;
+			}
+		});
+
+		it('should call the resolver before using built-in placeholders', function() {
+			var resolver = expect.createSpy().andCall(function(name, arg) {
+				if (name === 'tenant') {
+					return 'acme';
+				}
+				else if (name === 'pid') {
+					return 42;
+				}
+				else if (name === 'region' && arg === 'short') {
+					return 'use1';
+				}
+
+				return null;
+			});
+
+			expect(template.expand('{tenant}/{pid}/{hostname}/{region:short}', context, resolver, 'logStreamName'))
+				.toBe('acme/42/my-host/use1');
+			expect(resolver.calls.map(function(call) {
+				return call.arguments;
+			})).toEqual([
+				['tenant', void 0],
+				['pid', void 0],
+				['hostname', void 0],
+				['region', 'short']
+			]);
+		});
+
+		it('should replace escaped braces', function() {
+			expect(template.expand('{{foo}}-{{{pid}}}', context, null, 'logStreamName')).toBe('{foo}-{1234}');
+			expect(template.expand('a}}b{{', context, null, 'logStreamName')).toBe('a}b{');
+		});
+
+		it('should throw an error for unknown placeholders', function() {
+			['{foo}', '{}', '{env}', '{hostname:x}', 'a-{uuid:v1}-b'].forEach(function(val) {
+				expect(function() {
+					template.expand(val, context, function() {
+						return null;
+					}, 'logStreamName');
+				}).toThrowWithProps(Error, { message: 'logStreamName option has an unknown placeholder "' + val.replace(/^a-|-b$/g, '') + '"' }, val);
+			});
+		});
+	});
+
+	describe('template.escape', function() {
+		it('should escape braces so the name is expanded as is', function() {
+			['', 'my-stream', '{pid}', 'x{foo}', '}{', '{{uuid}}'].forEach(function(name) {
+				expect(template.expand(template.escape(name), context, null, 'logStreamName')).toBe(name);
+			});
+		});
+	});
+
+	describe('template.formatDate', function() {
+		it('should format the date as UTC', function() {
+			expect(template.formatDate(Date.UTC(2017, 11, 31, 23, 59, 58), 'YYYY-MM-DD HH:mm:ss')).toBe('2017-12-31 23:59:58');
+			expect(template.formatDate(Date.UTC(2017, 0, 1, 0, 0, 0), 'DD/MM/YYYY')).toBe('01/01/2017');
+		});
+	});
+});